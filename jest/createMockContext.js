@@ -0,0 +1,34 @@
+'use strict';
+
+// jsdom has no 2d context, so canvas surfaces draw into a recorder instead.
+function createMockContext() {
+  var context = {};
+  [
+    'arc',
+    'beginPath',
+    'bezierCurveTo',
+    'clearRect',
+    'clip',
+    'closePath',
+    'drawImage',
+    'fill',
+    'fillText',
+    'lineTo',
+    'moveTo',
+    'rect',
+    'restore',
+    'save',
+    'setLineDash',
+    'setTransform',
+    'stroke',
+    'strokeText',
+    'transform',
+  ].forEach(method => {
+    context[method] = jest.fn();
+  });
+  context.isPointInPath = jest.fn(() => false);
+  context.measureText = jest.fn(() => ({width: 0}));
+  return context;
+}
+
+module.exports = createMockContext;
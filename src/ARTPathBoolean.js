@@ -0,0 +1,283 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ARTPathBoolean
+ */
+'use strict';
+
+// Combines the areas filled by two paths flattened by ARTPathGeometry.flatten.
+// The edges of both are split wherever they cross or touch, and those with
+// the result on one side and not the other make up its outline.
+
+var ARTPathGeometry = require('./ARTPathGeometry');
+
+// Parameters along an edge this close to its ends are at the ends.
+var EPSILON = 1e-9;
+
+// Points are the same when they round to the same multiple of this.
+var PRECISION = 1e-7;
+
+// How far beside an edge to test which side of it is in the result.
+var SIDE_OFFSET = 1e-6;
+
+var OPERATIONS = {
+  difference: function(a, b) {
+    return a && !b;
+  },
+  intersect: function(a, b) {
+    return a && b;
+  },
+  union: function(a, b) {
+    return a || b;
+  },
+  xor: function(a, b) {
+    return a !== b;
+  },
+};
+
+function getKey(point) {
+  return Math.round(point.x / PRECISION) + ',' +
+    Math.round(point.y / PRECISION);
+}
+
+function getEdges(subpaths) {
+  // Subpaths are closed implicitly, like they are when filled.
+  var edges = [];
+  subpaths.forEach(function(subpath) {
+    var points = subpath.points;
+    var vertices = [];
+    for (var i = 0; i < points.length; i += 2) {
+      vertices.push({x: points[i], y: points[i + 1]});
+    }
+    for (var j = 0; j < vertices.length; j++) {
+      var start = vertices[j];
+      var end = vertices[(j + 1) % vertices.length];
+      if (getKey(start) !== getKey(end)) {
+        edges.push({start: start, end: end, splits: []});
+      }
+    }
+  });
+  return edges;
+}
+
+function isInside(t) {
+  return t > EPSILON && t < 1 - EPSILON;
+}
+
+function addOverlap(edge, point) {
+  // Splits an edge where a point on the same line is within it.
+  var dx = edge.end.x - edge.start.x;
+  var dy = edge.end.y - edge.start.y;
+  var t = ((point.x - edge.start.x) * dx + (point.y - edge.start.y) * dy) /
+    (dx * dx + dy * dy);
+  if (isInside(t)) {
+    edge.splits.push({t: t, point: point});
+  }
+}
+
+function intersectEdges(e, f) {
+  if (
+    Math.max(e.start.x, e.end.x) < Math.min(f.start.x, f.end.x) ||
+    Math.max(f.start.x, f.end.x) < Math.min(e.start.x, e.end.x) ||
+    Math.max(e.start.y, e.end.y) < Math.min(f.start.y, f.end.y) ||
+    Math.max(f.start.y, f.end.y) < Math.min(e.start.y, e.end.y)
+  ) {
+    return;
+  }
+
+  var rx = e.end.x - e.start.x;
+  var ry = e.end.y - e.start.y;
+  var sx = f.end.x - f.start.x;
+  var sy = f.end.y - f.start.y;
+  var qx = f.start.x - e.start.x;
+  var qy = f.start.y - e.start.y;
+  var r = Math.sqrt(rx * rx + ry * ry);
+  var s = Math.sqrt(sx * sx + sy * sy);
+  var denominator = rx * sy - ry * sx;
+
+  if (Math.abs(denominator) <= EPSILON * r * s) {
+    // Parallel edges only meet if they are on the same line.
+    if (Math.abs(qx * ry - qy * rx) <= PRECISION * r) {
+      addOverlap(e, f.start);
+      addOverlap(e, f.end);
+      addOverlap(f, e.start);
+      addOverlap(f, e.end);
+    }
+    return;
+  }
+
+  var t = (qx * sy - qy * sx) / denominator;
+  var u = (qx * ry - qy * rx) / denominator;
+  if (t < -EPSILON || t > 1 + EPSILON || u < -EPSILON || u > 1 + EPSILON) {
+    return;
+  }
+
+  // Where an edge meets the end of another, that end is where they meet, so
+  // that both share the point exactly.
+  var point;
+  if (!isInside(t)) {
+    point = t < 0.5 ? e.start : e.end;
+  } else if (!isInside(u)) {
+    point = u < 0.5 ? f.start : f.end;
+  } else {
+    point = {x: e.start.x + rx * t, y: e.start.y + ry * t};
+  }
+
+  if (isInside(t)) {
+    e.splits.push({t: t, point: point});
+  }
+  if (isInside(u)) {
+    f.splits.push({t: u, point: point});
+  }
+}
+
+function splitEdges(edges) {
+  for (var i = 0; i < edges.length; i++) {
+    for (var j = i + 1; j < edges.length; j++) {
+      intersectEdges(edges[i], edges[j]);
+    }
+  }
+
+  var result = [];
+  edges.forEach(function(edge) {
+    var points = edge.splits
+      .sort(function(a, b) {
+        return a.t - b.t;
+      })
+      .map(function(split) {
+        return split.point;
+      });
+    points.unshift(edge.start);
+    points.push(edge.end);
+    for (var k = 1; k < points.length; k++) {
+      if (getKey(points[k - 1]) !== getKey(points[k])) {
+        result.push({start: points[k - 1], end: points[k]});
+      }
+    }
+  });
+  return result;
+}
+
+function getOutline(edges, contains) {
+  // Keeps the edges between the result and the rest, each once and directed
+  // with the result on its left, so that they outline it whichever way they
+  // are joined.
+  var outline = [];
+  var seen = {};
+
+  edges.forEach(function(edge) {
+    var dx = edge.end.x - edge.start.x;
+    var dy = edge.end.y - edge.start.y;
+    var length = Math.sqrt(dx * dx + dy * dy);
+    var offset = Math.min(SIDE_OFFSET, length / 1000) / length;
+    var x = (edge.start.x + edge.end.x) / 2;
+    var y = (edge.start.y + edge.end.y) / 2;
+    var left = contains(x - dy * offset, y + dx * offset);
+    var right = contains(x + dy * offset, y - dx * offset);
+    if (left === right) {
+      return;
+    }
+
+    var start = left ? edge.start : edge.end;
+    var end = left ? edge.end : edge.start;
+    var key = getKey(start) + ' ' + getKey(end);
+    if (!seen[key]) {
+      seen[key] = true;
+      outline.push({start: start, end: end, used: false});
+    }
+  });
+
+  return outline;
+}
+
+function isCollinear(a, b, c) {
+  var cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+  var dot = (b.x - a.x) * (c.x - b.x) + (b.y - a.y) * (c.y - b.y);
+  return dot > 0 && Math.abs(cross) <= PRECISION * Math.sqrt(dot);
+}
+
+function joinOutline(outline) {
+  var edgesByStart = {};
+  outline.forEach(function(edge) {
+    var key = getKey(edge.start);
+    (edgesByStart[key] = edgesByStart[key] || []).push(edge);
+  });
+
+  function takeEdgeFrom(point) {
+    var edges = edgesByStart[getKey(point)] || [];
+    for (var i = 0; i < edges.length; i++) {
+      if (!edges[i].used) {
+        edges[i].used = true;
+        return edges[i];
+      }
+    }
+    return null;
+  }
+
+  var subpaths = [];
+  outline.forEach(function(first) {
+    if (first.used) {
+      return;
+    }
+    first.used = true;
+
+    var vertices = [first.start];
+    var firstKey = getKey(first.start);
+    var edge = first;
+    while (edge && getKey(edge.end) !== firstKey) {
+      vertices.push(edge.end);
+      edge = takeEdgeFrom(edge.end);
+    }
+
+    // Drops the points that splitting left in the middle of straight lines.
+    var points = [];
+    var n = vertices.length;
+    for (var i = 0; i < n; i++) {
+      var previous = vertices[(i + n - 1) % n];
+      var next = vertices[(i + 1) % n];
+      if (!isCollinear(previous, vertices[i], next)) {
+        points.push(vertices[i].x, vertices[i].y);
+      }
+    }
+    if (points.length >= 6) {
+      subpaths.push({points: points, closed: true});
+    }
+  });
+
+  return subpaths;
+}
+
+/**
+ * combine(operation, a, b, fillRule)
+ *
+ * Combines the areas filled by flattened subpaths `a` and `b`, by their
+ * `fillRule`. Operation is 'union', 'intersect', 'difference' (`a` without
+ * `b`) or 'xor'. The result is outlined the same way round everywhere, so it
+ * fills the same by either fill rule.
+ *
+ * @param {string} operation
+ * @param {array} a
+ * @param {array} b
+ * @param {string} fillRule
+ * @return {array} Closed subpaths of the form {points: [x0, y0, ...], closed}
+ */
+function combine(operation, a, b, fillRule) {
+  var test = OPERATIONS[operation];
+  var edges = splitEdges(getEdges(a).concat(getEdges(b)));
+  var outline = getOutline(edges, function(x, y) {
+    return test(
+      ARTPathGeometry.containsPoint(a, x, y, fillRule),
+      ARTPathGeometry.containsPoint(b, x, y, fillRule)
+    );
+  });
+  return joinOutline(outline);
+}
+
+module.exports = {
+  combine: combine,
+};
@@ -0,0 +1,343 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ARTPathData
+ */
+'use strict';
+
+// Reads and writes SVG path data, the `d` attribute of SVG paths, for the
+// command lists recorded by ARTSerializablePath.
+
+var ARTPathGeometry = require('./ARTPathGeometry');
+
+var MOVE_TO = 0;
+var CLOSE = 1;
+var LINE_TO = 2;
+var CURVE_TO = 3;
+var ARC = 4;
+
+// The number of parameters every command takes, by its lower case letter.
+var PARAMETER_COUNTS = {
+  a: 7,
+  c: 6,
+  h: 1,
+  l: 2,
+  m: 2,
+  q: 4,
+  s: 4,
+  t: 2,
+  v: 1,
+  z: 0,
+};
+
+var NUMBER = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g;
+var WHITESPACE = /[ \t\n\f\r]/;
+
+/**
+ * parse(d, target)
+ *
+ * Draws the path data `d` into `target`, an ART Path, with its absolute
+ * methods. Like SVG does, the data is drawn up to the first error in it.
+ *
+ * @param {string} d
+ * @param {object} target
+ * @return {boolean} Whether all of the data was valid
+ */
+function parse(d, target) {
+  var i = 0;
+  var length = d.length;
+  // The current point, the start of the subpath and the control point that
+  // smooth curves reflect, if the previous command was a curve of their kind.
+  var x = 0;
+  var y = 0;
+  var startX = 0;
+  var startY = 0;
+  var cubicX = null;
+  var cubicY = null;
+  var quadraticX = null;
+  var quadraticY = null;
+
+  function skipWhitespace() {
+    while (i < length && WHITESPACE.test(d.charAt(i))) {
+      i++;
+    }
+  }
+
+  function skipSeparator() {
+    skipWhitespace();
+    if (d.charAt(i) === ',') {
+      i++;
+      skipWhitespace();
+    }
+  }
+
+  function readNumber() {
+    NUMBER.lastIndex = i;
+    var match = NUMBER.exec(d);
+    if (!match || match.index !== i) {
+      return null;
+    }
+    i += match[0].length;
+    return parseFloat(match[0]);
+  }
+
+  function readFlag() {
+    // Flags are single digits, which may run into the next parameter.
+    var flag = d.charAt(i);
+    if (flag !== '0' && flag !== '1') {
+      return null;
+    }
+    i++;
+    return flag === '1';
+  }
+
+  function readParameters(command) {
+    var count = PARAMETER_COUNTS[command];
+    var parameters = [];
+    for (var j = 0; j < count; j++) {
+      if (j > 0) {
+        skipSeparator();
+      }
+      var value = command === 'a' && (j === 3 || j === 4) ?
+        readFlag() :
+        readNumber();
+      if (value === null) {
+        return null;
+      }
+      parameters.push(value);
+    }
+    return parameters;
+  }
+
+  function curveTo(c1x, c1y, c2x, c2y, ex, ey) {
+    target.curveTo(c1x, c1y, c2x, c2y, ex, ey);
+    cubicX = c2x;
+    cubicY = c2y;
+    x = ex;
+    y = ey;
+  }
+
+  function quadraticTo(qx, qy, ex, ey) {
+    curveTo(
+      x + (qx - x) * 2 / 3, y + (qy - y) * 2 / 3,
+      ex + (qx - ex) * 2 / 3, ey + (qy - ey) * 2 / 3,
+      ex, ey
+    );
+    cubicX = cubicY = null;
+    quadraticX = qx;
+    quadraticY = qy;
+  }
+
+  function draw(command, p, relative) {
+    var dx = relative ? x : 0;
+    var dy = relative ? y : 0;
+    var previousCubicX = cubicX;
+    var previousCubicY = cubicY;
+    var previousQuadraticX = quadraticX;
+    var previousQuadraticY = quadraticY;
+    cubicX = cubicY = quadraticX = quadraticY = null;
+
+    switch (command) {
+      case 'm':
+        x = startX = p[0] + dx;
+        y = startY = p[1] + dy;
+        target.moveTo(x, y);
+        break;
+      case 'l':
+        x = p[0] + dx;
+        y = p[1] + dy;
+        target.lineTo(x, y);
+        break;
+      case 'h':
+        x = p[0] + dx;
+        target.lineTo(x, y);
+        break;
+      case 'v':
+        y = p[0] + dy;
+        target.lineTo(x, y);
+        break;
+      case 'c':
+        curveTo(
+          p[0] + dx, p[1] + dy,
+          p[2] + dx, p[3] + dy,
+          p[4] + dx, p[5] + dy
+        );
+        break;
+      case 's':
+        curveTo(
+          previousCubicX === null ? x : 2 * x - previousCubicX,
+          previousCubicY === null ? y : 2 * y - previousCubicY,
+          p[0] + dx, p[1] + dy,
+          p[2] + dx, p[3] + dy
+        );
+        break;
+      case 'q':
+        quadraticTo(p[0] + dx, p[1] + dy, p[2] + dx, p[3] + dy);
+        break;
+      case 't':
+        quadraticTo(
+          previousQuadraticX === null ? x : 2 * x - previousQuadraticX,
+          previousQuadraticY === null ? y : 2 * y - previousQuadraticY,
+          p[0] + dx, p[1] + dy
+        );
+        break;
+      case 'a':
+        var ex = p[5] + dx;
+        var ey = p[6] + dy;
+        if (ex === x && ey === y) {
+          // Arcs that end where they start are left out.
+          break;
+        }
+        if (!p[0] || !p[1]) {
+          target.lineTo(ex, ey);
+        } else {
+          target.arcTo(
+            ex, ey,
+            Math.abs(p[0]), Math.abs(p[1]),
+            p[3], !p[4], p[2]
+          );
+        }
+        x = ex;
+        y = ey;
+        break;
+      case 'z':
+        target.close();
+        x = startX;
+        y = startY;
+        break;
+    }
+  }
+
+  var command = null;
+  for (;;) {
+    skipWhitespace();
+    if (i >= length) {
+      return true;
+    }
+
+    var letter = d.charAt(i);
+    var lower = letter.toLowerCase();
+    if (PARAMETER_COUNTS.hasOwnProperty(lower)) {
+      i++;
+      skipWhitespace();
+    } else if (command && command !== 'z') {
+      // Parameters of the previous command repeat it, and those of a move
+      // draw lines.
+      if (d.charAt(i) === ',') {
+        i++;
+        skipWhitespace();
+      }
+      letter = command === 'm' ? 'l' : command === 'M' ? 'L' : command;
+      lower = letter.toLowerCase();
+    } else {
+      return false;
+    }
+    if (!command && lower !== 'm') {
+      // Path data starts with a move.
+      return false;
+    }
+
+    var parameters = readParameters(lower);
+    if (!parameters) {
+      return false;
+    }
+    command = letter;
+    draw(lower, parameters, letter !== letter.toUpperCase());
+  }
+}
+
+function formatNumber(value, precision) {
+  if (precision != null) {
+    value = +value.toFixed(precision);
+  }
+  // Avoids -0, which rounding leaves behind.
+  return String(value + 0);
+}
+
+/**
+ * serialize(commands, precision)
+ *
+ * Writes a command list as SVG path data, with absolute commands. Numbers are
+ * rounded to `precision` decimals, if it is given.
+ *
+ * @param {array} commands
+ * @param {?number} precision
+ * @return {string}
+ */
+function serialize(commands, precision) {
+  var d = '';
+  var x = 0;
+  var y = 0;
+  var startX = 0;
+  var startY = 0;
+
+  function write(letter, values) {
+    d += letter + values.map(function(value) {
+      return formatNumber(value, precision);
+    }).join(',');
+  }
+
+  for (var i = 0, l = commands.length; i < l;) {
+    switch (commands[i]) {
+      case MOVE_TO:
+        x = startX = commands[i + 1];
+        y = startY = commands[i + 2];
+        write('M', [x, y]);
+        i += 3;
+        break;
+      case CLOSE:
+        d += 'Z';
+        x = startX;
+        y = startY;
+        i += 1;
+        break;
+      case LINE_TO:
+        x = commands[i + 1];
+        y = commands[i + 2];
+        write('L', [x, y]);
+        i += 3;
+        break;
+      case CURVE_TO:
+        x = commands[i + 5];
+        y = commands[i + 6];
+        write('C', commands.slice(i + 1, i + 7));
+        i += 7;
+        break;
+      case ARC:
+        var cx = commands[i + 1];
+        var cy = commands[i + 2];
+        var r = commands[i + 3];
+        var sa = commands[i + 4];
+        var ea = commands[i + 5];
+        var clockwise = !!commands[i + 6];
+        var sweep = ARTPathGeometry.getArcSweep(sa, ea, clockwise);
+        var sx = cx + r * Math.cos(sa);
+        var sy = cy + r * Math.sin(sa);
+        if (!ARTPathGeometry.isSamePoint(x, y, sx, sy)) {
+          write('L', [sx, sy]);
+        }
+        x = cx + r * Math.cos(ea);
+        y = cy + r * Math.sin(ea);
+        write('A', [
+          r, r, 0,
+          Math.abs(sweep) > Math.PI ? 1 : 0,
+          clockwise ? 1 : 0,
+          x, y,
+        ]);
+        i += 7;
+        break;
+    }
+  }
+
+  return d;
+}
+
+module.exports = {
+  parse: parse,
+  serialize: serialize,
+};
@@ -0,0 +1,613 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ARTPathGeometry
+ */
+'use strict';
+
+// Geometry on the command lists recorded by ARTSerializablePath. Curves and
+// arcs are mostly approximated by polylines, so results are as precise as the
+// tolerance they are flattened with.
+
+var MOVE_TO = 0;
+var CLOSE = 1;
+var LINE_TO = 2;
+var CURVE_TO = 3;
+var ARC = 4;
+
+var MAX_SEGMENTS = 512;
+
+// Abscissae and weights of Gauss-Legendre quadrature on [-1, 1], which
+// measures curves far closer than their chords do.
+var GAUSS_POINTS = [
+  -0.9061798459386640, -0.5384693101056831, 0,
+  0.5384693101056831, 0.9061798459386640,
+];
+var GAUSS_WEIGHTS = [
+  0.2369268850561891, 0.4786286704993665, 0.5688888888888889,
+  0.4786286704993665, 0.2369268850561891,
+];
+
+// Points closer than this are the same, which absorbs the rounding errors of
+// the points that arcs start and end at.
+var EPSILON = 1e-9;
+
+function getArcSweep(sa, ea, clockwise) {
+  var arc = ea - sa;
+  if (arc < 0 && clockwise) {
+    arc += Math.PI * 2;
+  } else if (arc > 0 && !clockwise) {
+    arc -= Math.PI * 2;
+  }
+  return arc;
+}
+
+function isSamePoint(x0, y0, x1, y1) {
+  return Math.abs(x1 - x0) < EPSILON && Math.abs(y1 - y0) < EPSILON;
+}
+
+function getCurveSegmentCount(x0, y0, x1, y1, x2, y2, x3, y3, tolerance) {
+  // Bounds the distance between the curve and its chords by the largest
+  // second difference of the control points.
+  var ddx = Math.max(
+    Math.abs(x0 - 2 * x1 + x2),
+    Math.abs(x1 - 2 * x2 + x3)
+  );
+  var ddy = Math.max(
+    Math.abs(y0 - 2 * y1 + y2),
+    Math.abs(y1 - 2 * y2 + y3)
+  );
+  var dd = Math.sqrt(ddx * ddx + ddy * ddy);
+  var n = Math.ceil(Math.sqrt(0.75 * dd / tolerance));
+  return Math.max(1, Math.min(n, MAX_SEGMENTS));
+}
+
+function getCurveValue(p0, p1, p2, p3, t) {
+  var mt = 1 - t;
+  return mt * mt * mt * p0 + 3 * mt * mt * t * p1 + 3 * mt * t * t * p2 +
+    t * t * t * p3;
+}
+
+function getCurveDerivative(p0, p1, p2, p3, t) {
+  var mt = 1 - t;
+  return 3 * mt * mt * (p1 - p0) + 6 * mt * t * (p2 - p1) +
+    3 * t * t * (p3 - p2);
+}
+
+function getCurveLength(p, t0, t1) {
+  var half = (t1 - t0) / 2;
+  var length = 0;
+  for (var i = 0; i < GAUSS_POINTS.length; i++) {
+    var t = t0 + half * (GAUSS_POINTS[i] + 1);
+    var dx = getCurveDerivative(p[0], p[2], p[4], p[6], t);
+    var dy = getCurveDerivative(p[1], p[3], p[5], p[7], t);
+    length += GAUSS_WEIGHTS[i] * Math.sqrt(dx * dx + dy * dy);
+  }
+  return length * half;
+}
+
+function getCurveExtremes(p0, p1, p2, p3) {
+  // Where the derivative, a quadratic, is zero within the curve.
+  var a = -p0 + 3 * p1 - 3 * p2 + p3;
+  var b = 2 * (p0 - 2 * p1 + p2);
+  var c = p1 - p0;
+  var roots = [];
+
+  if (Math.abs(a) < EPSILON) {
+    if (Math.abs(b) >= EPSILON) {
+      roots.push(-c / b);
+    }
+  } else {
+    var discriminant = b * b - 4 * a * c;
+    if (discriminant >= 0) {
+      var root = Math.sqrt(discriminant);
+      roots.push((-b + root) / (2 * a), (-b - root) / (2 * a));
+    }
+  }
+
+  return roots
+    .filter(function(t) {
+      return t > 0 && t < 1;
+    })
+    .map(function(t) {
+      return getCurveValue(p0, p1, p2, p3, t);
+    });
+}
+
+function getArcSegmentCount(r, sweep, tolerance) {
+  if (r <= tolerance) {
+    return 1;
+  }
+  var step = 2 * Math.acos(1 - tolerance / r);
+  var n = Math.ceil(Math.abs(sweep) / step);
+  return Math.max(1, Math.min(n, MAX_SEGMENTS));
+}
+
+/**
+ * flatten(commands, tolerance)
+ *
+ * Approximates a command list by polylines that stay within `tolerance` of
+ * the original curves.
+ *
+ * @param {array} commands
+ * @param {number} tolerance
+ * @return {array} Subpaths of the form {points: [x0, y0, x1, y1...], closed}
+ */
+function flatten(commands, tolerance) {
+  var subpaths = [];
+  var subpath = null;
+  var x = 0;
+  var y = 0;
+  var startX = 0;
+  var startY = 0;
+
+  function lineTo(ex, ey) {
+    if (!subpath) {
+      subpath = {points: [x, y], closed: false};
+      subpaths.push(subpath);
+    }
+    subpath.points.push(ex, ey);
+    x = ex;
+    y = ey;
+  }
+
+  for (var i = 0, l = commands.length; i < l;) {
+    switch (commands[i]) {
+      case MOVE_TO:
+        x = startX = commands[i + 1];
+        y = startY = commands[i + 2];
+        subpath = null;
+        i += 3;
+        break;
+      case CLOSE:
+        if (subpath) {
+          subpath.closed = true;
+        }
+        subpath = null;
+        x = startX;
+        y = startY;
+        i += 1;
+        break;
+      case LINE_TO:
+        if (!subpath) {
+          startX = x;
+          startY = y;
+        }
+        lineTo(commands[i + 1], commands[i + 2]);
+        i += 3;
+        break;
+      case CURVE_TO:
+        if (!subpath) {
+          startX = x;
+          startY = y;
+        }
+        var x0 = x;
+        var y0 = y;
+        var x1 = commands[i + 1];
+        var y1 = commands[i + 2];
+        var x2 = commands[i + 3];
+        var y2 = commands[i + 4];
+        var x3 = commands[i + 5];
+        var y3 = commands[i + 6];
+        var n = getCurveSegmentCount(
+          x0, y0, x1, y1, x2, y2, x3, y3, tolerance
+        );
+        for (var j = 1; j <= n; j++) {
+          var t = j / n;
+          var mt = 1 - t;
+          var a = mt * mt * mt;
+          var b = 3 * mt * mt * t;
+          var c = 3 * mt * t * t;
+          var d = t * t * t;
+          lineTo(
+            a * x0 + b * x1 + c * x2 + d * x3,
+            a * y0 + b * y1 + c * y2 + d * y3
+          );
+        }
+        i += 7;
+        break;
+      case ARC:
+        if (!subpath) {
+          startX = x;
+          startY = y;
+        }
+        var cx = commands[i + 1];
+        var cy = commands[i + 2];
+        var r = commands[i + 3];
+        var sa = commands[i + 4];
+        var sweep = getArcSweep(sa, commands[i + 5], !!commands[i + 6]);
+        var count = getArcSegmentCount(r, sweep, tolerance);
+        for (var k = 1; k <= count; k++) {
+          var angle = sa + sweep * k / count;
+          lineTo(cx + r * Math.cos(angle), cy + r * Math.sin(angle));
+        }
+        i += 7;
+        break;
+      default:
+        throw new Error('Unknown path command: ' + commands[i]);
+    }
+  }
+
+  return subpaths;
+}
+
+/**
+ * getArcCurves(cx, cy, r, sa, ea, clockwise)
+ *
+ * Approximates a circular arc by a cubic curve for every quarter turn.
+ *
+ * @param {number} cx
+ * @param {number} cy
+ * @param {number} r
+ * @param {number} sa
+ * @param {number} ea
+ * @param {boolean} clockwise
+ * @return {array} [c1x, c1y, c2x, c2y, x, y...] for every curve, starting at
+ *   the point at the start angle
+ */
+function getArcCurves(cx, cy, r, sa, ea, clockwise) {
+  var sweep = getArcSweep(sa, ea, clockwise);
+  var count = Math.max(1, Math.ceil(Math.abs(sweep) / (Math.PI / 2)));
+  var step = sweep / count;
+  // The distance of the control points from the ends of their curve.
+  var k = 4 / 3 * Math.tan(step / 4) * r;
+  var points = [];
+
+  for (var i = 0; i < count; i++) {
+    var a0 = sa + step * i;
+    var a1 = a0 + step;
+    points.push(
+      cx + r * Math.cos(a0) - k * Math.sin(a0),
+      cy + r * Math.sin(a0) + k * Math.cos(a0),
+      cx + r * Math.cos(a1) + k * Math.sin(a1),
+      cy + r * Math.sin(a1) - k * Math.cos(a1),
+      cx + r * Math.cos(a1),
+      cy + r * Math.sin(a1)
+    );
+  }
+
+  return points;
+}
+
+/**
+ * toCurves(commands)
+ *
+ * Converts a command list to cubic Bézier curves only. Lines become straight
+ * curves, arcs are split into curves of at most a quarter turn and closed
+ * subpaths end with a curve back to where they started.
+ *
+ * @param {array} commands
+ * @return {array} Subpaths of the form
+ *   {points: [x0, y0, c1x, c1y, c2x, c2y, x1, y1, c1x...], closed}
+ */
+function toCurves(commands) {
+  var subpaths = [];
+  var subpath = null;
+  var x = 0;
+  var y = 0;
+  var startX = 0;
+  var startY = 0;
+
+  function curveTo(c1x, c1y, c2x, c2y, ex, ey) {
+    if (!subpath) {
+      subpath = {points: [x, y], closed: false};
+      subpaths.push(subpath);
+      startX = x;
+      startY = y;
+    }
+    subpath.points.push(c1x, c1y, c2x, c2y, ex, ey);
+    x = ex;
+    y = ey;
+  }
+
+  function lineTo(ex, ey) {
+    curveTo(
+      x + (ex - x) / 3, y + (ey - y) / 3,
+      x + (ex - x) * 2 / 3, y + (ey - y) * 2 / 3,
+      ex, ey
+    );
+  }
+
+  for (var i = 0, l = commands.length; i < l;) {
+    switch (commands[i]) {
+      case MOVE_TO:
+        x = startX = commands[i + 1];
+        y = startY = commands[i + 2];
+        subpath = null;
+        i += 3;
+        break;
+      case CLOSE:
+        if (subpath) {
+          if (!isSamePoint(x, y, startX, startY)) {
+            lineTo(startX, startY);
+          }
+          subpath.closed = true;
+        }
+        subpath = null;
+        x = startX;
+        y = startY;
+        i += 1;
+        break;
+      case LINE_TO:
+        lineTo(commands[i + 1], commands[i + 2]);
+        i += 3;
+        break;
+      case CURVE_TO:
+        curveTo(
+          commands[i + 1], commands[i + 2],
+          commands[i + 3], commands[i + 4],
+          commands[i + 5], commands[i + 6]
+        );
+        i += 7;
+        break;
+      case ARC:
+        var cx = commands[i + 1];
+        var cy = commands[i + 2];
+        var r = commands[i + 3];
+        var sa = commands[i + 4];
+        var sx = cx + r * Math.cos(sa);
+        var sy = cy + r * Math.sin(sa);
+        if (!isSamePoint(x, y, sx, sy)) {
+          lineTo(sx, sy);
+        }
+        var points = getArcCurves(
+          cx, cy, r, sa, commands[i + 5], !!commands[i + 6]
+        );
+        for (var j = 0; j < points.length; j += 6) {
+          curveTo(
+            points[j], points[j + 1],
+            points[j + 2], points[j + 3],
+            points[j + 4], points[j + 5]
+          );
+        }
+        i += 7;
+        break;
+      default:
+        throw new Error('Unknown path command: ' + commands[i]);
+    }
+  }
+
+  return subpaths;
+}
+
+/**
+ * measure(commands, tolerance)
+ *
+ * Samples the curves of toCurves for measuring them along their length, at
+ * points where the chords between them are within `tolerance` of the curve.
+ *
+ * @param {array} commands
+ * @param {number} tolerance
+ * @return {object} {curves, length}, where every curve is of the form
+ *   {points: [x0, y0, c1x, c1y, c2x, c2y, x1, y1], lengths}, and lengths[i]
+ *   is its length up to t = i / (lengths.length - 1)
+ */
+function measure(commands, tolerance) {
+  var curves = [];
+  var total = 0;
+
+  toCurves(commands).forEach(function(subpath) {
+    var points = subpath.points;
+    for (var i = 0; i + 8 <= points.length; i += 6) {
+      var p = points.slice(i, i + 8);
+      var n = getCurveSegmentCount(
+        p[0], p[1], p[2], p[3], p[4], p[5], p[6], p[7], tolerance
+      );
+      var lengths = [0];
+      var length = 0;
+      for (var j = 1; j <= n; j++) {
+        length += getCurveLength(p, (j - 1) / n, j / n);
+        lengths.push(length);
+      }
+      curves.push({points: p, lengths: lengths});
+      total += length;
+    }
+  });
+
+  return {curves: curves, length: total};
+}
+
+/**
+ * getPointAtLength(measurements, length)
+ *
+ * Finds the point at `length` along measured curves, clamped to their ends.
+ *
+ * @param {object} measurements As returned by measure
+ * @param {number} length
+ * @return {?object} {x, y, angle}, where angle is the direction of the path
+ *   there in degrees, or null for paths that draw nothing
+ */
+function getPointAtLength(measurements, length) {
+  var curves = measurements.curves;
+  if (!curves.length) {
+    return null;
+  }
+
+  var remaining = Math.min(Math.max(length, 0), measurements.length);
+  var i = 0;
+  // The last curve takes what remains, whatever rounding left over.
+  while (i < curves.length - 1) {
+    var curveLength = curves[i].lengths[curves[i].lengths.length - 1];
+    if (remaining <= curveLength) {
+      break;
+    }
+    remaining -= curveLength;
+    i++;
+  }
+  var curve = curves[i];
+
+  var lengths = curve.lengths;
+  var n = lengths.length - 1;
+  var j = 1;
+  while (j < n && lengths[j] < remaining) {
+    j++;
+  }
+  var range = lengths[j] - lengths[j - 1];
+  var target = remaining - lengths[j - 1];
+  var t0 = (j - 1) / n;
+  var t1 = j / n;
+  var t = t0 + (range ? target / range : 0) / n;
+
+  // The speed along a curve changes, so refine where it is that far along
+  // the sample by Newton's method.
+  var p = curve.points;
+  for (var k = 0; k < 2 && range; k++) {
+    var vx = getCurveDerivative(p[0], p[2], p[4], p[6], t);
+    var vy = getCurveDerivative(p[1], p[3], p[5], p[7], t);
+    var speed = Math.sqrt(vx * vx + vy * vy);
+    if (speed < EPSILON) {
+      break;
+    }
+    t -= (getCurveLength(p, t0, t) - target) / speed;
+    t = Math.min(Math.max(t, t0), t1);
+  }
+
+  var dx = getCurveDerivative(p[0], p[2], p[4], p[6], t);
+  var dy = getCurveDerivative(p[1], p[3], p[5], p[7], t);
+  if (Math.abs(dx) < EPSILON && Math.abs(dy) < EPSILON) {
+    // Control points on the end points leave the ends without a direction,
+    // so take the direction of the whole curve.
+    dx = p[6] - p[0];
+    dy = p[7] - p[1];
+  }
+
+  return {
+    x: getCurveValue(p[0], p[2], p[4], p[6], t),
+    y: getCurveValue(p[1], p[3], p[5], p[7], t),
+    angle: Math.atan2(dy, dx) * 180 / Math.PI,
+  };
+}
+
+/**
+ * getBounds(commands)
+ *
+ * Returns the smallest rectangle that contains everything a command list
+ * draws, as {x, y, width, height}, or null if it draws nothing.
+ *
+ * @param {array} commands
+ * @return {?object}
+ */
+function getBounds(commands) {
+  var xs = [];
+  var ys = [];
+
+  toCurves(commands).forEach(function(subpath) {
+    var p = subpath.points;
+    xs.push(p[0]);
+    ys.push(p[1]);
+    for (var i = 0; i + 8 <= p.length; i += 6) {
+      xs.push(p[i + 6]);
+      ys.push(p[i + 7]);
+      xs.push.apply(xs, getCurveExtremes(p[i], p[i + 2], p[i + 4], p[i + 6]));
+      ys.push.apply(
+        ys,
+        getCurveExtremes(p[i + 1], p[i + 3], p[i + 5], p[i + 7])
+      );
+    }
+  });
+
+  if (!xs.length) {
+    return null;
+  }
+
+  var left = Math.min.apply(Math, xs);
+  var top = Math.min.apply(Math, ys);
+  return {
+    x: left,
+    y: top,
+    width: Math.max.apply(Math, xs) - left,
+    height: Math.max.apply(Math, ys) - top,
+  };
+}
+
+/**
+ * containsPoint(subpaths, x, y, fillRule)
+ *
+ * Tests whether a point is inside the area filled by flattened subpaths,
+ * which are closed implicitly like they are when filled.
+ *
+ * @param {array} subpaths
+ * @param {number} x
+ * @param {number} y
+ * @param {string} fillRule 'nonzero' (default) or 'evenodd'
+ * @return {boolean}
+ */
+function containsPoint(subpaths, x, y, fillRule) {
+  var winding = 0;
+  var crossings = 0;
+
+  for (var i = 0; i < subpaths.length; i++) {
+    var points = subpaths[i].points;
+    var l = points.length;
+    for (var j = 0; j < l; j += 2) {
+      var x0 = points[j];
+      var y0 = points[j + 1];
+      var x1 = points[(j + 2) % l];
+      var y1 = points[(j + 3) % l];
+      if (y0 <= y ? y1 > y : y1 <= y) {
+        var side = (x1 - x0) * (y - y0) - (x - x0) * (y1 - y0);
+        if (y1 > y0 ? side > 0 : side < 0) {
+          winding += y1 > y0 ? 1 : -1;
+          crossings++;
+        }
+      }
+    }
+  }
+
+  return fillRule === 'evenodd' ? crossings % 2 === 1 : winding !== 0;
+}
+
+/**
+ * getDistance(subpaths, x, y)
+ *
+ * Returns the shortest distance from a point to the outline of flattened
+ * subpaths, which is what strokes are drawn around.
+ *
+ * @param {array} subpaths
+ * @param {number} x
+ * @param {number} y
+ * @return {number}
+ */
+function getDistance(subpaths, x, y) {
+  var distance = Infinity;
+
+  for (var i = 0; i < subpaths.length; i++) {
+    var points = subpaths[i].points;
+    var l = points.length;
+    var end = subpaths[i].closed ? l : l - 2;
+    for (var j = 0; j < end; j += 2) {
+      var x0 = points[j];
+      var y0 = points[j + 1];
+      var dx = points[(j + 2) % l] - x0;
+      var dy = points[(j + 3) % l] - y0;
+      var lengthSquared = dx * dx + dy * dy;
+      var t = lengthSquared ?
+        ((x - x0) * dx + (y - y0) * dy) / lengthSquared :
+        0;
+      t = t < 0 ? 0 : t > 1 ? 1 : t;
+      var ex = x0 + t * dx - x;
+      var ey = y0 + t * dy - y;
+      distance = Math.min(distance, Math.sqrt(ex * ex + ey * ey));
+    }
+  }
+
+  return distance;
+}
+
+module.exports = {
+  containsPoint: containsPoint,
+  flatten: flatten,
+  getArcCurves: getArcCurves,
+  getArcSweep: getArcSweep,
+  getBounds: getBounds,
+  getDistance: getDistance,
+  getPointAtLength: getPointAtLength,
+  isSamePoint: isSamePoint,
+  measure: measure,
+  toCurves: toCurves,
+};
@@ -0,0 +1,176 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ARTPathInterpolation
+ */
+'use strict';
+
+// Blends between two paths converted by ARTPathGeometry.toCurves. Both are
+// brought to the same number of subpaths and curves, so that every point of
+// one has a counterpart in the other to move to.
+
+function getSegments(subpath) {
+  var points = subpath.points;
+  var segments = [];
+  for (var i = 0; i + 8 <= points.length; i += 6) {
+    segments.push(points.slice(i, i + 8));
+  }
+  return segments;
+}
+
+function splitSegment(s, t) {
+  // de Casteljau's algorithm.
+  var x01 = s[0] + (s[2] - s[0]) * t;
+  var y01 = s[1] + (s[3] - s[1]) * t;
+  var x12 = s[2] + (s[4] - s[2]) * t;
+  var y12 = s[3] + (s[5] - s[3]) * t;
+  var x23 = s[4] + (s[6] - s[4]) * t;
+  var y23 = s[5] + (s[7] - s[5]) * t;
+  var x012 = x01 + (x12 - x01) * t;
+  var y012 = y01 + (y12 - y01) * t;
+  var x123 = x12 + (x23 - x12) * t;
+  var y123 = y12 + (y23 - y12) * t;
+  var x = x012 + (x123 - x012) * t;
+  var y = y012 + (y123 - y012) * t;
+
+  return [
+    [s[0], s[1], x01, y01, x012, y012, x, y],
+    [x, y, x123, y123, x23, y23, s[6], s[7]],
+  ];
+}
+
+function subdivide(segments, count) {
+  // Spreads the splits evenly, cutting each segment into equal parameter
+  // ranges.
+  var result = [];
+  var n = segments.length;
+
+  for (var i = 0; i < n; i++) {
+    var pieces = Math.floor((i + 1) * count / n) - Math.floor(i * count / n);
+    var segment = segments[i];
+    for (var j = pieces; j > 1; j--) {
+      var halves = splitSegment(segment, 1 / j);
+      result.push(halves[0]);
+      segment = halves[1];
+    }
+    result.push(segment);
+  }
+
+  return result;
+}
+
+function collapse(segments) {
+  // A subpath without a counterpart grows from or shrinks to the center of
+  // its bounds.
+  var left = Infinity;
+  var top = Infinity;
+  var right = -Infinity;
+  var bottom = -Infinity;
+  for (var i = 0; i < segments.length; i++) {
+    for (var j = 0; j < 8; j += 2) {
+      left = Math.min(left, segments[i][j]);
+      top = Math.min(top, segments[i][j + 1]);
+      right = Math.max(right, segments[i][j]);
+      bottom = Math.max(bottom, segments[i][j + 1]);
+    }
+  }
+  var x = (left + right) / 2;
+  var y = (top + bottom) / 2;
+
+  return segments.map(function() {
+    return [x, y, x, y, x, y, x, y];
+  });
+}
+
+function getBestRotation(from, to) {
+  // Closed subpaths may start anywhere, so start where the points have the
+  // least distance to travel.
+  var best = 0;
+  var bestDistance = Infinity;
+  var n = from.length;
+
+  for (var offset = 0; offset < n; offset++) {
+    var distance = 0;
+    for (var i = 0; i < n && distance < bestDistance; i++) {
+      var a = from[(i + offset) % n];
+      var b = to[i];
+      distance += Math.pow(a[6] - b[6], 2) + Math.pow(a[7] - b[7], 2);
+    }
+    if (distance < bestDistance) {
+      best = offset;
+      bestDistance = distance;
+    }
+  }
+
+  return best;
+}
+
+function matchSubpaths(from, to) {
+  var fromSegments = from ? getSegments(from) : null;
+  var toSegments = to ? getSegments(to) : null;
+
+  if (!fromSegments) {
+    fromSegments = collapse(toSegments);
+  } else if (!toSegments) {
+    toSegments = collapse(fromSegments);
+  }
+
+  var count = Math.max(fromSegments.length, toSegments.length);
+  fromSegments = subdivide(fromSegments, count);
+  toSegments = subdivide(toSegments, count);
+
+  if (from && to && from.closed && to.closed) {
+    var offset = getBestRotation(fromSegments, toSegments);
+    fromSegments = fromSegments.slice(offset).concat(
+      fromSegments.slice(0, offset)
+    );
+  }
+
+  return {
+    closed: [(from || to).closed, (to || from).closed],
+    from: fromSegments,
+    to: toSegments,
+  };
+}
+
+/**
+ * interpolate(from, to)
+ *
+ * Matches up the subpaths of `from` and `to`, as returned by toCurves, by
+ * their order. Returns a function of `t` that returns the subpaths in the
+ * same form, at `from` for 0 and `to` for 1.
+ *
+ * @param {array} from
+ * @param {array} to
+ * @return {function}
+ */
+function interpolate(from, to) {
+  var pairs = [];
+  for (var i = 0; i < Math.max(from.length, to.length); i++) {
+    pairs.push(matchSubpaths(from[i], to[i]));
+  }
+
+  return function(t) {
+    return pairs.map(function(pair) {
+      var points = [];
+      for (var j = 0; j < pair.from.length; j++) {
+        var a = pair.from[j];
+        var b = pair.to[j];
+        // Segments share their end points with the start of the next one.
+        for (var k = j === 0 ? 0 : 2; k < 8; k++) {
+          points.push(a[k] + (b[k] - a[k]) * t);
+        }
+      }
+      return {points: points, closed: pair.closed[t < 0.5 ? 0 : 1]};
+    });
+  };
+}
+
+module.exports = {
+  interpolate: interpolate,
+};
@@ -0,0 +1,247 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ARTPathSimplify
+ */
+'use strict';
+
+// Drops points from subpaths flattened by ARTPathGeometry.flatten that make
+// little difference to their shape. Open subpaths keep their ends, and closed
+// ones at least three points.
+
+function getSegmentDistance(points, i, a, b) {
+  var x = points[i];
+  var y = points[i + 1];
+  var ax = points[a];
+  var ay = points[a + 1];
+  var dx = points[b] - ax;
+  var dy = points[b + 1] - ay;
+  var lengthSquared = dx * dx + dy * dy;
+  var t = lengthSquared ?
+    Math.min(Math.max(((x - ax) * dx + (y - ay) * dy) / lengthSquared, 0), 1) :
+    0;
+  var ex = ax + dx * t - x;
+  var ey = ay + dy * t - y;
+  return Math.sqrt(ex * ex + ey * ey);
+}
+
+function getTriangleArea(points, a, b, c) {
+  return Math.abs(
+    (points[b] - points[a]) * (points[c + 1] - points[a + 1]) -
+    (points[c] - points[a]) * (points[b + 1] - points[a + 1])
+  ) / 2;
+}
+
+function getKept(points, keep) {
+  var result = [];
+  for (var i = 0; i < points.length; i += 2) {
+    if (keep[i / 2]) {
+      result.push(points[i], points[i + 1]);
+    }
+  }
+  return result;
+}
+
+function getFarthest(points, from, start, end) {
+  var farthest = start;
+  var distance = -1;
+  for (var i = start; i < end; i++) {
+    var d = getSegmentDistance(points, i * 2, from * 2, from * 2);
+    if (d > distance) {
+      farthest = i;
+      distance = d;
+    }
+  }
+  return farthest;
+}
+
+function simplifyDouglasPeucker(subpath, tolerance) {
+  var closed = subpath.closed;
+  if (subpath.points.length < 6) {
+    return subpath;
+  }
+
+  // Closed subpaths are started again at the point farthest from their
+  // start, and split at the point farthest from that, so that both halves
+  // have two ends to keep.
+  var points = subpath.points;
+  if (closed) {
+    var first = getFarthest(points, 0, 0, points.length / 2);
+    points = points.slice(first * 2).concat(points.slice(0, first * 2 + 2));
+  }
+  var last = points.length / 2 - 1;
+  var ends = [[0, last]];
+  if (closed) {
+    var farthest = getFarthest(points, 0, 1, last);
+    ends = [[0, farthest], [farthest, last]];
+  }
+
+  var keep = [];
+  while (ends.length) {
+    var range = ends.pop();
+    var start = range[0];
+    var end = range[1];
+    keep[start] = keep[end] = true;
+
+    var index = -1;
+    var max = tolerance;
+    for (var j = start + 1; j < end; j++) {
+      var offset = getSegmentDistance(points, j * 2, start * 2, end * 2);
+      if (offset > max) {
+        index = j;
+        max = offset;
+      }
+    }
+    if (index !== -1) {
+      ends.push([start, index], [index, end]);
+    }
+  }
+
+  var kept = getKept(points, keep);
+  if (closed) {
+    kept.length -= 2;
+    if (kept.length < 6) {
+      return subpath;
+    }
+  }
+  return {points: kept, closed: closed};
+}
+
+function simplifyVisvalingam(subpath, area) {
+  var points = subpath.points;
+  var n = points.length / 2;
+  var closed = subpath.closed;
+  if (n < 3) {
+    return subpath;
+  }
+
+  var previous = [];
+  var next = [];
+  var areas = [];
+  for (var i = 0; i < n; i++) {
+    previous[i] = closed ? (i + n - 1) % n : i - 1;
+    next[i] = closed ? (i + 1) % n : i + 1;
+  }
+
+  function getArea(i) {
+    if (previous[i] < 0 || next[i] >= n) {
+      return Infinity;
+    }
+    return getTriangleArea(points, previous[i] * 2, i * 2, next[i] * 2);
+  }
+
+  // A binary heap of the points by their areas. Points whose areas change
+  // are pushed again, and the stale entries skipped.
+  var heap = [];
+  function push(i) {
+    var entry = {index: i, area: areas[i]};
+    var k = heap.length;
+    heap.push(entry);
+    while (k > 0) {
+      var parent = (k - 1) >> 1;
+      if (heap[parent].area <= entry.area) {
+        break;
+      }
+      heap[k] = heap[parent];
+      k = parent;
+    }
+    heap[k] = entry;
+  }
+  function pop() {
+    var top = heap[0];
+    var entry = heap.pop();
+    if (heap.length) {
+      var k = 0;
+      for (;;) {
+        var child = 2 * k + 1;
+        if (child >= heap.length) {
+          break;
+        }
+        if (
+          child + 1 < heap.length &&
+          heap[child + 1].area < heap[child].area
+        ) {
+          child++;
+        }
+        if (heap[child].area >= entry.area) {
+          break;
+        }
+        heap[k] = heap[child];
+        k = child;
+      }
+      heap[k] = entry;
+    }
+    return top;
+  }
+
+  for (var j = 0; j < n; j++) {
+    areas[j] = getArea(j);
+    push(j);
+  }
+
+  var keep = [];
+  for (var k = 0; k < n; k++) {
+    keep[k] = true;
+  }
+  var remaining = n;
+  var removedArea = 0;
+
+  while (heap.length && remaining > (closed ? 3 : 2)) {
+    var entry = pop();
+    var index = entry.index;
+    if (!keep[index] || entry.area !== areas[index]) {
+      continue;
+    }
+    if (entry.area >= area) {
+      break;
+    }
+
+    keep[index] = false;
+    remaining--;
+    // Neighbours are never less important than the points removed before
+    // them, so that they are removed in order.
+    removedArea = Math.max(removedArea, entry.area);
+    var before = previous[index];
+    var after = next[index];
+    next[before] = after;
+    previous[after] = before;
+    [before, after].forEach(function(neighbour) {
+      if (neighbour >= 0 && neighbour < n) {
+        areas[neighbour] = Math.max(getArea(neighbour), removedArea);
+        push(neighbour);
+      }
+    });
+  }
+
+  return {points: getKept(points, keep), closed: closed};
+}
+
+/**
+ * simplify(subpaths, tolerance, method)
+ *
+ * Simplifies flattened subpaths by 'douglas-peucker', which keeps them within
+ * `tolerance` of where they were, or by 'visvalingam', which drops points for
+ * as long as the smallest triangle one makes with its neighbours has less
+ * area than `tolerance`.
+ *
+ * @param {array} subpaths
+ * @param {number} tolerance
+ * @param {string} method
+ * @return {array} Subpaths of the form {points: [x0, y0, x1, y1...], closed}
+ */
+function simplify(subpaths, tolerance, method) {
+  return subpaths.map(function(subpath) {
+    return method === 'visvalingam' ?
+      simplifyVisvalingam(subpath, tolerance) :
+      simplifyDouglasPeucker(subpath, tolerance);
+  });
+}
+
+module.exports = {
+  simplify: simplify,
+};
@@ -0,0 +1,219 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ARTPathStroke
+ */
+'use strict';
+
+// Outlines the area that stroking flattened subpaths covers. Every segment,
+// join and cap is covered by a polygon of its own, and the outline is their
+// union.
+
+var ARTPathBoolean = require('./ARTPathBoolean');
+
+// Points closer than this are the same, and so are directions whose sines
+// are smaller.
+var EPSILON = 1e-9;
+
+// Canvas' default miterLimit, in half stroke widths.
+var MITER_LIMIT = 10;
+
+function getPoints(subpath) {
+  // Leaves out points that repeat the one before them, which have no
+  // direction to stroke in.
+  var points = [];
+  var flat = subpath.points;
+  for (var i = 0; i < flat.length; i += 2) {
+    var previous = points[points.length - 1];
+    if (
+      !previous ||
+      Math.abs(flat[i] - previous.x) > EPSILON ||
+      Math.abs(flat[i + 1] - previous.y) > EPSILON
+    ) {
+      points.push({x: flat[i], y: flat[i + 1]});
+    }
+  }
+  return points;
+}
+
+function getDirection(from, to) {
+  var dx = to.x - from.x;
+  var dy = to.y - from.y;
+  var length = Math.sqrt(dx * dx + dy * dy);
+  return {x: dx / length, y: dy / length};
+}
+
+function getDiscSegmentCount(radius, tolerance) {
+  if (radius <= tolerance) {
+    return 8;
+  }
+  var step = 2 * Math.acos(1 - tolerance / radius);
+  return Math.max(8, Math.ceil(Math.PI * 2 / step));
+}
+
+/**
+ * stroke(subpaths, options)
+ *
+ * Returns the outline of the area that stroking `subpaths` covers.
+ *
+ * @param {array} subpaths Flattened, as returned by ARTPathGeometry.flatten
+ * @param {object} options {width, cap, join, miterLimit, tolerance, closed},
+ *   where cap and join are as the strokeCap and strokeJoin props, and closed
+ *   strokes every subpath as if it were closed
+ * @return {array} Closed subpaths of the form {points: [x0, y0, ...], closed}
+ */
+function stroke(subpaths, options) {
+  var half = (options.width != null ? options.width : 1) / 2;
+  var cap = options.cap || 'round';
+  var join = options.join || 'round';
+  var miterLimit = options.miterLimit != null ?
+    options.miterLimit :
+    MITER_LIMIT;
+  var discSegments = getDiscSegmentCount(half, options.tolerance);
+  var pieces = [];
+
+  if (!(half > 0)) {
+    return [];
+  }
+
+  function addPolygon(polygon) {
+    // Pieces are all drawn the same way round, so that their union is what
+    // any of them fills by the nonzero rule.
+    var area = 0;
+    for (var i = 0; i < polygon.length; i++) {
+      var a = polygon[i];
+      var b = polygon[(i + 1) % polygon.length];
+      area += a.x * b.y - b.x * a.y;
+    }
+    if (Math.abs(area) <= EPSILON) {
+      return;
+    }
+    if (area < 0) {
+      polygon.reverse();
+    }
+    var points = [];
+    polygon.forEach(function(point) {
+      points.push(point.x, point.y);
+    });
+    pieces.push({points: points, closed: true});
+  }
+
+  function offset(point, normal, distance) {
+    return {x: point.x + normal.x * distance, y: point.y + normal.y * distance};
+  }
+
+  function addDisc(center) {
+    var disc = [];
+    for (var i = 0; i < discSegments; i++) {
+      var angle = Math.PI * 2 * i / discSegments;
+      disc.push({
+        x: center.x + half * Math.cos(angle),
+        y: center.y + half * Math.sin(angle),
+      });
+    }
+    addPolygon(disc);
+  }
+
+  function addSegment(from, to, direction, extendStart, extendEnd) {
+    var normal = {x: -direction.y, y: direction.x};
+    var start = offset(from, direction, -extendStart);
+    var end = offset(to, direction, extendEnd);
+    addPolygon([
+      offset(start, normal, half),
+      offset(end, normal, half),
+      offset(end, normal, -half),
+      offset(start, normal, -half),
+    ]);
+  }
+
+  function addJoin(point, incoming, outgoing) {
+    var cross = incoming.x * outgoing.y - incoming.y * outgoing.x;
+    var dot = incoming.x * outgoing.x + incoming.y * outgoing.y;
+    if (Math.abs(cross) <= EPSILON && dot > 0) {
+      // Straight on.
+      return;
+    }
+    if (join === 'round') {
+      addDisc(point);
+      return;
+    }
+
+    // The segments only leave a gap on the outside of the turn.
+    var side = cross > 0 ? -half : half;
+    var first = offset(point, {x: -incoming.y, y: incoming.x}, side);
+    var second = offset(point, {x: -outgoing.y, y: outgoing.x}, side);
+    // The miter is as much longer than half the width as 1 / cos(turn / 2).
+    var miter = Math.sqrt(2 / (1 + dot));
+    if (join === 'miter' && miter <= miterLimit) {
+      var tip = offset(
+        point,
+        {
+          x: (-incoming.y - outgoing.y) / (1 + dot),
+          y: (incoming.x + outgoing.x) / (1 + dot),
+        },
+        side
+      );
+      addPolygon([point, first, tip, second]);
+    } else {
+      addPolygon([point, first, second]);
+    }
+  }
+
+  subpaths.forEach(function(subpath) {
+    var points = getPoints(subpath);
+    var closed = options.closed || subpath.closed;
+    if (
+      closed &&
+      points.length > 1 &&
+      Math.abs(points[0].x - points[points.length - 1].x) <= EPSILON &&
+      Math.abs(points[0].y - points[points.length - 1].y) <= EPSILON
+    ) {
+      points.pop();
+    }
+    var n = points.length;
+    if (n < 2) {
+      return;
+    }
+
+    var segmentCount = closed ? n : n - 1;
+    var directions = [];
+    for (var i = 0; i < segmentCount; i++) {
+      directions.push(getDirection(points[i], points[(i + 1) % n]));
+    }
+
+    for (var j = 0; j < segmentCount; j++) {
+      var isFirst = !closed && j === 0;
+      var isLast = !closed && j === segmentCount - 1;
+      addSegment(
+        points[j],
+        points[(j + 1) % n],
+        directions[j],
+        isFirst && cap === 'square' ? half : 0,
+        isLast && cap === 'square' ? half : 0
+      );
+      if (!isLast) {
+        addJoin(
+          points[(j + 1) % n],
+          directions[j],
+          directions[(j + 1) % segmentCount]
+        );
+      }
+    }
+
+    if (!closed && cap === 'round') {
+      addDisc(points[0]);
+      addDisc(points[n - 1]);
+    }
+  });
+
+  return ARTPathBoolean.combine('union', pieces, [], 'nonzero');
+}
+
+module.exports = {
+  stroke: stroke,
+};
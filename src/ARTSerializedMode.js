@@ -0,0 +1,308 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ARTSerializedMode
+ */
+'use strict';
+
+// An ART mode that draws nothing. Its nodes remember what they were told to
+// draw and serialize it with toJSON, which makes it usable without a DOM and
+// for asserting on what a tree renders.
+
+var ARTSVGPath = require('art/modes/svg/path');
+var Class = require('art/core/class');
+var Container = require('art/dom/container');
+var Element = require('art/dom/dummy');
+var SerializablePath = require('./Path.art');
+var Transform = require('art/core/transform');
+
+function childrenToJSON(container) {
+  var children = [];
+  for (var node = container.firstChild; node; node = node.nextSibling) {
+    children.push(node.toJSON());
+  }
+  return children;
+}
+
+function pathToJSON(path) {
+  return path ? new ARTSVGPath(path).toSVG() : null;
+}
+
+var Node = Class(Transform, Element, {
+
+  initialize: function() {
+    this.opacity = 1;
+    this.visible = true;
+    this.cursor = null;
+    this.title = null;
+  },
+
+  blend: function(opacity) {
+    this.opacity = opacity;
+    return this;
+  },
+
+  hide: function() {
+    this.visible = false;
+    return this;
+  },
+
+  show: function() {
+    this.visible = true;
+    return this;
+  },
+
+  indicate: function(cursor, tooltip) {
+    this.cursor = cursor || null;
+    this.title = tooltip || null;
+    return this;
+  },
+
+  toJSON: function() {
+    return {
+      type: this.type,
+      transform: [this.xx, this.yx, this.xy, this.yy, this.x, this.y],
+      opacity: this.opacity,
+      visible: this.visible,
+      cursor: this.cursor,
+      title: this.title,
+    };
+  }
+
+});
+
+var Base = Class(Node, {
+
+  node_initialize: Node.prototype.initialize,
+
+  initialize: function() {
+    this.node_initialize();
+    this.fill();
+    this.stroke();
+  },
+
+  fill: function(color) {
+    if (arguments.length > 1) {
+      return this.fillLinear.apply(this, arguments);
+    }
+    this.fillStyle = color == null ? null : color;
+    return this;
+  },
+
+  fillLinear: function(stops, x1, y1, x2, y2) {
+    this.fillStyle = {
+      type: 'linear',
+      stops: stops,
+      x1: x1,
+      y1: y1,
+      x2: x2,
+      y2: y2,
+    };
+    return this;
+  },
+
+  fillRadial: function(
+    stops, focusX, focusY, radiusX, radiusY, centerX, centerY
+  ) {
+    this.fillStyle = {
+      type: 'radial',
+      stops: stops,
+      focusX: focusX,
+      focusY: focusY,
+      radiusX: radiusX,
+      radiusY: radiusY,
+      centerX: centerX,
+      centerY: centerY,
+    };
+    return this;
+  },
+
+  fillImage: function(url, width, height, left, top) {
+    this.fillStyle = {
+      type: 'image',
+      url: url,
+      width: width,
+      height: height,
+      left: left,
+      top: top,
+    };
+    return this;
+  },
+
+  stroke: function(color, width, cap, join, dash) {
+    // Resolved with the defaults the other modes draw with.
+    this.strokeStyle = color == null ? null : {
+      color: color,
+      width: width != null ? width : 1,
+      cap: cap != null ? cap : 'round',
+      join: join != null ? join : 'round',
+      dash: dash || null,
+    };
+    return this;
+  },
+
+  node_toJSON: Node.prototype.toJSON,
+
+  toJSON: function() {
+    var json = this.node_toJSON();
+    json.fill = this.fillStyle;
+    json.stroke = this.strokeStyle;
+    return json;
+  }
+
+});
+
+var Group = Class(Node, Container, {
+
+  type: 'Group',
+
+  node_initialize: Node.prototype.initialize,
+
+  initialize: function(width, height) {
+    this.node_initialize();
+    this.width = width;
+    this.height = height;
+  },
+
+  node_toJSON: Node.prototype.toJSON,
+
+  toJSON: function() {
+    var json = this.node_toJSON();
+    json.children = childrenToJSON(this);
+    return json;
+  }
+
+});
+
+var ClippingRectangle = Class(Group, {
+
+  type: 'ClippingRectangle',
+
+  group_initialize: Group.prototype.initialize,
+
+  initialize: function(width, height) {
+    this.group_initialize(width, height);
+  },
+
+  group_toJSON: Group.prototype.toJSON,
+
+  toJSON: function() {
+    var json = this.group_toJSON();
+    json.width = this.width == null ? null : this.width;
+    json.height = this.height == null ? null : this.height;
+    return json;
+  }
+
+});
+
+var Shape = Class(Base, {
+
+  type: 'Shape',
+
+  base_initialize: Base.prototype.initialize,
+
+  initialize: function(path, width, height) {
+    this.base_initialize();
+    this.path = null;
+    this.width = width;
+    this.height = height;
+    if (path != null) {
+      this.draw(path);
+    }
+  },
+
+  draw: function(path, width, height) {
+    this.path = path instanceof SerializablePath ?
+      path :
+      new SerializablePath(path);
+    if (width != null) {
+      this.width = width;
+    }
+    if (height != null) {
+      this.height = height;
+    }
+    return this;
+  },
+
+  base_toJSON: Base.prototype.toJSON,
+
+  toJSON: function() {
+    var json = this.base_toJSON();
+    json.path = pathToJSON(this.path);
+    json.width = this.width == null ? null : this.width;
+    json.height = this.height == null ? null : this.height;
+    return json;
+  }
+
+});
+
+var Text = Class(Base, {
+
+  type: 'Text',
+
+  base_initialize: Base.prototype.initialize,
+
+  initialize: function(text, font, alignment, path) {
+    this.base_initialize();
+    this.draw(text, font, alignment, path);
+  },
+
+  draw: function(text, font, alignment, path) {
+    this.text = String(text);
+    this.font = font || null;
+    this.alignment = alignment || null;
+    this.path = path && typeof path !== 'number' ?
+      new SerializablePath(path) :
+      null;
+    return this;
+  },
+
+  base_toJSON: Base.prototype.toJSON,
+
+  toJSON: function() {
+    var json = this.base_toJSON();
+    json.text = this.text;
+    json.font = this.font;
+    json.alignment = this.alignment;
+    json.path = pathToJSON(this.path);
+    return json;
+  }
+
+});
+
+var Surface = Class(Element, Container, {
+
+  initialize: function(width, height) {
+    this.resize(width, height);
+  },
+
+  resize: function(width, height) {
+    this.width = width;
+    this.height = height;
+    return this;
+  },
+
+  toJSON: function() {
+    return {
+      type: 'Surface',
+      width: this.width,
+      height: this.height,
+      children: childrenToJSON(this),
+    };
+  }
+
+});
+
+module.exports = {
+  ClippingRectangle: ClippingRectangle,
+  Group: Group,
+  Path: SerializablePath,
+  Shape: Shape,
+  Surface: Surface,
+  Text: Text,
+};
@@ -0,0 +1,50 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule Arrow.art
+ *
+ * Example usage:
+ * <Arrow
+ *   x1={0}
+ *   y1={0}
+ *   x2={100}
+ *   y2={0}
+ *   stroke="black"
+ * />
+ *
+ * Additional optional properties:
+ *   (String) routing
+ *   (String) orientation
+ *   (String) startMarker
+ *   (String) endMarker
+ *   (Number) markerSize
+ *
+ */
+'use strict';
+
+const Connector = require('./Connector.art');
+const React = require('react');
+
+/**
+ * Arrow is a React component for drawing arrows from `x1`, `y1` to `x2`,
+ * `y2`. It is a Connector with an arrow at its end, and takes the same
+ * props. Like other ReactART components, it must be used in a <Surface>.
+ */
+class Arrow extends React.Component {
+  render() {
+    return <Connector {...this.props} />;
+  }
+}
+
+Arrow.propTypes = Connector.propTypes;
+
+Arrow.defaultProps = {
+  endMarker: 'arrow',
+};
+
+module.exports = Arrow;
@@ -7,7 +7,6 @@
  * of patent rights can be found in the PATENTS file in the same directory.
  *
  * @providesModule Circle.art
- * @typechecks
  *
  * Example usage:
  * <Circle
@@ -18,32 +17,37 @@
  * />
  *
  */
+'use strict';
 
-var React = require('react');
-var ReactART = require('./ReactART');
+const PropTypes = require('prop-types');
+const React = require('react');
+const ReactARTFiber = require('./ReactARTFiber');
+const assign = require('object-assign');
 
-var {PropTypes} = React;
-var Path = ReactART.Path;
-var Shape = ReactART.Shape;
+const {Path, Shape} = ReactARTFiber;
 
 /**
  * Circle is a React component for drawing circles. Like other ReactART
  * components, it must be used in a <Surface>.
  */
-var Circle = React.createClass({
-  propTypes: {
-    radius: PropTypes.number.isRequired,
-  },
+class Circle extends React.Component {
+  render() {
+    const {radius} = this.props;
 
-  render: function() {
-    var radius = this.props.radius;
+    const path = Path()
+      .moveTo(0, -radius)
+      .arc(0, radius * 2, radius)
+      .arc(0, radius * -2, radius)
+      .close();
 
-    var path = Path().moveTo(0, -radius)
-        .arc(0, radius * 2, radius)
-        .arc(0, radius * -2, radius)
-        .close();
-    return <Shape {...this.props} d={path} />;
-  },
-});
+    const shapeProps = assign({}, this.props);
+    delete shapeProps.radius;
+    return <Shape {...shapeProps} d={path} />;
+  }
+}
+
+Circle.propTypes = {
+  radius: PropTypes.number.isRequired,
+};
 
 module.exports = Circle;
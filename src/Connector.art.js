@@ -0,0 +1,424 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule Connector.art
+ *
+ * Example usage:
+ * <Connector
+ *   x1={0}
+ *   y1={0}
+ *   x2={100}
+ *   y2={50}
+ *   routing="orthogonal"
+ *   endMarker="arrow"
+ *   stroke="black"
+ *   strokeWidth={2}
+ * />
+ *
+ * Additional optional properties:
+ *   (String) orientation
+ *   (String) startMarker
+ *   (Number) markerSize
+ *
+ */
+'use strict';
+
+const PropTypes = require('prop-types');
+const React = require('react');
+const ReactARTEventPropagation = require('./ReactARTEventPropagation');
+const ReactARTFiber = require('./ReactARTFiber');
+
+const {Group, Path, Shape} = ReactARTFiber;
+const {EVENT_TYPES} = ReactARTEventPropagation;
+
+// Halvings of a curve to find where it is cut for a marker.
+const BISECTIONS = 30;
+
+// Props that place and show the whole connector, which its Group takes
+// along with its event handlers. The others are about how it is drawn.
+const GROUP_PROPS = [
+  'cursor',
+  'opacity',
+  'originX',
+  'originY',
+  'rotation',
+  'scale',
+  'scaleX',
+  'scaleY',
+  'title',
+  'transform',
+  'visible',
+  'x',
+  'y',
+];
+
+const MARKERS = ['none', 'arrow', 'openArrow', 'circle', 'diamond', 'bar'];
+
+/** Helper Methods */
+
+function getGroupProps(props) {
+  const groupProps = {};
+  const copy = prop => {
+    if (props[prop] !== undefined) {
+      groupProps[prop] = props[prop];
+    }
+  };
+
+  GROUP_PROPS.forEach(copy);
+  for (let prop in EVENT_TYPES) {
+    copy(prop);
+    copy(prop + 'Capture');
+  }
+  return groupProps;
+}
+
+// Routes are lists of segments, either lines [x0, y0, x1, y1] or cubic
+// curves [x0, y0, c1x, c1y, c2x, c2y, x1, y1], each starting where the one
+// before it ends.
+function getRoute(x1, y1, x2, y2, routing, orientation) {
+  const horizontal = orientation !== 'vertical';
+  const mx = (x1 + x2) / 2;
+  const my = (y1 + y2) / 2;
+
+  switch (routing) {
+    case 'orthogonal':
+      return (horizontal ?
+        [[x1, y1, mx, y1], [mx, y1, mx, y2], [mx, y2, x2, y2]] :
+        [[x1, y1, x1, my], [x1, my, x2, my], [x2, my, x2, y2]]
+      ).filter(segment =>
+        segment[0] !== segment[2] || segment[1] !== segment[3]
+      );
+    case 'curved':
+      return [horizontal ?
+        [x1, y1, mx, y1, mx, y2, x2, y2] :
+        [x1, y1, x1, my, x2, my, x2, y2]];
+    default:
+      return [[x1, y1, x2, y2]];
+  }
+}
+
+function reverseRoute(route) {
+  return route.slice().reverse().map(segment => {
+    const reversed = [];
+    for (let i = segment.length - 2; i >= 0; i -= 2) {
+      reversed.push(segment[i], segment[i + 1]);
+    }
+    return reversed;
+  });
+}
+
+function getCurvePoint(p, t) {
+  const mt = 1 - t;
+  const a = mt * mt * mt;
+  const b = 3 * mt * mt * t;
+  const c = 3 * mt * t * t;
+  const d = t * t * t;
+  return [
+    a * p[0] + b * p[2] + c * p[4] + d * p[6],
+    a * p[1] + b * p[3] + c * p[5] + d * p[7],
+  ];
+}
+
+function getCurveStart(p, t) {
+  // The part of the curve before t, by de Casteljau's algorithm.
+  const lerp = (a, b) => a + (b - a) * t;
+  const ax = lerp(p[0], p[2]);
+  const ay = lerp(p[1], p[3]);
+  const bx = lerp(p[2], p[4]);
+  const by = lerp(p[3], p[5]);
+  const cx = lerp(p[4], p[6]);
+  const cy = lerp(p[5], p[7]);
+  const dx = lerp(ax, bx);
+  const dy = lerp(ay, by);
+  const ex = lerp(bx, cx);
+  const ey = lerp(by, cy);
+  return [p[0], p[1], ax, ay, dx, dy, lerp(dx, ex), lerp(dy, ey)];
+}
+
+function getDistance(x1, y1, x2, y2) {
+  return Math.sqrt(Math.pow(x2 - x1, 2) + Math.pow(y2 - y1, 2));
+}
+
+function getLineCut(p, x, y, distance) {
+  // Where the line from its start first comes `distance` from x, y, the
+  // nearer of the points where it crosses the circle around it.
+  const dx = p[2] - p[0];
+  const dy = p[3] - p[1];
+  const fx = p[0] - x;
+  const fy = p[1] - y;
+  const a = dx * dx + dy * dy;
+  const b = 2 * (fx * dx + fy * dy);
+  const c = fx * fx + fy * fy - distance * distance;
+  const t = Math.max(
+    (-b - Math.sqrt(Math.max(b * b - 4 * a * c, 0))) / (2 * a),
+    0,
+  );
+  return [p[0], p[1], p[0] + dx * t, p[1] + dy * t];
+}
+
+function getCurveCut(p, x, y, distance) {
+  let min = 0;
+  let max = 1;
+  for (let i = 0; i < BISECTIONS; i++) {
+    const t = (min + max) / 2;
+    const point = getCurvePoint(p, t);
+    if (getDistance(point[0], point[1], x, y) >= distance) {
+      min = t;
+    } else {
+      max = t;
+    }
+  }
+  return getCurveStart(p, min);
+}
+
+// Cuts the end of the route off where it comes within `distance` of where
+// it ends, leaving nothing when all of it does.
+function trimRoute(route, distance) {
+  if (!distance || !route.length) {
+    return route;
+  }
+  const last = route[route.length - 1];
+  const x = last[last.length - 2];
+  const y = last[last.length - 1];
+
+  for (let i = route.length - 1; i >= 0; i--) {
+    const segment = route[i];
+    if (getDistance(segment[0], segment[1], x, y) >= distance) {
+      return route.slice(0, i).concat([
+        segment.length === 4 ?
+          getLineCut(segment, x, y, distance) :
+          getCurveCut(segment, x, y, distance),
+      ]);
+    }
+  }
+  return [];
+}
+
+function getMarkerInset(marker, size, strokeWidth) {
+  switch (marker) {
+    case 'arrow':
+    case 'circle':
+    case 'diamond':
+      // Filled markers are as long as their size, and the line stops at
+      // their back.
+      return size;
+    case 'openArrow':
+    case 'bar':
+      // Stroked ones meet the line at their tip, which the line's cap
+      // shouldn't stick out of.
+      return strokeWidth / 2;
+    default:
+      return 0;
+  }
+}
+
+function isMarkerFilled(marker) {
+  return marker === 'arrow' || marker === 'circle' || marker === 'diamond';
+}
+
+// Draws the marker with its tip at x, y pointing towards `angle`. Points are
+// given in sizes, `u` along the connector back from the tip and `v` across
+// it.
+function drawMarker(path, marker, x, y, angle, size) {
+  const cos = Math.cos(angle) * size;
+  const sin = Math.sin(angle) * size;
+  const getX = (u, v) => x - u * cos - v * sin;
+  const getY = (u, v) => y - u * sin + v * cos;
+  const moveTo = (u, v) => path.moveTo(getX(u, v), getY(u, v));
+  const lineTo = (u, v) => path.lineTo(getX(u, v), getY(u, v));
+
+  switch (marker) {
+    case 'arrow':
+      moveTo(0, 0);
+      lineTo(1, 0.5);
+      lineTo(1, -0.5);
+      path.close();
+      break;
+    case 'openArrow':
+      moveTo(1, 0.5);
+      lineTo(0, 0);
+      lineTo(1, -0.5);
+      break;
+    case 'circle':
+      moveTo(0, 0);
+      path.arcTo(getX(1, 0), getY(1, 0), size / 2);
+      path.arcTo(x, y, size / 2);
+      path.close();
+      break;
+    case 'diamond':
+      moveTo(0, 0);
+      lineTo(0.5, 1 / 3);
+      lineTo(1, 0);
+      lineTo(0.5, -1 / 3);
+      path.close();
+      break;
+    case 'bar':
+      moveTo(0, 0.5);
+      lineTo(0, -0.5);
+      break;
+  }
+}
+
+function getEnd(route) {
+  const last = route[route.length - 1];
+  return [last[last.length - 2], last[last.length - 1]];
+}
+
+// The direction the marker at the end of `route` points in, from where the
+// trimmed line meets it to its tip, or along the whole connector when
+// nothing is left of the line.
+function getMarkerAngle(route, trimmedRoute, x, y) {
+  const points = [
+    trimmedRoute.length && getEnd(trimmedRoute),
+    route.length && route[0],
+  ];
+  for (let i = 0; i < points.length; i++) {
+    const point = points[i];
+    if (point && (point[0] !== x || point[1] !== y)) {
+      return Math.atan2(y - point[1], x - point[0]);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Connector is a React component for drawing edges between two points, like
+ * those of flowcharts, from `x1`, `y1` to `x2`, `y2`. Its `routing` is
+ * either straight, orthogonal, with elbows halfway between the points, or
+ * curved. Orthogonal and curved connectors leave and reach their points
+ * horizontally unless their `orientation` is vertical.
+ *
+ * Its ends can have a `startMarker` and an `endMarker`: arrow, openArrow,
+ * circle, diamond, bar or none. Markers are `markerSize` times the
+ * strokeWidth, filled ones in the color of the stroke, and the line stops
+ * short of them. Only the props that place and show the whole connector, and
+ * its event handlers, go on to the Group it draws in. Like other ReactART
+ * components, it must be used in a <Surface>.
+ */
+class Connector extends React.Component {
+  render() {
+    const {
+      endMarker,
+      markerSize,
+      orientation,
+      routing,
+      startMarker,
+      stroke,
+      strokeCap,
+      strokeDash,
+      strokeJoin,
+      x1,
+      x2,
+      y1,
+      y2,
+    } = this.props;
+    const strokeWidth = this.props.strokeWidth == null ?
+      1 :
+      this.props.strokeWidth;
+    const size = markerSize * strokeWidth;
+
+    const route = getRoute(x1, y1, x2, y2, routing, orientation);
+    const endRoute = trimRoute(
+      route,
+      getMarkerInset(endMarker, size, strokeWidth),
+    );
+    const startRoute = reverseRoute(trimRoute(
+      reverseRoute(endRoute),
+      getMarkerInset(startMarker, size, strokeWidth),
+    ));
+
+    const line = Path();
+    startRoute.forEach((segment, i) => {
+      if (i === 0) {
+        line.moveTo(segment[0], segment[1]);
+      }
+      if (segment.length === 4) {
+        line.lineTo(segment[2], segment[3]);
+      } else {
+        line.curveTo(
+          segment[2], segment[3],
+          segment[4], segment[5],
+          segment[6], segment[7],
+        );
+      }
+    });
+
+    const filled = Path();
+    const stroked = Path();
+    if (startMarker) {
+      drawMarker(
+        isMarkerFilled(startMarker) ? filled : stroked,
+        startMarker,
+        x1,
+        y1,
+        getMarkerAngle(
+          reverseRoute(route),
+          reverseRoute(startRoute),
+          x1,
+          y1,
+        ),
+        size,
+      );
+    }
+    if (endMarker) {
+      drawMarker(
+        isMarkerFilled(endMarker) ? filled : stroked,
+        endMarker,
+        x2,
+        y2,
+        getMarkerAngle(route, endRoute, x2, y2),
+        size,
+      );
+    }
+
+    return (
+      <Group {...getGroupProps(this.props)}>
+        <Shape
+          d={line}
+          stroke={stroke}
+          strokeCap={strokeCap}
+          strokeDash={strokeDash}
+          strokeJoin={strokeJoin}
+          strokeWidth={strokeWidth}
+        />
+        <Shape d={filled} fill={stroke} />
+        <Shape
+          d={stroked}
+          stroke={stroke}
+          strokeCap={strokeCap}
+          strokeJoin={strokeJoin}
+          strokeWidth={strokeWidth}
+        />
+      </Group>
+    );
+  }
+}
+
+Connector.propTypes = {
+  x1: PropTypes.number,
+  y1: PropTypes.number,
+  x2: PropTypes.number,
+  y2: PropTypes.number,
+  routing: PropTypes.oneOf(['straight', 'orthogonal', 'curved']),
+  orientation: PropTypes.oneOf(['horizontal', 'vertical']),
+  startMarker: PropTypes.oneOf(MARKERS),
+  endMarker: PropTypes.oneOf(MARKERS),
+  markerSize: PropTypes.number,
+};
+
+Connector.defaultProps = {
+  markerSize: 4,
+  orientation: 'horizontal',
+  routing: 'straight',
+  x1: 0,
+  x2: 0,
+  y1: 0,
+  y2: 0,
+};
+
+module.exports = Connector;
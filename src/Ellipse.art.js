@@ -0,0 +1,56 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule Ellipse.art
+ *
+ * Example usage:
+ * <Ellipse
+ *   rx={20}
+ *   ry={10}
+ *   stroke="green"
+ *   fill="blue"
+ * />
+ *
+ */
+'use strict';
+
+const PropTypes = require('prop-types');
+const React = require('react');
+const ReactARTFiber = require('./ReactARTFiber');
+const assign = require('object-assign');
+
+const {Path, Shape} = ReactARTFiber;
+
+/**
+ * Ellipse is a React component for drawing ellipses around their center,
+ * `rx` wide and `ry` high either side of it. Like other ReactART components,
+ * it must be used in a <Surface>.
+ */
+class Ellipse extends React.Component {
+  render() {
+    const {rx, ry} = this.props;
+
+    const path = Path()
+      .moveTo(0, -ry)
+      .arc(0, ry * 2, rx, ry)
+      .arc(0, ry * -2, rx, ry)
+      .close();
+
+    const shapeProps = assign({}, this.props);
+    delete shapeProps.rx;
+    delete shapeProps.ry;
+    return <Shape {...shapeProps} d={path} />;
+  }
+}
+
+Ellipse.propTypes = {
+  rx: PropTypes.number.isRequired,
+  ry: PropTypes.number.isRequired,
+};
+
+module.exports = Ellipse;
@@ -0,0 +1,64 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule Line.art
+ *
+ * Example usage:
+ * <Line
+ *   x1={0}
+ *   y1={0}
+ *   x2={100}
+ *   y2={50}
+ *   stroke="green"
+ *   strokeWidth={2}
+ * />
+ *
+ */
+'use strict';
+
+const PropTypes = require('prop-types');
+const React = require('react');
+const ReactARTFiber = require('./ReactARTFiber');
+const assign = require('object-assign');
+
+const {Path, Shape} = ReactARTFiber;
+
+/**
+ * Line is a React component for drawing a straight line from (x1, y1) to
+ * (x2, y2). Like other ReactART components, it must be used in a <Surface>.
+ */
+class Line extends React.Component {
+  render() {
+    const {x1, y1, x2, y2} = this.props;
+
+    const path = Path().moveTo(x1, y1).lineTo(x2, y2);
+
+    const shapeProps = assign({}, this.props);
+    delete shapeProps.x1;
+    delete shapeProps.y1;
+    delete shapeProps.x2;
+    delete shapeProps.y2;
+    return <Shape {...shapeProps} d={path} />;
+  }
+}
+
+Line.propTypes = {
+  x1: PropTypes.number,
+  y1: PropTypes.number,
+  x2: PropTypes.number,
+  y2: PropTypes.number,
+};
+
+Line.defaultProps = {
+  x1: 0,
+  y1: 0,
+  x2: 0,
+  y2: 0,
+};
+
+module.exports = Line;
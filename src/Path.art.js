@@ -10,10 +10,19 @@
  */
 'use strict';
 
-// TODO: Move this into an ART mode called "serialized" or something
+// Records paths as plain lists of commands, which can be replayed into the
+// paths of any mode. It is the Path of ARTSerializedMode.
 
+var ARTPathBoolean = require('./ARTPathBoolean');
+var ARTPathData = require('./ARTPathData');
+var ARTPathGeometry = require('./ARTPathGeometry');
+var ARTPathInterpolation = require('./ARTPathInterpolation');
+var ARTPathSimplify = require('./ARTPathSimplify');
+var ARTPathStroke = require('./ARTPathStroke');
 var Class = require('art/core/class.js');
 var Path = require('art/core/path.js');
+var assign = require('object-assign');
+var warning = require('fbjs/lib/warning');
 
 var MOVE_TO = 0;
 var CLOSE = 1;
@@ -21,6 +30,39 @@ var LINE_TO = 2;
 var CURVE_TO = 3;
 var ARC = 4;
 
+// Parts of transforms this close are equal, which absorbs the rounding errors
+// of rotating them.
+var EPSILON = 1e-9;
+
+// Curves are measured along polylines within this distance of them.
+var MEASURING_TOLERANCE = 0.01;
+
+// Curves are flattened to polylines within this distance for containsPoint,
+// like Shapes are for hit testing, and by default for boolean operations and
+// outlines.
+var FLATTENING_TOLERANCE = 0.1;
+
+// Mode paths only take end points for arcs, so recover them from the center
+// and angles we store.
+function applyArcToPath(target, cx, cy, r, sa, ea, ccw) {
+  var arc = ea - sa;
+  if (arc < 0 && !ccw) {
+    arc += Math.PI * 2;
+  } else if (arc > 0 && ccw) {
+    arc -= Math.PI * 2;
+  }
+
+  var x = cx + r * Math.cos(ea);
+  var y = cy + r * Math.sin(ea);
+  var large = Math.abs(arc) > Math.PI;
+
+  if (ccw) {
+    target.counterArcTo(x, y, r, r, large);
+  } else {
+    target.arcTo(x, y, r, r, large);
+  }
+}
+
 var SerializablePath = Class(Path, {
 
   initialize: function(path) {
@@ -67,10 +109,408 @@ var SerializablePath = Class(Path, {
     this.path.push(CLOSE);
   },
 
+  applyToPath: function(target) {
+    var path = this.path;
+
+    target.reset();
+
+    for (var i = 0, l = path.length; i < l;) {
+      switch (path[i]) {
+        case MOVE_TO:
+          target.moveTo(path[i + 1], path[i + 2]);
+          i += 3;
+          break;
+        case CLOSE:
+          target.close();
+          i += 1;
+          break;
+        case LINE_TO:
+          target.lineTo(path[i + 1], path[i + 2]);
+          i += 3;
+          break;
+        case CURVE_TO:
+          target.curveTo(
+            path[i + 1], path[i + 2],
+            path[i + 3], path[i + 4],
+            path[i + 5], path[i + 6]
+          );
+          i += 7;
+          break;
+        case ARC:
+          applyArcToPath(
+            target,
+            path[i + 1], path[i + 2], path[i + 3],
+            path[i + 4], path[i + 5], !path[i + 6]
+          );
+          i += 7;
+          break;
+      }
+    }
+  },
+
   toJSON: function() {
     return this.path;
+  },
+
+  /**
+   * Returns the path as SVG path data, with absolute commands and numbers
+   * rounded to `precision` decimals if it is given. Path.parse reads it back
+   * into the same path.
+   */
+  toSVGString: function(precision) {
+    return ARTPathData.serialize(this.path, precision);
+  },
+
+  /**
+   * toSVGString by the name that the Paths of ART's modes give it, for code
+   * written against those.
+   */
+  toSVG: function(precision) {
+    return this.toSVGString(precision);
+  },
+
+  /**
+   * Returns the length of everything the path draws, including the lines
+   * that close subpaths.
+   */
+  getTotalLength: function() {
+    return this._measure().length;
+  },
+
+  /**
+   * Returns the point `length` along the path as {x, y, angle}, where angle
+   * is the direction of the path there in degrees, as the `rotation` prop of
+   * something placed along it takes. Lengths outside the path are clamped to
+   * its ends. Returns null if the path draws nothing.
+   */
+  getPointAtLength: function(length) {
+    return ARTPathGeometry.getPointAtLength(this._measure(), length);
+  },
+
+  /**
+   * Returns the smallest rectangle around the path as {x, y, width, height},
+   * or null if the path draws nothing. Curves are included exactly, not by
+   * their control points.
+   */
+  getBounds: function() {
+    return ARTPathGeometry.getBounds(this.path);
+  },
+
+  /**
+   * Tests whether a point is inside the area the path fills, by 'evenodd',
+   * like Shapes are filled, or 'nonzero'.
+   */
+  containsPoint: function(x, y, fillRule) {
+    return ARTPathGeometry.containsPoint(
+      ARTPathGeometry.flatten(this.path, FLATTENING_TOLERANCE),
+      x, y,
+      fillRule || 'evenodd'
+    );
+  },
+
+  /**
+   * Returns a copy of the path with `transform`, an ART Transform, applied to
+   * its points, like for exporting it without the transform of its Shape.
+   * Arcs stay arcs if the transform keeps circles round, and become curves
+   * otherwise.
+   */
+  transform: function(transform) {
+    var xx = transform.xx;
+    var yx = transform.yx;
+    var xy = transform.xy;
+    var yy = transform.yy;
+    var result = new SerializablePath();
+    var path = this.path;
+
+    function getX(x, y) {
+      return xx * x + xy * y + transform.x;
+    }
+
+    function getY(x, y) {
+      return yx * x + yy * y + transform.y;
+    }
+
+    // Circles stay round when the transform only rotates, scales evenly and
+    // maybe mirrors.
+    var angle = Math.atan2(yx, xx);
+    var scale = Math.sqrt(xx * xx + yx * yx);
+    var mirrors = Math.abs(xx + yy) < EPSILON && Math.abs(yx - xy) < EPSILON;
+    var keepsCircles = scale > EPSILON && (
+      mirrors || Math.abs(xx - yy) < EPSILON && Math.abs(yx + xy) < EPSILON
+    );
+
+    for (var i = 0, l = path.length; i < l;) {
+      switch (path[i]) {
+        case MOVE_TO:
+          result.moveTo(
+            getX(path[i + 1], path[i + 2]),
+            getY(path[i + 1], path[i + 2])
+          );
+          i += 3;
+          break;
+        case CLOSE:
+          result.close();
+          i += 1;
+          break;
+        case LINE_TO:
+          result.lineTo(
+            getX(path[i + 1], path[i + 2]),
+            getY(path[i + 1], path[i + 2])
+          );
+          i += 3;
+          break;
+        case CURVE_TO:
+          result.curveTo(
+            getX(path[i + 1], path[i + 2]), getY(path[i + 1], path[i + 2]),
+            getX(path[i + 3], path[i + 4]), getY(path[i + 3], path[i + 4]),
+            getX(path[i + 5], path[i + 6]), getY(path[i + 5], path[i + 6])
+          );
+          i += 7;
+          break;
+        case ARC:
+          var cx = path[i + 1];
+          var cy = path[i + 2];
+          var r = path[i + 3];
+          var sa = path[i + 4];
+          var ea = path[i + 5];
+          var clockwise = !!path[i + 6];
+          var sx = getX(cx + r * Math.cos(sa), cy + r * Math.sin(sa));
+          var sy = getY(cx + r * Math.cos(sa), cy + r * Math.sin(sa));
+          if (!ARTPathGeometry.isSamePoint(result.penX, result.penY, sx, sy)) {
+            result.lineTo(sx, sy);
+          }
+          if (keepsCircles) {
+            // Rotating turns the angles by that of the transform, and
+            // mirroring turns them into the angle of the mirror less them.
+            var sweep = ARTPathGeometry.getArcSweep(sa, ea, clockwise);
+            var start = mirrors ? angle - sa : angle + sa;
+            applyArcToPath(
+              result,
+              getX(cx, cy), getY(cx, cy), r * scale,
+              start, mirrors ? start - sweep : start + sweep,
+              mirrors ? clockwise : !clockwise
+            );
+          } else {
+            var points = ARTPathGeometry.getArcCurves(
+              cx, cy, r, sa, ea, clockwise
+            );
+            for (var j = 0; j < points.length; j += 6) {
+              result.curveTo(
+                getX(points[j], points[j + 1]),
+                getY(points[j], points[j + 1]),
+                getX(points[j + 2], points[j + 3]),
+                getY(points[j + 2], points[j + 3]),
+                getX(points[j + 4], points[j + 5]),
+                getY(points[j + 4], points[j + 5])
+              );
+            }
+          }
+          i += 7;
+          break;
+      }
+    }
+
+    return result;
+  },
+
+  _measure: function() {
+    // Commands are only ever appended, or replaced on reset, so measurements
+    // hold as long as the list and its length are the same.
+    var cache = this._measurements;
+    if (
+      !cache ||
+      cache.commands !== this.path ||
+      cache.count !== this.path.length
+    ) {
+      cache = this._measurements = {
+        commands: this.path,
+        count: this.path.length,
+        measurements: ARTPathGeometry.measure(this.path, MEASURING_TOLERANCE),
+      };
+    }
+    return cache.measurements;
   }
 
 });
 
+/**
+ * Reads SVG path data, like the `d` attribute of SVG paths, into a path. All
+ * of the grammar is supported: absolute and relative commands, horizontal and
+ * vertical lines, quadratic and smooth curves and elliptical arcs. Like SVG,
+ * invalid data is drawn up to the first error.
+ */
+SerializablePath.parse = function(d) {
+  var path = new SerializablePath();
+  var valid = ARTPathData.parse(String(d), path);
+  warning(valid, 'Path.parse: Invalid path data "%s".', d);
+  return path;
+};
+
+function fromCurves(subpaths) {
+  var path = new SerializablePath();
+  subpaths.forEach(function(subpath) {
+    var points = subpath.points;
+    path.moveTo(points[0], points[1]);
+    for (var i = 2; i < points.length; i += 6) {
+      path.curveTo(
+        points[i], points[i + 1],
+        points[i + 2], points[i + 3],
+        points[i + 4], points[i + 5]
+      );
+    }
+    if (subpath.closed) {
+      path.close();
+    }
+  });
+  return path;
+}
+
+/**
+ * Returns a function of `t` that morphs `from` into `to`: it returns a path
+ * that looks like `from` for 0, like `to` for 1 and like a blend of them in
+ * between. Both are drawn with cubic curves, split until they have as many
+ * as each other. Subpaths are paired by their order, and those without a
+ * pair grow from or shrink to their center. Use it as the `d` of an animated
+ * Shape:
+ *
+ *   d={progress.interpolate(Path.interpolate(bar, pie))}
+ */
+SerializablePath.interpolate = function(from, to) {
+  var interpolate = ARTPathInterpolation.interpolate(
+    ARTPathGeometry.toCurves(new SerializablePath(from).path),
+    ARTPathGeometry.toCurves(new SerializablePath(to).path)
+  );
+
+  return function(t) {
+    return fromCurves(interpolate(t));
+  };
+};
+
+function getTolerance(options) {
+  return options && options.tolerance != null ?
+    options.tolerance :
+    FLATTENING_TOLERANCE;
+}
+
+function fromPolylines(subpaths) {
+  var path = new SerializablePath();
+  subpaths.forEach(function(subpath) {
+    var points = subpath.points;
+    path.moveTo(points[0], points[1]);
+    for (var i = 2; i < points.length; i += 2) {
+      path.lineTo(points[i], points[i + 1]);
+    }
+    if (subpath.closed) {
+      path.close();
+    }
+  });
+  return path;
+}
+
+function createBooleanOperation(operation) {
+  return function(a, b, options) {
+    var tolerance = getTolerance(options);
+    var fillRule = options && options.fillRule || 'evenodd';
+
+    return fromPolylines(ARTPathBoolean.combine(
+      operation,
+      ARTPathGeometry.flatten(new SerializablePath(a).path, tolerance),
+      ARTPathGeometry.flatten(new SerializablePath(b).path, tolerance),
+      fillRule
+    ));
+  };
+}
+
+/**
+ * Path.union(a, b, options), Path.intersect, Path.difference and Path.xor
+ * return a path that fills the area that `a` and `b` fill combined. Like
+ * Shapes, the paths fill by the 'evenodd' rule unless `options.fillRule` is
+ * 'nonzero'. Curves are flattened to lines within `options.tolerance`, which
+ * is 0.1 by default, so scale paths up before combining them if they are
+ * drawn scaled up. To cut a doorway out of a wall:
+ *
+ *   <Shape d={Path.difference(wall, doorway)} fill="gray" />
+ */
+SerializablePath.union = createBooleanOperation('union');
+SerializablePath.intersect = createBooleanOperation('intersect');
+SerializablePath.difference = createBooleanOperation('difference');
+SerializablePath.xor = createBooleanOperation('xor');
+
+/**
+ * Returns a path that fills the area that stroking `path` covers, so that it
+ * can be filled instead, like for a hit area around a thin line. The options
+ * are `width`, `cap` and `join` like the strokeWidth, strokeCap and strokeJoin
+ * props, with the same defaults, `miterLimit`, in half widths like in canvas,
+ * and `tolerance` like for Path.union.
+ */
+SerializablePath.strokeToOutline = function(path, options) {
+  var tolerance = getTolerance(options);
+
+  return fromPolylines(ARTPathStroke.stroke(
+    ARTPathGeometry.flatten(new SerializablePath(path).path, tolerance),
+    assign({}, options, {tolerance: tolerance})
+  ));
+};
+
+/**
+ * Returns a path that fills the area that `path` fills grown by `distance`,
+ * or shrunk if it is negative. Corners are rounded unless `options.join` is
+ * 'miter' or 'bevel'. The other options are as for Path.strokeToOutline,
+ * and `fillRule` as for Path.union.
+ */
+SerializablePath.offset = function(path, distance, options) {
+  var tolerance = getTolerance(options);
+  var fillRule = options && options.fillRule || 'evenodd';
+  var area = ARTPathGeometry.flatten(
+    new SerializablePath(path).path,
+    tolerance
+  );
+  var outline = ARTPathStroke.stroke(area, assign({}, options, {
+    closed: true,
+    tolerance: tolerance,
+    width: Math.abs(distance) * 2,
+  }));
+
+  return fromPolylines(ARTPathBoolean.combine(
+    distance > 0 ? 'union' : 'difference',
+    area,
+    outline,
+    fillRule
+  ));
+};
+
+/**
+ * Returns a copy of `path` with its curves and arcs approximated by lines
+ * within `tolerance`, 0.1 by default.
+ */
+SerializablePath.flatten = function(path, tolerance) {
+  return fromPolylines(ARTPathGeometry.flatten(
+    new SerializablePath(path).path,
+    tolerance != null ? tolerance : FLATTENING_TOLERANCE
+  ));
+};
+
+/**
+ * Returns a copy of `path` with the points dropped that make little difference
+ * to it, like for noisy recorded tracks. By default, the Ramer-Douglas-Peucker
+ * algorithm keeps it within `tolerance` of where it was. With `options.method`
+ * 'visvalingam', points are dropped for as long as the smallest triangle one
+ * makes with its neighbours has less area than `tolerance`. Curves are
+ * flattened first, within `options.flatteningTolerance`.
+ */
+SerializablePath.simplify = function(path, tolerance, options) {
+  var flatteningTolerance = options && options.flatteningTolerance != null ?
+    options.flatteningTolerance :
+    FLATTENING_TOLERANCE;
+
+  return fromPolylines(ARTPathSimplify.simplify(
+    ARTPathGeometry.flatten(
+      new SerializablePath(path).path,
+      flatteningTolerance
+    ),
+    tolerance,
+    options && options.method
+  ));
+};
+
 module.exports = SerializablePath;
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule Polygon.art
+ *
+ * Example usage:
+ * <Polygon
+ *   points={[0, 0, 50, 0, 25, 40]}
+ *   stroke="green"
+ *   fill="blue"
+ * />
+ *
+ * Additional optional properties:
+ *   (Boolean) smooth
+ *   (Number) tension
+ *
+ */
+'use strict';
+
+const PropTypes = require('prop-types');
+const Polyline = require('./Polyline.art');
+const React = require('react');
+
+/**
+ * Polygon is a React component for drawing closed shapes through `points`,
+ * like [x0, y0, x1, y1, ...]. It is a closed Polyline, and takes the same
+ * `smooth` and `tension` props. Like other ReactART components, it must be
+ * used in a <Surface>.
+ */
+class Polygon extends React.Component {
+  render() {
+    return <Polyline {...this.props} closed={true} />;
+  }
+}
+
+Polygon.propTypes = {
+  points: PropTypes.arrayOf(PropTypes.number).isRequired,
+  smooth: PropTypes.bool,
+  tension: PropTypes.number,
+};
+
+module.exports = Polygon;
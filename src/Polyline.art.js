@@ -0,0 +1,115 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule Polyline.art
+ *
+ * Example usage:
+ * <Polyline
+ *   points={[0, 0, 50, 25, 100, 0]}
+ *   stroke="green"
+ *   strokeWidth={2}
+ * />
+ *
+ * Additional optional properties:
+ *   (Boolean) smooth
+ *   (Number) tension
+ *   (Boolean) closed
+ *
+ */
+'use strict';
+
+const PropTypes = require('prop-types');
+const React = require('react');
+const ReactARTFiber = require('./ReactARTFiber');
+const assign = require('object-assign');
+
+const {Path, Shape} = ReactARTFiber;
+
+/** Helper Methods */
+
+function createPath(points, closed, smooth, tension) {
+  const path = Path();
+  const count = Math.floor(points.length / 2);
+  if (!count) {
+    return path;
+  }
+
+  path.moveTo(points[0], points[1]);
+
+  if (!smooth || count < 3) {
+    for (let i = 1; i < count; i++) {
+      path.lineTo(points[i * 2], points[i * 2 + 1]);
+    }
+  } else {
+    // A cardinal spline, which passes through every point in the direction
+    // from the one before it to the one after it. The ends of open lines
+    // have no point beyond them, so they stand in for it themselves.
+    const getIndex = i => closed ?
+      (i + count) % count * 2 :
+      Math.min(Math.max(i, 0), count - 1) * 2;
+    const scale = tension / 3;
+
+    for (let i = 0; i < (closed ? count : count - 1); i++) {
+      const p0 = getIndex(i - 1);
+      const p1 = getIndex(i);
+      const p2 = getIndex(i + 1);
+      const p3 = getIndex(i + 2);
+      path.curveTo(
+        points[p1] + (points[p2] - points[p0]) * scale,
+        points[p1 + 1] + (points[p2 + 1] - points[p0 + 1]) * scale,
+        points[p2] - (points[p3] - points[p1]) * scale,
+        points[p2 + 1] - (points[p3 + 1] - points[p1 + 1]) * scale,
+        points[p2],
+        points[p2 + 1]
+      );
+    }
+  }
+
+  if (closed) {
+    path.close();
+  }
+  return path;
+}
+
+/**
+ * Polyline is a React component for drawing lines through `points`, a flat
+ * array of their coordinates like [x0, y0, x1, y1, ...]. With `smooth`, it
+ * curves through them instead, by as much as `tension`, where 0.5 draws a
+ * Catmull-Rom spline and 0 straight lines. With `closed`, the line goes back
+ * to where it started, like a Polygon. Like other ReactART components, it
+ * must be used in a <Surface>.
+ */
+class Polyline extends React.Component {
+  render() {
+    const {closed, points, smooth, tension} = this.props;
+
+    const path = createPath(points, closed, smooth, tension);
+
+    const shapeProps = assign({}, this.props);
+    delete shapeProps.closed;
+    delete shapeProps.points;
+    delete shapeProps.smooth;
+    delete shapeProps.tension;
+    return <Shape {...shapeProps} d={path} />;
+  }
+}
+
+Polyline.propTypes = {
+  points: PropTypes.arrayOf(PropTypes.number).isRequired,
+  closed: PropTypes.bool,
+  smooth: PropTypes.bool,
+  tension: PropTypes.number,
+};
+
+Polyline.defaultProps = {
+  closed: false,
+  smooth: false,
+  tension: 0.5,
+};
+
+module.exports = Polyline;
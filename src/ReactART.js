@@ -17,6 +17,7 @@ require('art/modes/current').setCurrent(
 
 const Transform = require('art/core/transform');
 const Mode = require('art/modes/current');
+const SerializablePath = require('./Path.art');
 
 const React = require('react');
 const ReactDOM = require('react-dom');
@@ -255,7 +256,20 @@ const EventTypes = {
   onMouseOut: 'mouseout',
   onMouseUp: 'mouseup',
   onMouseDown: 'mousedown',
-  onClick: 'click'
+  onClick: 'click',
+  onDoubleClick: 'dblclick',
+  onContextMenu: 'contextmenu',
+  onPointerDown: 'pointerdown',
+  onPointerMove: 'pointermove',
+  onPointerUp: 'pointerup',
+  onPointerEnter: 'pointerenter',
+  onPointerLeave: 'pointerleave',
+  onPointerCancel: 'pointercancel',
+  onTouchStart: 'touchstart',
+  onTouchMove: 'touchmove',
+  onTouchEnd: 'touchend',
+  onTouchCancel: 'touchcancel',
+  onWheel: 'wheel'
 };
 
 const NodeMixin = {
@@ -633,7 +647,7 @@ module.exports = {
   ClippingRectangle,
   Group,
   LinearGradient,
-  Path: Mode.Path,
+  Path: SerializablePath,
   Pattern,
   RadialGradient,
   Shape,
@@ -0,0 +1,413 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactARTAnimated
+ */
+'use strict';
+
+const Color = require('art/core/color');
+const React = require('react');
+const ReactARTAnimationFrame = require('./ReactARTAnimationFrame');
+const ReactARTFiber = require('./ReactARTFiber');
+const invariant = require('fbjs/lib/invariant');
+
+const {updateInstance} =
+  ReactARTFiber.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED;
+const {cancelFrame, requestFrame} = ReactARTAnimationFrame;
+
+// Springs are simulated in steps of this many milliseconds, which keeps them
+// stable however long frames take.
+const SPRING_STEP = 1;
+
+// Frames longer than this, like after switching tabs, are cut short.
+const MAX_FRAME_DURATION = 64;
+
+let nextListenerId = 1;
+
+/** Helper Methods */
+
+function easeInOut(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2;
+}
+
+function getProps(props) {
+  // Replaces animated values with what they currently are.
+  const values = {};
+  for (let key in props) {
+    const value = props[key];
+    values[key] = value instanceof AnimatedNode ? value.getValue() : value;
+  }
+  return values;
+}
+
+function interpolateColors(outputRange) {
+  const colors = outputRange.map(color => new Color(color));
+
+  return (i, t) => {
+    const from = colors[i];
+    const to = colors[i + 1];
+    return 'rgba(' +
+      Math.round(from.red + (to.red - from.red) * t) + ', ' +
+      Math.round(from.green + (to.green - from.green) * t) + ', ' +
+      Math.round(from.blue + (to.blue - from.blue) * t) + ', ' +
+      (from.alpha + (to.alpha - from.alpha) * t) + ')';
+  };
+}
+
+function interpolateNumbers(outputRange) {
+  return (i, t) => outputRange[i] + (outputRange[i + 1] - outputRange[i]) * t;
+}
+
+function createInterpolator(config) {
+  const {extrapolate, inputRange, outputRange} = config;
+
+  invariant(
+    inputRange.length >= 2 && inputRange.length === outputRange.length,
+    'ReactARTAnimated: inputRange and outputRange must have the same ' +
+    'length of at least 2.'
+  );
+
+  const interpolate = typeof outputRange[0] === 'number' ?
+    interpolateNumbers(outputRange) :
+    interpolateColors(outputRange);
+  const last = inputRange.length - 1;
+
+  return input => {
+    if (extrapolate === 'clamp') {
+      input = Math.min(Math.max(input, inputRange[0]), inputRange[last]);
+    }
+
+    let i = 0;
+    while (i < last - 1 && input > inputRange[i + 1]) {
+      i++;
+    }
+
+    const t = (input - inputRange[i]) / (inputRange[i + 1] - inputRange[i]);
+    return interpolate(i, config.easing ? config.easing(t) : t);
+  };
+}
+
+/** Animated Values */
+
+class AnimatedNode {
+  getValue() {
+    return null;
+  }
+
+  /**
+   * Maps the value through `config`, either a function of the value or
+   * `{inputRange, outputRange, easing, extrapolate}`, where the outputs are
+   * numbers or colors. Values outside of inputRange are extrapolated unless
+   * `extrapolate` is 'clamp'.
+   */
+  interpolate(config) {
+    return new AnimatedInterpolation(this, config);
+  }
+}
+
+class AnimatedValue extends AnimatedNode {
+  constructor(value) {
+    super();
+    this._animation = null;
+    this._listeners = {};
+    this._value = value;
+  }
+
+  getValue() {
+    return this._value;
+  }
+
+  setValue(value) {
+    this.stopAnimation();
+    this._update(value);
+  }
+
+  /**
+   * Calls `callback` with every new value. Returns an id for removeListener.
+   */
+  addListener(callback) {
+    const id = String(nextListenerId++);
+    this._listeners[id] = callback;
+    return id;
+  }
+
+  removeListener(id) {
+    delete this._listeners[id];
+  }
+
+  stopAnimation(callback) {
+    if (this._animation) {
+      this._animation.stop();
+    }
+    if (callback) {
+      callback(this._value);
+    }
+  }
+
+  _animate(animation) {
+    this.stopAnimation();
+    this._animation = animation;
+  }
+
+  _update(value) {
+    this._value = value;
+    for (let id in this._listeners) {
+      this._listeners[id](value);
+    }
+  }
+}
+
+class AnimatedInterpolation extends AnimatedNode {
+  constructor(parent, config) {
+    super();
+    this._parent = parent;
+    this._interpolate = typeof config === 'function' ?
+      config :
+      createInterpolator(config);
+  }
+
+  getValue() {
+    return this._interpolate(this._parent.getValue());
+  }
+
+  addListener(callback) {
+    return this._parent.addListener(() => callback(this.getValue()));
+  }
+
+  removeListener(id) {
+    this._parent.removeListener(id);
+  }
+}
+
+/** Drivers */
+
+/**
+ * Moves an AnimatedValue on every animation frame, as `step` computes from
+ * the milliseconds since the last frame until it returns that it is done.
+ */
+class Animation {
+  constructor(value, step) {
+    this._callback = null;
+    this._frame = null;
+    this._step = step;
+    this._time = 0;
+    this._value = value;
+  }
+
+  start(callback) {
+    this._callback = callback || null;
+    this._value._animate(this);
+    this._time = Date.now();
+    this._frame = requestFrame(() => this._tick());
+    return this;
+  }
+
+  stop() {
+    this._finish(false);
+  }
+
+  _tick() {
+    const now = Date.now();
+    const elapsed = Math.min(now - this._time, MAX_FRAME_DURATION);
+    this._time = now;
+
+    const result = this._step(elapsed);
+    if (result.done) {
+      this._frame = null;
+      this._value._update(result.value);
+      this._finish(true);
+    } else {
+      this._frame = requestFrame(() => this._tick());
+      this._value._update(result.value);
+    }
+  }
+
+  _finish(finished) {
+    if (this._frame != null) {
+      cancelFrame(this._frame);
+      this._frame = null;
+    }
+    if (this._value._animation === this) {
+      this._value._animation = null;
+    }
+
+    const callback = this._callback;
+    this._callback = null;
+    if (callback) {
+      callback({finished});
+    }
+  }
+}
+
+/**
+ * Animates `value` to `config.toValue` over `config.duration` milliseconds,
+ * after `config.delay`, along `config.easing`.
+ */
+function timing(value, config) {
+  const duration = config.duration != null ? config.duration : 500;
+  const easing = config.easing || easeInOut;
+  let from = null;
+  let time = -(config.delay || 0);
+
+  return new Animation(value, elapsed => {
+    if (from == null) {
+      from = value.getValue();
+    }
+
+    time += elapsed;
+    const t = duration > 0 ? Math.min(Math.max(time, 0) / duration, 1) : 1;
+
+    return {
+      done: t === 1,
+      value: t === 1 ?
+        config.toValue :
+        from + (config.toValue - from) * easing(t),
+    };
+  });
+}
+
+/**
+ * Animates `value` to `config.toValue` like a damped spring, starting with
+ * `config.velocity` in units per millisecond.
+ */
+function spring(value, config) {
+  const stiffness = config.stiffness != null ? config.stiffness : 170;
+  const damping = config.damping != null ? config.damping : 26;
+  const mass = config.mass != null ? config.mass : 1;
+  const restDisplacement = config.restDisplacementThreshold || 0.001;
+  const restSpeed = config.restSpeedThreshold || 0.001;
+  const toValue = config.toValue;
+  let position = null;
+  // Simulated in seconds, so that the constants work like in CSS springs.
+  let velocity = (config.velocity || 0) * 1000;
+
+  return new Animation(value, elapsed => {
+    if (position == null) {
+      position = value.getValue();
+    }
+
+    for (let time = 0; time < elapsed; time += SPRING_STEP) {
+      const dt = Math.min(SPRING_STEP, elapsed - time) / 1000;
+      const force = -stiffness * (position - toValue) - damping * velocity;
+      velocity += force / mass * dt;
+      position += velocity * dt;
+    }
+
+    const done =
+      Math.abs(position - toValue) <= restDisplacement &&
+      Math.abs(velocity) / 1000 <= restSpeed;
+
+    return {done, value: done ? toValue : position};
+  });
+}
+
+/**
+ * Slows `value` down from `config.velocity`, in units per millisecond, by
+ * `config.deceleration` every millisecond until it comes to rest.
+ */
+function decay(value, config) {
+  const deceleration = config.deceleration != null ?
+    config.deceleration :
+    0.998;
+  let from = null;
+  let previous = null;
+  let time = 0;
+
+  return new Animation(value, elapsed => {
+    if (from == null) {
+      from = previous = value.getValue();
+    }
+
+    time += elapsed;
+    const next = from + config.velocity / (1 - deceleration) *
+      (1 - Math.pow(deceleration, time));
+    const done = Math.abs(next - previous) < 0.1;
+    previous = next;
+
+    return {done, value: next};
+  });
+}
+
+/** Animated Components */
+
+/**
+ * Wraps an ART node type, like Shape, so that its props can be animated
+ * values. When they change, the props are applied to the ART node directly,
+ * without rendering with React.
+ */
+function createAnimatedComponent(Component) {
+  class AnimatedComponent extends React.Component {
+    constructor(props) {
+      super(props);
+      this._instance = null;
+      this._subscriptions = [];
+      this._update = this._update.bind(this);
+    }
+
+    componentDidMount() {
+      this._subscribe();
+    }
+
+    componentDidUpdate() {
+      this._unsubscribe();
+      this._subscribe();
+    }
+
+    componentWillUnmount() {
+      this._unsubscribe();
+    }
+
+    _subscribe() {
+      for (let key in this.props) {
+        const value = this.props[key];
+        if (value instanceof AnimatedNode) {
+          this._subscriptions.push({
+            id: value.addListener(this._update),
+            value,
+          });
+        }
+      }
+    }
+
+    _unsubscribe() {
+      this._subscriptions.forEach(({id, value}) => value.removeListener(id));
+      this._subscriptions = [];
+    }
+
+    _update() {
+      if (this._instance) {
+        updateInstance(this._instance, getProps(this.props));
+      }
+    }
+
+    render() {
+      return (
+        <Component
+          {...getProps(this.props)}
+          ref={ref => this._instance = ref}
+        />
+      );
+    }
+  }
+
+  return AnimatedComponent;
+}
+
+/** API */
+
+module.exports = {
+  ClippingRectangle: createAnimatedComponent(ReactARTFiber.ClippingRectangle),
+  Group: createAnimatedComponent(ReactARTFiber.Group),
+  Shape: createAnimatedComponent(ReactARTFiber.Shape),
+  Text: createAnimatedComponent(ReactARTFiber.Text),
+  Value: AnimatedValue,
+  createAnimatedComponent,
+  decay,
+  spring,
+  timing,
+};
@@ -0,0 +1,42 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactARTAnimationFrame
+ */
+'use strict';
+
+// Frames are timed out at this interval where there are no animation frames.
+const FRAME_DURATION = 1000 / 60;
+
+/** API */
+
+/**
+ * Calls `callback` before the next repaint, or a frame from now outside of
+ * browsers. Returns an id for cancelFrame.
+ */
+function requestFrame(callback) {
+  return typeof requestAnimationFrame === 'function' ?
+    requestAnimationFrame(callback) :
+    setTimeout(callback, FRAME_DURATION);
+}
+
+/**
+ * Cancels the callback of a frame that requestFrame returned the id of.
+ */
+function cancelFrame(id) {
+  if (typeof cancelAnimationFrame === 'function') {
+    cancelAnimationFrame(id);
+  } else {
+    clearTimeout(id);
+  }
+}
+
+module.exports = {
+  cancelFrame,
+  requestFrame,
+};
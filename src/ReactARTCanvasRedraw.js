@@ -0,0 +1,207 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactARTCanvasRedraw
+ */
+'use strict';
+
+const ReactARTAnimationFrame = require('./ReactARTAnimationFrame');
+const ReactARTGroupCache = require('./ReactARTGroupCache');
+const ReactARTHitTesting = require('./ReactARTHitTesting');
+
+const {cancelFrame, requestFrame} = ReactARTAnimationFrame;
+
+// Antialiasing bleeds past the geometry, so dirty regions are grown by this
+// many pixels before they are redrawn.
+const ANTIALIASING_MARGIN = 1;
+
+// ART nodes invalidate the surface for every property they change. While the
+// renderer commits, it reports the regions that changed itself instead.
+let isCommitting = false;
+
+/** Helper Methods */
+
+function getSurface(node) {
+  while (node.parentNode) {
+    node = node.parentNode;
+  }
+  return node._redraw ? node : null;
+}
+
+function scheduleRedraw(surface) {
+  const state = surface._redraw;
+
+  if (state.frame == null) {
+    state.frame = requestFrame(() => redraw(surface));
+  }
+}
+
+function paint(surface, left, top, width, height) {
+  const context = surface.context;
+  const ratio = surface._pixelRatio;
+
+  // Drawing is done in CSS pixels, the backing store has `ratio` times more.
+  context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  context.save();
+  context.beginPath();
+  context.rect(left, top, width, height);
+  context.clip();
+  context.clearRect(left, top, width, height);
+
+  ReactARTGroupCache.renderAtPixelRatio(ratio, () => {
+    for (let node = surface.firstChild; node; node = node.nextSibling) {
+      node.renderTo(context, ratio, 0, 0, ratio, 0, 0);
+    }
+  });
+
+  context.restore();
+}
+
+function redraw(surface) {
+  const state = surface._redraw;
+  const dirty = state.dirty;
+  const isFull = state.isFull;
+
+  state.frame = null;
+  state.dirty = null;
+  state.isFull = false;
+
+  if (isFull) {
+    surface.render();
+    return;
+  }
+
+  const left = Math.max(Math.floor(dirty.left - ANTIALIASING_MARGIN), 0);
+  const top = Math.max(Math.floor(dirty.top - ANTIALIASING_MARGIN), 0);
+  const right = Math.min(
+    Math.ceil(dirty.right + ANTIALIASING_MARGIN),
+    surface.width,
+  );
+  const bottom = Math.min(
+    Math.ceil(dirty.bottom + ANTIALIASING_MARGIN),
+    surface.height,
+  );
+
+  if (left < right && top < bottom) {
+    paint(surface, left, top, right - left, bottom - top);
+  }
+}
+
+/** API */
+
+/**
+ * Takes over repainting of a canvas surface. Instead of repainting all of it
+ * whenever any node changes, only the regions reported by invalidateNode are
+ * repainted, at most once per animation frame. Anything else that
+ * invalidates the surface repaints all of it in the next frame. The backing
+ * store has `pixelRatio` pixels per CSS pixel, see setPixelRatio. Returns a
+ * function that cancels the pending repaint.
+ */
+function manageSurface(surface, pixelRatio) {
+  surface._redraw = {
+    dirty: null,
+    frame: null,
+    isFull: false,
+  };
+
+  surface.invalidate = () => {
+    if (!isCommitting) {
+      surface._redraw.isFull = true;
+      scheduleRedraw(surface);
+    }
+    return surface;
+  };
+
+  // ART sizes every canvas for the pixel ratio of the screen it was loaded
+  // on, so sizing and painting are replaced to use the surface's own.
+  surface.resize = (width, height) => {
+    const element = surface.element;
+    element.setAttribute('width', Math.round(width * surface._pixelRatio));
+    element.setAttribute('height', Math.round(height * surface._pixelRatio));
+    element.style.width = width + 'px';
+    element.style.height = height + 'px';
+    surface.width = width;
+    surface.height = height;
+    return surface;
+  };
+
+  surface.render = () => {
+    paint(surface, 0, 0, surface.width, surface.height);
+    surface.refreshCursor();
+  };
+
+  surface._pixelRatio = pixelRatio;
+  surface.resize(surface.width, surface.height);
+
+  return () => {
+    const state = surface._redraw;
+    if (state.frame != null) {
+      cancelFrame(state.frame);
+      state.frame = null;
+    }
+  };
+}
+
+/**
+ * Marks the region that a node currently draws to as dirty. The renderer
+ * calls this before and after it changes a node, so that both where the node
+ * was and where it is get repainted.
+ */
+function invalidateNode(node) {
+  const surface = getSurface(node);
+  if (!surface) {
+    return;
+  }
+
+  const bounds = ReactARTHitTesting.getSurfaceBounds(node);
+  if (!bounds) {
+    return;
+  }
+
+  const state = surface._redraw;
+  const dirty = state.dirty;
+
+  state.dirty = dirty ?
+    {
+      left: Math.min(dirty.left, bounds.left),
+      top: Math.min(dirty.top, bounds.top),
+      right: Math.max(dirty.right, bounds.right),
+      bottom: Math.max(dirty.bottom, bounds.bottom),
+    } :
+    bounds;
+
+  scheduleRedraw(surface);
+}
+
+/**
+ * Resizes the backing store of a managed surface to `pixelRatio` pixels per
+ * CSS pixel, keeping its CSS size, and repaints it.
+ */
+function setPixelRatio(surface, pixelRatio) {
+  if (surface._pixelRatio !== pixelRatio) {
+    surface._pixelRatio = pixelRatio;
+    surface.resize(surface.width, surface.height);
+    surface.invalidate();
+  }
+}
+
+function prepareForCommit() {
+  isCommitting = true;
+}
+
+function resetAfterCommit() {
+  isCommitting = false;
+}
+
+module.exports = {
+  invalidateNode,
+  manageSurface,
+  prepareForCommit,
+  resetAfterCommit,
+  setPixelRatio,
+};
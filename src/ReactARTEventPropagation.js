@@ -0,0 +1,426 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactARTEventPropagation
+ */
+'use strict';
+
+const ReactARTHitTesting = require('./ReactARTHitTesting');
+const Transform = require('art/core/transform');
+
+const EVENT_TYPES = {
+  onClick: 'click',
+  onContextMenu: 'contextmenu',
+  onDoubleClick: 'dblclick',
+  onMouseMove: 'mousemove',
+  onMouseOver: 'mouseover',
+  onMouseOut: 'mouseout',
+  onMouseUp: 'mouseup',
+  onMouseDown: 'mousedown',
+  onPointerCancel: 'pointercancel',
+  onPointerDown: 'pointerdown',
+  onPointerEnter: 'pointerenter',
+  onPointerLeave: 'pointerleave',
+  onPointerMove: 'pointermove',
+  onPointerUp: 'pointerup',
+  onTouchCancel: 'touchcancel',
+  onTouchEnd: 'touchend',
+  onTouchMove: 'touchmove',
+  onTouchStart: 'touchstart',
+  onWheel: 'wheel',
+};
+
+const PROPS_BY_TYPE = {};
+for (let prop in EVENT_TYPES) {
+  PROPS_BY_TYPE[EVENT_TYPES[prop]] = prop;
+}
+
+// Like React DOM, enter and leave are only delivered to the node itself.
+const NON_BUBBLING_TYPES = {
+  pointerenter: true,
+  pointerleave: true,
+};
+
+// Canvas elements only see the pointer enter and leave the whole surface, so
+// hovering over individual nodes is derived from the hit under every move.
+const HOVER_TYPES = {
+  mousemove: {over: 'mouseover', out: 'mouseout'},
+  pointermove: {over: 'pointerenter', out: 'pointerleave'},
+};
+
+const HOVER_TYPES_BY_EXIT = {
+  mouseout: HOVER_TYPES.mousemove,
+  pointerleave: HOVER_TYPES.pointermove,
+};
+
+// So canvas surfaces listen to the moves and exits that hovering comes from.
+const CANVAS_DEPENDENCIES = {};
+for (let type in HOVER_TYPES) {
+  const {over, out} = HOVER_TYPES[type];
+  CANVAS_DEPENDENCIES[over] = CANVAS_DEPENDENCIES[out] = [type, out];
+}
+
+const EVENT_PROPERTIES = [
+  'altKey',
+  'button',
+  'buttons',
+  'changedTouches',
+  'clientX',
+  'clientY',
+  'ctrlKey',
+  'deltaMode',
+  'deltaX',
+  'deltaY',
+  'deltaZ',
+  'detail',
+  'metaKey',
+  'pageX',
+  'pageY',
+  'pointerId',
+  'pointerType',
+  'pressure',
+  'screenX',
+  'screenY',
+  'shiftKey',
+  'targetTouches',
+  'timeStamp',
+  'touches',
+];
+
+const internalNodeKey = '__reactARTNode$' + Math.random().toString(36).slice(2);
+
+/** Synthetic Event */
+
+class ARTSyntheticEvent {
+  constructor(type, target, relatedTarget, nativeEvent, surfacePoint) {
+    this.type = type;
+    this.target = target;
+    this.currentTarget = null;
+    this.relatedTarget = relatedTarget;
+    this.nativeEvent = nativeEvent;
+    this.defaultPrevented = !!nativeEvent.defaultPrevented;
+
+    // Pointer position relative to the Surface, in CSS pixels, and in the
+    // coordinate space of the current target.
+    this.surfaceX = surfacePoint ? surfacePoint.x : null;
+    this.surfaceY = surfacePoint ? surfacePoint.y : null;
+    this.localX = null;
+    this.localY = null;
+
+    this._propagationStopped = false;
+
+    for (let i = 0; i < EVENT_PROPERTIES.length; i++) {
+      const property = EVENT_PROPERTIES[i];
+      this[property] = nativeEvent[property];
+    }
+  }
+
+  preventDefault() {
+    this.defaultPrevented = true;
+
+    if (this.nativeEvent.preventDefault) {
+      this.nativeEvent.preventDefault();
+    }
+  }
+
+  stopPropagation() {
+    // Only stops propagating over the ART nodes. The native event goes on to
+    // the DOM around the surface, like React DOM's own listeners.
+    this._propagationStopped = true;
+  }
+
+  isDefaultPrevented() {
+    return this.defaultPrevented;
+  }
+
+  isPropagationStopped() {
+    return this._propagationStopped;
+  }
+
+  persist() {
+    // Noop, events are not pooled
+  }
+}
+
+/** Helper Methods */
+
+function getClosestNode(surface, element) {
+  while (element && element !== surface.element) {
+    if (element[internalNodeKey]) {
+      return element[internalNodeKey];
+    }
+    element = element.parentNode;
+  }
+  return null;
+}
+
+/**
+ * Inverts the transforms of `path` (a node followed by its ancestors) from
+ * the surface down, so that each node gets the point in its own coordinates.
+ */
+function getLocalPoints(path, x, y) {
+  const points = [];
+  const transform = new Transform();
+
+  for (let i = path.length - 1; i >= 0; i--) {
+    transform.transform(path[i]);
+    points[i] = x == null ? null : transform.inversePoint(x, y);
+  }
+
+  return points;
+}
+
+function getSurfacePoint(surface, nativeEvent) {
+  // Touch events carry their coordinates on the touches that changed.
+  const point = nativeEvent.changedTouches && nativeEvent.changedTouches.length ?
+    nativeEvent.changedTouches[0] :
+    nativeEvent;
+
+  if (point.clientX == null) {
+    return null;
+  }
+
+  const element = surface.element;
+  const rect = element.getBoundingClientRect();
+
+  return {
+    x: point.clientX - rect.left - element.clientLeft,
+    y: point.clientY - rect.top - element.clientTop,
+  };
+}
+
+function invokeListener(node, localPoint, prop, event) {
+  const listener = node._listeners && node._listeners[prop];
+
+  event.currentTarget = node;
+  event.localX = localPoint ? localPoint.x : null;
+  event.localY = localPoint ? localPoint.y : null;
+
+  if (!listener) {
+    // Noop
+  } else if (typeof listener === 'function') {
+    listener.call(node, event);
+  } else if (listener.handleEvent) {
+    listener.handleEvent(event);
+  }
+}
+
+/**
+ * Dispatches a synthetic event of `type` to `target` and its ancestors up to
+ * the surface: first to every `on*Capture` listener from the top down, then
+ * to every `on*` listener from the target up, until propagation is stopped.
+ */
+function dispatchEvent(
+  surface,
+  type,
+  target,
+  relatedTarget,
+  nativeEvent,
+  surfacePoint,
+) {
+  const prop = PROPS_BY_TYPE[type];
+  const event = new ARTSyntheticEvent(
+    type,
+    target,
+    relatedTarget,
+    nativeEvent,
+    surfacePoint,
+  );
+
+  const path = [];
+  for (let node = target; node && node !== surface; node = node.parentNode) {
+    path.push(node);
+    if (NON_BUBBLING_TYPES[type]) {
+      break;
+    }
+  }
+
+  const localPoints = getLocalPoints(path, event.surfaceX, event.surfaceY);
+
+  for (let i = path.length - 1; i >= 0; i--) {
+    invokeListener(path[i], localPoints[i], prop + 'Capture', event);
+    if (event._propagationStopped) {
+      break;
+    }
+  }
+
+  for (let i = 0; i < path.length && !event._propagationStopped; i++) {
+    invokeListener(path[i], localPoints[i], prop, event);
+  }
+
+  event.currentTarget = null;
+  event.localX = null;
+  event.localY = null;
+
+  return event;
+}
+
+function updateHover(
+  surface,
+  hovered,
+  hoverTypes,
+  target,
+  nativeEvent,
+  surfacePoint,
+) {
+  const previous = hovered[hoverTypes.over];
+
+  if (previous === target) {
+    return;
+  }
+
+  hovered[hoverTypes.over] = target;
+
+  if (previous) {
+    dispatchEvent(
+      surface,
+      hoverTypes.out,
+      previous,
+      target,
+      nativeEvent,
+      surfacePoint,
+    );
+  }
+  if (target) {
+    dispatchEvent(
+      surface,
+      hoverTypes.over,
+      target,
+      previous,
+      nativeEvent,
+      surfacePoint,
+    );
+  }
+}
+
+function handleCanvasEvent(surface, hovered, nativeEvent) {
+  const type = nativeEvent.type;
+
+  const point = getSurfacePoint(surface, nativeEvent);
+
+  if (HOVER_TYPES_BY_EXIT[type]) {
+    // The pointer left the canvas, so it left whatever it was hovering.
+    updateHover(
+      surface,
+      hovered,
+      HOVER_TYPES_BY_EXIT[type],
+      null,
+      nativeEvent,
+      point,
+    );
+    return;
+  } else if (type === 'mouseover' || type === 'pointerenter' || !point) {
+    // Hovering is derived from the next move instead.
+    return;
+  }
+
+  const target = ReactARTHitTesting.hitTest(surface, point.x, point.y);
+
+  if (HOVER_TYPES[type]) {
+    updateHover(surface, hovered, HOVER_TYPES[type], target, nativeEvent, point);
+  }
+  if (target) {
+    dispatchEvent(surface, type, target, null, nativeEvent, point);
+  }
+}
+
+function handleElementEvent(surface, nativeEvent) {
+  const target = getClosestNode(surface, nativeEvent.target);
+
+  if (target) {
+    dispatchEvent(
+      surface,
+      nativeEvent.type,
+      target,
+      getClosestNode(surface, nativeEvent.relatedTarget),
+      nativeEvent,
+      getSurfacePoint(surface, nativeEvent),
+    );
+  }
+}
+
+/** API */
+
+/**
+ * Makes a node created by the reconciler discoverable from the DOM element
+ * that ART renders it to, if any.
+ */
+function precacheNode(instance) {
+  if (instance.element) {
+    instance.element[internalNodeKey] = instance;
+  }
+}
+
+/**
+ * Makes the surface listen to the events that `props` of one of its nodes
+ * handle, if it listens to events at all.
+ */
+function listenTo(surface, props) {
+  if (!surface._listenTo) {
+    return;
+  }
+
+  for (let prop in EVENT_TYPES) {
+    if (props[prop] || props[prop + 'Capture']) {
+      surface._listenTo(EVENT_TYPES[prop]);
+    }
+  }
+}
+
+/**
+ * Propagates events on the surface's element over the ART nodes, from when
+ * `listenTo` finds a node that handles their type. Nodes that draw to DOM
+ * elements (SVG, VML) are found from the event target, canvas surfaces hit
+ * test the pointer position.
+ *
+ * Handlers may prevent the default of any event, so none of the listeners
+ * are passive. Surfaces without touch or wheel handlers don't listen to those
+ * at all, and leave scrolling over them smooth. Returns a function that stops
+ * listening.
+ */
+function listenToSurface(surface) {
+  const element = surface.element;
+  const hovered = {};
+  const listening = {};
+
+  const handleEvent = surface.hitTest ?
+    nativeEvent => handleCanvasEvent(surface, hovered, nativeEvent) :
+    nativeEvent => handleElementEvent(surface, nativeEvent);
+
+  surface._listenTo = type => {
+    const types = surface.hitTest && CANVAS_DEPENDENCIES[type] || [type];
+    for (let i = 0; i < types.length; i++) {
+      if (!listening[types[i]]) {
+        listening[types[i]] = true;
+        // Capture so that events which do not bubble reach us as well.
+        // Browsers without listener options take these for capture too.
+        element.addEventListener(
+          types[i],
+          handleEvent,
+          {capture: true, passive: false},
+        );
+      }
+    }
+  };
+
+  return () => {
+    surface._listenTo = null;
+    for (let type in listening) {
+      element.removeEventListener(type, handleEvent, true);
+    }
+  };
+}
+
+module.exports = {
+  ARTSyntheticEvent,
+  EVENT_TYPES,
+  dispatchEvent,
+  listenTo,
+  listenToSurface,
+  precacheNode,
+};
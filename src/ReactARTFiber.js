@@ -10,33 +10,37 @@
  */
 'use strict';
 
-require('art/modes/current').setCurrent(
-  // Change to 'art/modes/dom' for easier debugging via SVG
-  require('art/modes/svg'),
-);
-
-const Mode = require('art/modes/current');
 const Transform = require('art/core/transform');
+const assign = require('object-assign');
 const invariant = require('fbjs/lib/invariant');
-const emptyObject = require('fbjs/lib/emptyObject');
 const React = require('react');
 const ReactFiberReconciler = require('react-reconciler');
+const ReactARTCanvasRedraw = require('./ReactARTCanvasRedraw');
+const ReactARTEventPropagation = require('./ReactARTEventPropagation');
+const ReactARTGroupCache = require('./ReactARTGroupCache');
+const ReactARTHitTesting = require('./ReactARTHitTesting');
+const ReactARTProps = require('./ReactARTProps');
+const ReactARTSVGSerializer = require('./ReactARTSVGSerializer');
 var ReactDOMFrameScheduling = require('./ReactDOMFrameScheduling');
+const SerializablePath = require('./Path.art');
 
 
 const {Component} = React;
+const {EVENT_TYPES} = ReactARTEventPropagation;
+const {childrenAsString, getScaleX, getScaleY} = ReactARTProps;
 
 const pooledTransform = new Transform();
 
-const EVENT_TYPES = {
-  onClick: 'click',
-  onMouseMove: 'mousemove',
-  onMouseOver: 'mouseover',
-  onMouseOut: 'mouseout',
-  onMouseUp: 'mouseup',
-  onMouseDown: 'mousedown',
+// Every Surface picks one of these through its `mode` prop. Use 'dom' for
+// easier debugging via SVG with a VML fallback.
+const MODES = {
+  canvas: require('art/modes/canvas'),
+  dom: require('art/modes/dom'),
+  svg: require('art/modes/svg'),
 };
 
+const DEFAULT_MODE = 'svg';
+
 const TYPES = {
   CLIPPING_RECTANGLE: 'ClippingRectangle',
   GROUP: 'Group',
@@ -47,86 +51,99 @@ const TYPES = {
 /** Helper Methods */
 
 function addEventListeners(instance, type, listener) {
-  // We need to explicitly unregister before unmount.
-  // For this reason we need to track subscriptions.
+  // Listeners are only tracked here. The Surface listens to the events once
+  // and propagates them through the ART nodes.
   if (!instance._listeners) {
     instance._listeners = {};
-    instance._subscriptions = {};
   }
 
-  instance._listeners[type] = listener;
-
   if (listener) {
-    if (!instance._subscriptions[type]) {
-      instance._subscriptions[type] = instance.subscribe(
-        type,
-        createEventHandler(instance),
-        instance,
-      );
-    }
+    instance._listeners[type] = listener;
   } else {
-    if (instance._subscriptions[type]) {
-      instance._subscriptions[type]();
-      delete instance._subscriptions[type];
-    }
+    delete instance._listeners[type];
   }
 }
 
-function childrenAsString(children) {
-  if (!children) {
-    return '';
-  } else if (typeof children === 'string') {
-    return children;
-  } else if (children.length) {
-    return children.join('');
+function destroyEventListeners(instance) {
+  instance._listeners = null;
+}
+
+function getLength(value, autoSize, measured) {
+  if (autoSize) {
+    return measured;
+  } else if (isPercentage(value)) {
+    return measured * parseFloat(value) / 100;
   } else {
-    return '';
+    return +value;
   }
 }
 
-function createEventHandler(instance) {
-  return function handleEvent(event) {
-    const listener = instance._listeners[event.type];
+function getMode(mode) {
+  const artMode = MODES[mode == null ? DEFAULT_MODE : mode];
 
-    if (!listener) {
-      // Noop
-    } else if (typeof listener === 'function') {
-      listener.call(instance, event);
-    } else if (listener.handleEvent) {
-      listener.handleEvent(event);
-    }
-  };
+  invariant(artMode, 'ReactART does not support the mode "%s"', mode);
+
+  return artMode;
 }
 
-function destroyEventListeners(instance) {
-  if (instance._subscriptions) {
-    for (let type in instance._subscriptions) {
-      instance._subscriptions[type]();
-    }
+function getPixelRatio(props) {
+  if (props.pixelRatio != null) {
+    return +props.pixelRatio;
   }
+  return typeof window !== 'undefined' && window.devicePixelRatio || 1;
+}
 
-  instance._subscriptions = null;
-  instance._listeners = null;
+// The size that the width and height props of a Surface give it in a
+// container that measures `measured`.
+function getSurfaceSize(props, measured) {
+  return {
+    height: getLength(props.height, props.autoSize, measured.height),
+    width: getLength(props.width, props.autoSize, measured.width),
+  };
 }
 
-function getScaleX(props) {
-  if (props.scaleX != null) {
-    return props.scaleX;
-  } else if (props.scale != null) {
-    return props.scale;
-  } else {
-    return 1;
+function isAutoSized(props) {
+  return Boolean(
+    props.autoSize || isPercentage(props.width) || isPercentage(props.height)
+  );
+}
+
+function isPercentage(value) {
+  return typeof value === 'string' && value.charAt(value.length - 1) === '%';
+}
+
+function isDrawingChanged(type, oldProps, newProps) {
+  // Listeners do not draw, and nodes in Groups report their own changes.
+  for (let key in assign({}, oldProps, newProps)) {
+    if (EVENT_TYPES[key] || EVENT_TYPES[key.replace(/Capture$/, '')]) {
+      continue;
+    } else if (key === 'children') {
+      if (
+        (type === TYPES.SHAPE || type === TYPES.TEXT) &&
+        childrenAsString(oldProps.children) !==
+          childrenAsString(newProps.children)
+      ) {
+        return true;
+      }
+    } else if (oldProps[key] !== newProps[key]) {
+      return true;
+    }
   }
+  return false;
 }
 
-function getScaleY(props) {
-  if (props.scaleY != null) {
-    return props.scaleY;
-  } else if (props.scale != null) {
-    return props.scale;
-  } else {
-    return 1;
+function getSceneGraph(parent) {
+  const children = [];
+
+  for (let node = parent.firstChild; node; node = node.nextSibling) {
+    children.push({
+      children: getSceneGraph(node),
+      props: node._props,
+      type: node._type,
+    });
   }
+
+  return children;
 }
 
 function isSameFont(oldFont, newFont) {
@@ -150,6 +167,27 @@ function isSameFont(oldFont, newFont) {
 
 /** Render Methods */
 
+function applyInstanceProps(instance, props) {
+  // Compared with what the node has, which animations may have changed since
+  // React last rendered it.
+  const prevProps = instance._props;
+  const isChanged = isDrawingChanged(instance._type, prevProps, props);
+
+  if (isChanged) {
+    ReactARTCanvasRedraw.invalidateNode(instance);
+  }
+
+  instance._applyProps(instance, props, prevProps);
+  instance._props = props;
+
+  if (isChanged) {
+    // A Group's own bitmap is drawn in its coordinates, so only changes
+    // to its descendants make it stale.
+    ReactARTGroupCache.invalidateCache(instance.parentNode);
+    ReactARTCanvasRedraw.invalidateNode(instance);
+  }
+}
+
 function applyClippingRectangleProps(instance, props, prevProps = {}) {
   applyNodeProps(instance, props, prevProps);
 
@@ -162,6 +200,13 @@ function applyGroupProps(instance, props, prevProps = {}) {
 
   instance.width = props.width;
   instance.height = props.height;
+
+  if (
+    props.cache !== prevProps.cache ||
+    props.cacheScale !== prevProps.cacheScale
+  ) {
+    ReactARTGroupCache.setCache(instance, props.cache, props.cacheScale);
+  }
 }
 
 function applyNodeProps(instance, props, prevProps = {}) {
@@ -209,7 +254,8 @@ function applyNodeProps(instance, props, prevProps = {}) {
   }
 
   for (let type in EVENT_TYPES) {
-    addEventListeners(instance, EVENT_TYPES[type], props[type]);
+    addEventListeners(instance, type, props[type]);
+    addEventListeners(instance, type + 'Capture', props[type + 'Capture']);
   }
 }
 
@@ -257,8 +303,8 @@ function applyShapeProps(instance, props, prevProps = {}) {
   ) {
     instance.draw(
       path,
-      props.strokeWidth,
-      props.stroke,
+      props.width,
+      props.height,
     );
 
     instance._prevDelta = path.delta;
@@ -307,7 +353,7 @@ class RadialGradient {
   }
 
   applyFill(node) {
-    node.fillRadial.apply(node, this.args);
+    node.fillRadial.apply(node, this._args);
   }
 }
 
@@ -317,180 +363,286 @@ class Pattern {
   }
 
   applyFill(node) {
-    node.fillImage.apply(node, this.args);
+    node.fillImage.apply(node, this._args);
   }
 }
 
 /** React Components */
 
+/**
+ * With `autoSize`, or a percentage `width` or `height`, the Surface is sized
+ * after its parent element, which needs a size of its own, and follows it as
+ * it resizes. Its children may then be a function, which is called with the
+ * size the Surface currently has.
+ */
 class Surface extends Component {
-  componentDidMount() {
-    const {height, width} = this.props;
+  constructor(props) {
+    super(props);
+    this.state = {measuredSize: null};
+  }
 
-    this._surface = Mode.Surface(+width, +height, this._tagRef);
+  componentDidMount() {
+    this._createSurface();
 
-    this._mountNode = ARTRenderer.createContainer(this._surface);
-    ARTRenderer.updateContainer(
-      this.props.children,
-      this._mountNode,
-      this,
-    );
+    if (isAutoSized(this.props)) {
+      this._observeParent();
+    }
   }
 
   componentDidUpdate(prevProps, prevState) {
     const props = this.props;
 
-    if (
-      props.height !== prevProps.height ||
-      props.width !== prevProps.width
-    ) {
-      this._surface.resize(+props.width, +props.height);
+    if (getMode(props.mode) !== getMode(prevProps.mode)) {
+      // The placeholder tag has been replaced, so the ART surface and
+      // everything in it has to be rebuilt on top of the new element.
+      this._destroySurface();
+      this._createSurface();
+      return;
     }
 
-    window.requestAnimationFrame(() => {
-      ARTRenderer.updateContainer(
-        this.props.children,
-        this._mountNode,
-        this,
-      );
-    });
+    if (getMode(props.mode) === MODES.canvas) {
+      if ((props.pixelRatio == null) !== (prevProps.pixelRatio == null)) {
+        this._watchPixelRatio();
+      }
+      ReactARTCanvasRedraw.setPixelRatio(this._surface, getPixelRatio(props));
+    }
 
-    if (this._surface.render) {
-      this._surface.render();
+    if (isAutoSized(props) !== isAutoSized(prevProps)) {
+      if (isAutoSized(props)) {
+        this._observeParent();
+      } else {
+        this._unobserveParent();
+        this._unobserveParent = null;
+      }
     }
-  }
 
-  componentWillUnmount() {
+    const size = this._getSize();
+    if (
+      size.height !== this._size.height ||
+      size.width !== this._size.width
+    ) {
+      this._size = size;
+      this._surface.resize(size.width, size.height);
+
+      if (getMode(props.mode) === MODES.canvas) {
+        // Resizing clears the canvas.
+        this._surface.invalidate();
+      }
+    }
+
+    // The whole ART tree lives in this one container, so this commits every
+    // descendant synchronously. Canvas Surfaces repaint what changed in the
+    // next frame.
     ARTRenderer.updateContainer(
-      null,
+      this._renderChildren(),
       this._mountNode,
       this,
     );
   }
 
-  render() {
-    // This is going to be a placeholder because we don't know what it will
-    // actually resolve to because ART may render canvas, vml or svg tags here.
-    // We only allow a subset of properties since others might conflict with
-    // ART's properties.
-    const props = this.props;
+  componentWillUnmount() {
+    this._destroySurface();
 
-    // TODO: ART's Canvas Mode overrides surface title and cursor
-    const Tag = Mode.Surface.tagName;
+    if (this._unobserveParent) {
+      this._unobserveParent();
+    }
+  }
 
-    return (
-      <Tag
-        ref={ref => this._tagRef = ref}
-        accessKey={props.accessKey}
-        className={props.className}
-        draggable={props.draggable}
-        role={props.role}
-        style={props.style}
-        tabIndex={props.tabIndex}
-        title={props.title}
-      />
+  /**
+   * Returns the topmost Shape or Text node under the point, given in pixels
+   * relative to the Surface, or null. Strokes are hit within `tolerance`
+   * pixels of their edge.
+   */
+  hitTest(x, y, tolerance) {
+    return ReactARTHitTesting.hitTest(this._surface, x, y, tolerance);
+  }
+
+  /**
+   * Like hitTest, but returns every node under the point, topmost first.
+   */
+  hitTestAll(x, y, tolerance) {
+    return ReactARTHitTesting.hitTestAll(this._surface, x, y, tolerance);
+  }
+
+  /**
+   * Serializes what the Surface draws to standalone SVG markup, whichever
+   * mode it renders in. `options.scale` multiplies its size, for
+   * high-resolution exports, and `options.idPrefix` starts the ids of its
+   * gradients and clips, so that documents inlined into the same page don't
+   * use each other's.
+   */
+  toSVG(options) {
+    return ReactARTSVGSerializer.serializeSurface(
+      assign({}, this.props, this._size),
+      getSceneGraph(this._surface),
+      options,
     );
   }
-}
 
-class Shape extends Component {
-  componentDidMount() {
+  /**
+   * Returns the Surface as a data URL. Canvas Surfaces are encoded as `type`
+   * with `quality`, like HTMLCanvasElement#toDataURL, other modes as SVG.
+   */
+  toDataURL(type, quality, options) {
+    if (getMode(this.props.mode) !== MODES.canvas) {
+      return 'data:image/svg+xml;charset=utf-8,' +
+        encodeURIComponent(this.toSVG(options));
+    }
 
-    this.shape = Mode.Shape(this.props.d.path, this.props.strokeWidth, this.props.stroke, this._tagRef);
-    this._mountNode = ARTRenderer.createContainer(this.shape);
-    ARTRenderer.updateContainer(
-      this.props.children,
-      this._mountNode,
-      this,
-    );
+    return this._renderToCanvas(options).toDataURL(type, quality);
   }
 
-  shouldComponentUpdate(newProps) {
-    return this.props.d !== newProps.d;
+  /**
+   * Calls back with the Surface as a Blob. Canvas Surfaces are encoded as
+   * `type` with `quality`, like HTMLCanvasElement#toBlob, other modes as SVG.
+   */
+  toBlob(callback, type, quality, options) {
+    if (getMode(this.props.mode) !== MODES.canvas) {
+      callback(new Blob([this.toSVG(options)], {type: 'image/svg+xml'}));
+      return;
+    }
+
+    this._renderToCanvas(options).toBlob(callback, type, quality);
   }
 
+  _renderToCanvas(options) {
+    // Draws into a separate canvas so that the export neither depends on the
+    // screen's pixel ratio nor disturbs what is on screen.
+    const scale = options && options.scale != null ? options.scale : 1;
+    const canvas = document.createElement('canvas');
 
-  componentDidUpdate(prevProps, prevState) {
-    const props = this.props;
+    canvas.width = Math.round(this._size.width * scale);
+    canvas.height = Math.round(this._size.height * scale);
 
-    window.requestAnimationFrame(() => {
-      ARTRenderer.updateContainer(
-        this.props.children,
-        this._mountNode,
-        this,
-      );
+    const context = canvas.getContext('2d');
+    const surface = this._surface;
+    ReactARTGroupCache.renderAtPixelRatio(scale, () => {
+      for (let node = surface.firstChild; node; node = node.nextSibling) {
+        node.renderTo(context, scale, 0, 0, scale, 0, 0);
+      }
     });
 
-    if (this.shape.draw) {
-      this.shape.draw(this.props.d.path, this.props.strokeWidth, this.props.stroke);
-    }
+    return canvas;
   }
 
-  componentWillUnmount() {
-    ARTRenderer.updateContainer(
-      null,
-      this._mountNode,
-      this,
-    );
+  _getSize() {
+    const measured = this.state.measuredSize || {height: 0, width: 0};
+    return getSurfaceSize(this.props, measured);
   }
 
-  render() {
-    // This is going to be a placeholder because we don't know what it will
-    // actually resolve to because ART may render canvas, vml or svg tags here.
-    // We only allow a subset of properties since others might conflict with
-    // ART's properties.
-    const props = this.props;
+  _renderChildren() {
+    const {children} = this.props;
+    return typeof children === 'function' ? children(this._size) : children;
+  }
 
-    // TODO: ART's Canvas Mode overrides surface title and cursor
-    const Tag = Mode.Shape.tagName;
+  _observeParent() {
+    const parent = this._tagRef.parentNode;
+    const measure = () => {
+      const measured = this.state.measuredSize;
+      const height = parent.clientHeight;
+      const width = parent.clientWidth;
 
-    return (
-      <Tag
-        ref={ref => this._tagRef = ref}
-        accessKey={props.accessKey}
-        className={props.className}
-        draggable={props.draggable}
-        role={props.role}
-        style={props.style}
-        tabIndex={props.tabIndex}
-        title={props.title}
-        stroke={props.stroke}
-        strokeWidth={props.strokeWidth}
-        d={props.d.path}
-      />
-    );
+      if (
+        !measured ||
+        measured.height !== height ||
+        measured.width !== width
+      ) {
+        this.setState({measuredSize: {height, width}});
+      }
+    };
+
+    if (typeof ResizeObserver === 'function') {
+      const observer = new ResizeObserver(measure);
+      observer.observe(parent);
+      this._unobserveParent = () => observer.disconnect();
+    } else {
+      window.addEventListener('resize', measure);
+      this._unobserveParent = () =>
+        window.removeEventListener('resize', measure);
+    }
+
+    measure();
   }
-}
 
-class Group extends Component {
-  componentDidMount() {
+  _createSurface() {
+    const artMode = getMode(this.props.mode);
+
+    this._size = this._getSize();
+    this._surface = artMode.Surface(
+      this._size.width,
+      this._size.height,
+      this._tagRef,
+    );
+    // Read back by getRootHostContext so nodes are built in the same mode.
+    this._surface._mode = artMode;
+
+    this._unlisten = ReactARTEventPropagation.listenToSurface(this._surface);
+    this._stopRedraw = null;
+    this._unwatchPixelRatio = null;
+
+    if (artMode === MODES.canvas) {
+      this._stopRedraw = ReactARTCanvasRedraw.manageSurface(
+        this._surface,
+        getPixelRatio(this.props),
+      );
+      this._watchPixelRatio();
+    }
 
-    this.group = Mode.Group(this.props.width, this.props.height, this._tagRef);
-    applyGroupProps(this.group, this.props);
-    this._mountNode = ARTRenderer.createContainer(this.group);
+    this._mountNode = ARTRenderer.createContainer(this._surface);
     ARTRenderer.updateContainer(
-      this.props.children,
+      this._renderChildren(),
       this._mountNode,
       this,
     );
   }
 
-  componentDidUpdate(prevProps, prevState) {
-    window.requestAnimationFrame(() => {
-      ARTRenderer.updateContainer(
-        this.props.children,
-        this._mountNode,
-        this,
-      );
-    });
-  }
-
-  componentWillUnmount() {
+  _destroySurface() {
     ARTRenderer.updateContainer(
       null,
       this._mountNode,
       this,
     );
+
+    this._unlisten();
+
+    if (this._stopRedraw) {
+      this._stopRedraw();
+    }
+
+    if (this._unwatchPixelRatio) {
+      this._unwatchPixelRatio();
+    }
+  }
+
+  _watchPixelRatio() {
+    // Without a pixelRatio prop, canvas Surfaces follow the screen's ratio,
+    // which changes when the window moves to another monitor or is zoomed.
+    if (this._unwatchPixelRatio) {
+      this._unwatchPixelRatio();
+      this._unwatchPixelRatio = null;
+    }
+
+    if (
+      this.props.pixelRatio != null ||
+      typeof window.matchMedia !== 'function'
+    ) {
+      return;
+    }
+
+    const query = window.matchMedia(
+      '(resolution: ' + window.devicePixelRatio + 'dppx)',
+    );
+    const listener = () => {
+      ReactARTCanvasRedraw.setPixelRatio(
+        this._surface,
+        getPixelRatio(this.props),
+      );
+      // The query only matches the ratio it was made for.
+      this._watchPixelRatio();
+    };
+
+    query.addListener(listener);
+    this._unwatchPixelRatio = () => query.removeListener(listener);
   }
 
   render() {
@@ -501,8 +653,7 @@ class Group extends Component {
     const props = this.props;
 
     // TODO: ART's Canvas Mode overrides surface title and cursor
-    const Tag = Mode.Group.tagName;
-
+    const Tag = getMode(props.mode).Surface.tagName;
 
     return (
       <Tag
@@ -514,10 +665,6 @@ class Group extends Component {
         style={props.style}
         tabIndex={props.tabIndex}
         title={props.title}
-        rotation={props.rotation}
-        originX={props.originX}
-        originY={props.originY}
-        children={props.children}
       />
     );
   }
@@ -536,21 +683,31 @@ const ARTRenderer = ReactFiberReconciler({
     child.inject(parentInstance);
   },
 
-  createInstance(type, props, internalInstanceHandle) {
+  createInstance(
+    type,
+    props,
+    rootContainerInstance,
+    hostContext,
+    internalInstanceHandle,
+  ) {
+    const Mode = hostContext.mode;
     let instance;
 
     switch (type) {
       case TYPES.CLIPPING_RECTANGLE:
         instance = Mode.ClippingRectangle();
         instance._applyProps = applyClippingRectangleProps;
+        instance._hitTest = ReactARTHitTesting.hitTestClippingRectangle;
         break;
       case TYPES.GROUP:
         instance = Mode.Group();
         instance._applyProps = applyGroupProps;
+        instance._hitTest = ReactARTHitTesting.hitTestGroup;
         break;
       case TYPES.SHAPE:
         instance = Mode.Shape();
         instance._applyProps = applyShapeProps;
+        instance._hitTest = ReactARTHitTesting.hitTestShape;
         break;
       case TYPES.TEXT:
         instance = Mode.Text(
@@ -560,12 +717,17 @@ const ARTRenderer = ReactFiberReconciler({
           props.path,
         );
         instance._applyProps = applyTextProps;
+        instance._hitTest = ReactARTHitTesting.hitTestText;
         break;
     }
 
     invariant(instance, 'ReactART does not support the type "%s"', type);
 
     instance._applyProps(instance, props);
+    instance._props = props;
+    instance._type = type;
+    ReactARTEventPropagation.precacheNode(instance);
+    ReactARTEventPropagation.listenTo(rootContainerInstance, props);
 
     return instance;
   },
@@ -579,32 +741,33 @@ const ARTRenderer = ReactFiberReconciler({
   },
 
   prepareForCommit() {
-    // Noop
+    ReactARTCanvasRedraw.prepareForCommit();
   },
 
-  prepareUpdate(domElement, type, oldProps, newProps) {
+  prepareUpdate(domElement, type, oldProps, newProps, rootContainerInstance) {
+    ReactARTEventPropagation.listenTo(rootContainerInstance, newProps);
     return true;
   },
 
   resetAfterCommit() {
-    // Noop
+    ReactARTCanvasRedraw.resetAfterCommit();
   },
 
-  getRootHostContext() {
-    return emptyObject;
+  getRootHostContext(rootContainerInstance) {
+    return {
+      mode: rootContainerInstance._mode,
+    };
   },
 
-  getChildHostContext() {
-    return emptyObject;
+  getChildHostContext(parentHostContext) {
+    return parentHostContext;
   },
 
   getPublicInstance(instance) {
     return instance;
   },
 
-  scheduleAnimationCallback: window.requestAnimationFrame,
-
-  scheduleDeferredCallback: window.requestIdleCallback,
+  scheduleDeferredCallback: ReactDOMFrameScheduling.rIC,
 
   now: ReactDOMFrameScheduling.now,
 
@@ -619,11 +782,18 @@ const ARTRenderer = ReactFiberReconciler({
 
   mutation: {
     appendChild(parentInstance, child) {
+      if (typeof child === 'string') {
+        // Noop for string children of Text (eg <Text>{'foo'}{'bar'}</Text>)
+        return;
+      }
+
       if (child.parentNode === parentInstance) {
         child.eject();
       }
 
       child.inject(parentInstance);
+      ReactARTGroupCache.invalidateCache(parentInstance);
+      ReactARTCanvasRedraw.invalidateNode(child);
     },
 
     appendChildToContainer(parentInstance, child) {
@@ -632,26 +802,52 @@ const ARTRenderer = ReactFiberReconciler({
       }
 
       child.inject(parentInstance);
+      ReactARTCanvasRedraw.invalidateNode(child);
     },
 
     insertBefore(parentInstance, child, beforeChild) {
+      if (typeof child === 'string') {
+        // Noop for string children of Text (eg <Text>{'foo'}{'bar'}</Text>)
+        return;
+      }
+
+      invariant(
+        child !== beforeChild,
+        'ReactART: Can not insert node before itself'
+      );
+
+      child.injectBefore(beforeChild);
+      ReactARTGroupCache.invalidateCache(parentInstance);
+      ReactARTCanvasRedraw.invalidateNode(child);
+    },
+
+    insertInContainerBefore(parentInstance, child, beforeChild) {
       invariant(
         child !== beforeChild,
         'ReactART: Can not insert node before itself'
       );
 
       child.injectBefore(beforeChild);
+      ReactARTCanvasRedraw.invalidateNode(child);
     },
 
     removeChild(parentInstance, child) {
+      if (typeof child === 'string') {
+        // Noop for string children of Text (eg <Text>{'foo'}{'bar'}</Text>)
+        return;
+      }
+
       destroyEventListeners(child);
 
+      ReactARTCanvasRedraw.invalidateNode(child);
       child.eject();
+      ReactARTGroupCache.invalidateCache(parentInstance);
     },
 
     removeChildFromContainer(parentInstance, child) {
       destroyEventListeners(child);
 
+      ReactARTCanvasRedraw.invalidateNode(child);
       child.eject();
     },
 
@@ -663,8 +859,8 @@ const ARTRenderer = ReactFiberReconciler({
       // Noop
     },
 
-    commitUpdate(instance, type, oldProps, newProps) {
-      instance._applyProps(instance, newProps, oldProps);
+    commitUpdate(instance, updatePayload, type, oldProps, newProps) {
+      applyInstanceProps(instance, newProps);
     },
 
     resetTextContent(domElement) {
@@ -673,17 +869,36 @@ const ARTRenderer = ReactFiberReconciler({
   }
 });
 
+/**
+ * Applies `props` to a node outside of a commit, the way commitUpdate would.
+ */
+function updateInstance(instance, props) {
+  ReactARTCanvasRedraw.prepareForCommit();
+  try {
+    applyInstanceProps(instance, props);
+  } finally {
+    ReactARTCanvasRedraw.resetAfterCommit();
+  }
+}
+
 /** API */
 
 module.exports = {
   ClippingRectangle: TYPES.CLIPPING_RECTANGLE,
-  Group: Group,
+  Group: TYPES.GROUP,
   LinearGradient,
-  Path: Mode.Path,
+  Path: SerializablePath,
   Pattern,
   RadialGradient,
-  Shape: Shape,
+  Shape: TYPES.SHAPE,
   Surface,
-  Text: Mode.TEXT,
+  Text: TYPES.TEXT,
   Transform,
+  // Shared with ReactARTTestRenderer and ReactARTAnimated, not part of the
+  // public API.
+  __SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED: {
+    ARTRenderer,
+    getSurfaceSize,
+    updateInstance,
+  },
 };
@@ -0,0 +1,141 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactARTGroupCache
+ */
+'use strict';
+
+const ReactARTHitTesting = require('./ReactARTHitTesting');
+
+// Antialiasing bleeds past the geometry, so bitmaps are grown by this many
+// local units on every side.
+const ANTIALIASING_MARGIN = 1;
+
+// Pixels per CSS pixel of the canvas being drawn, see renderAtPixelRatio.
+let currentPixelRatio = 1;
+
+/** Helper Methods */
+
+function rasterize(group, scale) {
+  const bounds = ReactARTHitTesting.getLocalBounds(group);
+
+  if (!bounds) {
+    return {canvas: null, scale};
+  }
+
+  const left = Math.floor(bounds.left) - ANTIALIASING_MARGIN;
+  const top = Math.floor(bounds.top) - ANTIALIASING_MARGIN;
+  const width = Math.ceil(bounds.right) + ANTIALIASING_MARGIN - left;
+  const height = Math.ceil(bounds.bottom) + ANTIALIASING_MARGIN - top;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.ceil(width * scale);
+  canvas.height = Math.ceil(height * scale);
+
+  const context = canvas.getContext('2d');
+  for (let node = group.firstChild; node; node = node.nextSibling) {
+    node.renderTo(context, scale, 0, 0, scale, -left * scale, -top * scale);
+  }
+
+  return {canvas, height, left, scale, top, width};
+}
+
+// Replaces the renderLayerTo of canvas Groups that are cached.
+function renderCachedLayerTo(context, xx, yx, xy, yy, x, y) {
+  if (this._invisible) {
+    return;
+  }
+
+  // The bitmap is redrawn whenever it would be drawn at another pixel ratio
+  // than it was made for, so that it never looks blurry.
+  const scale = this._bitmapCacheScale * currentPixelRatio;
+  if (!this._bitmapCache || this._bitmapCache.scale !== scale) {
+    this._bitmapCache = rasterize(this, scale);
+  }
+
+  const cache = this._bitmapCache;
+  if (!cache.canvas) {
+    return;
+  }
+
+  // Same as ART's Group, but the children are drawn as one image.
+  x = xx * this.x + xy * this.y + x;
+  y = yx * this.x + yy * this.y + y;
+
+  let t = xx;
+  xx = t * this.xx + xy * this.yx;
+  xy = t * this.xy + xy * this.yy;
+  t = yx;
+  yx = t * this.xx + yy * this.yx;
+  yy = t * this.xy + yy * this.yy;
+
+  context.setTransform(xx, yx, xy, yy, x, y);
+  context.drawImage(
+    cache.canvas,
+    cache.left,
+    cache.top,
+    cache.width,
+    cache.height,
+  );
+}
+
+/** API */
+
+/**
+ * Makes a canvas Group draw its children to an offscreen bitmap once, at
+ * `scale` times the pixel ratio of the canvas it is drawn to, and draw that
+ * bitmap from then on. The bitmap is kept until invalidateCache is called for
+ * the Group or a descendant, or until it is drawn at another pixel ratio.
+ * Other modes draw Groups as they are.
+ */
+function setCache(group, cache, scale) {
+  if (!group.renderLayerTo) {
+    return;
+  }
+
+  group._bitmapCache = null;
+  group._bitmapCacheScale = scale || 1;
+
+  if (cache) {
+    group.renderLayerTo = renderCachedLayerTo;
+  } else {
+    delete group.renderLayerTo;
+  }
+}
+
+/**
+ * Drops the bitmaps of every cached Group that contains `node`, including
+ * `node` itself.
+ */
+function invalidateCache(node) {
+  for (; node; node = node.parentNode) {
+    if (node._bitmapCache) {
+      node._bitmapCache = null;
+    }
+  }
+}
+
+/**
+ * Calls `render`, which draws to a canvas with `pixelRatio` pixels per CSS
+ * pixel, so that cached Groups are rasterized at that ratio.
+ */
+function renderAtPixelRatio(pixelRatio, render) {
+  const previousPixelRatio = currentPixelRatio;
+  currentPixelRatio = pixelRatio;
+  try {
+    render();
+  } finally {
+    currentPixelRatio = previousPixelRatio;
+  }
+}
+
+module.exports = {
+  invalidateCache,
+  renderAtPixelRatio,
+  setCache,
+};
@@ -0,0 +1,362 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactARTHitTesting
+ */
+'use strict';
+
+const ARTPathGeometry = require('./ARTPathGeometry');
+const SerializablePath = require('./Path.art');
+
+// Curves are flattened to polylines within this distance, in local units.
+const FLATTENING_TOLERANCE = 0.1;
+
+// Canvas' default miterLimit, in half stroke widths.
+const MITER_LIMIT = 10;
+
+/** Helper Methods */
+
+function getFlattenedPath(instance) {
+  // Shapes keep the path they were last drawn with, so only flatten again
+  // when that changes.
+  const path = instance._prevPath;
+  const cache = instance._hitTestCache;
+
+  if (cache && cache.path === path && cache.delta === instance._prevDelta) {
+    return cache.subpaths;
+  }
+
+  const commands = path instanceof SerializablePath ?
+    path.path :
+    new SerializablePath(path).path;
+  const subpaths = ARTPathGeometry.flatten(commands, FLATTENING_TOLERANCE);
+
+  instance._hitTestCache = {
+    delta: instance._prevDelta,
+    path,
+    subpaths,
+  };
+
+  return subpaths;
+}
+
+function getScale(instance) {
+  return Math.sqrt(Math.abs(
+    instance.xx * instance.yy - instance.xy * instance.yx
+  ));
+}
+
+function getTextBounds(instance, props) {
+  const width = instance.width || 0;
+  const height = instance.height || 0;
+
+  if (instance.left != null) {
+    return {left: instance.left, top: instance.top, width, height};
+  }
+
+  let left = 0;
+  if (props.alignment === 'center' || props.alignment === 'middle') {
+    left = -width / 2;
+  } else if (props.alignment === 'right') {
+    left = -width;
+  }
+
+  return {left, top: 0, width, height};
+}
+
+function transformBounds(m, bounds) {
+  if (!bounds) {
+    return null;
+  }
+
+  const xs = [bounds.left, bounds.right, bounds.left, bounds.right];
+  const ys = [bounds.top, bounds.top, bounds.bottom, bounds.bottom];
+  const result = {
+    left: Infinity,
+    top: Infinity,
+    right: -Infinity,
+    bottom: -Infinity,
+  };
+
+  for (let i = 0; i < 4; i++) {
+    const x = m.xx * xs[i] + m.xy * ys[i] + m.x;
+    const y = m.yx * xs[i] + m.yy * ys[i] + m.y;
+    result.left = Math.min(result.left, x);
+    result.top = Math.min(result.top, y);
+    result.right = Math.max(result.right, x);
+    result.bottom = Math.max(result.bottom, y);
+  }
+
+  return result;
+}
+
+function unionBounds(a, b) {
+  if (!a || !b) {
+    return a || b;
+  }
+
+  return {
+    left: Math.min(a.left, b.left),
+    top: Math.min(a.top, b.top),
+    right: Math.max(a.right, b.right),
+    bottom: Math.max(a.bottom, b.bottom),
+  };
+}
+
+function getChildrenBounds(parent) {
+  let bounds = null;
+  for (let child = parent.firstChild; child; child = child.nextSibling) {
+    if (child._props) {
+      bounds = unionBounds(bounds, transformBounds(child, getLocalBounds(child)));
+    }
+  }
+  return bounds;
+}
+
+// The box a node draws into, in its own coordinates.
+function getLocalBounds(instance) {
+  const props = instance._props;
+
+  switch (instance._type) {
+    case 'ClippingRectangle': {
+      const bounds = getChildrenBounds(instance);
+      if (!bounds || props.width == null || props.height == null) {
+        return bounds;
+      }
+      const left = Math.max(bounds.left, 0);
+      const top = Math.max(bounds.top, 0);
+      const right = Math.min(bounds.right, props.width);
+      const bottom = Math.min(bounds.bottom, props.height);
+      return left < right && top < bottom ? {left, top, right, bottom} : null;
+    }
+    case 'Group':
+      return getChildrenBounds(instance);
+    case 'Shape': {
+      const subpaths = getFlattenedPath(instance);
+      let left = Infinity;
+      let top = Infinity;
+      let right = -Infinity;
+      let bottom = -Infinity;
+
+      for (let i = 0; i < subpaths.length; i++) {
+        const points = subpaths[i].points;
+        for (let j = 0; j < points.length; j += 2) {
+          left = Math.min(left, points[j]);
+          top = Math.min(top, points[j + 1]);
+          right = Math.max(right, points[j]);
+          bottom = Math.max(bottom, points[j + 1]);
+        }
+      }
+
+      if (left > right) {
+        return null;
+      }
+
+      let extent = 0;
+      if (props.stroke) {
+        const strokeWidth = props.strokeWidth == null ? 1 : props.strokeWidth;
+        extent = props.strokeJoin === 'miter' ?
+          strokeWidth / 2 * MITER_LIMIT :
+          strokeWidth / 2;
+      }
+
+      return {
+        left: left - extent,
+        top: top - extent,
+        right: right + extent,
+        bottom: bottom + extent,
+      };
+    }
+    case 'Text': {
+      const bounds = getTextBounds(instance, props);
+      return {
+        left: bounds.left,
+        top: bounds.top,
+        right: bounds.left + bounds.width,
+        bottom: bounds.top + bounds.height,
+      };
+    }
+  }
+
+  return null;
+}
+
+function isStrokeHit(subpaths, props, x, y, tolerance) {
+  if (!props.stroke) {
+    return false;
+  }
+
+  const strokeWidth = props.strokeWidth == null ? 1 : props.strokeWidth;
+  const distance = ARTPathGeometry.getDistance(subpaths, x, y);
+
+  return distance <= strokeWidth / 2 + tolerance;
+}
+
+function hitTestChildren(parent, x, y, scale, query) {
+  let hit = false;
+
+  for (let child = parent.lastChild; child; child = child.previousSibling) {
+    if (hitTestNode(child, x, y, scale, query)) {
+      hit = true;
+      if (!query.findAll) {
+        break;
+      }
+    }
+  }
+
+  return hit;
+}
+
+function hitTestNode(instance, x, y, scale, query) {
+  const props = instance._props;
+
+  // Skip hidden nodes and anything the reconciler did not create.
+  if (!props || !instance._hitTest || props.visible === false) {
+    return false;
+  }
+
+  const point = instance.inversePoint(x, y);
+  if (!point) {
+    return false;
+  }
+
+  return instance._hitTest(
+    instance,
+    props,
+    point.x,
+    point.y,
+    scale * getScale(instance),
+    query,
+  );
+}
+
+/** Hit Test Methods */
+
+function hitTestClippingRectangle(instance, props, x, y, scale, query) {
+  if (
+    props.width != null && props.height != null &&
+    (x < 0 || y < 0 || x > props.width || y > props.height)
+  ) {
+    return false;
+  }
+
+  return hitTestChildren(instance, x, y, scale, query);
+}
+
+function hitTestGroup(instance, props, x, y, scale, query) {
+  return hitTestChildren(instance, x, y, scale, query);
+}
+
+function hitTestShape(instance, props, x, y, scale, query) {
+  if (!props.fill && !props.stroke) {
+    return false;
+  }
+
+  const subpaths = getFlattenedPath(instance);
+
+  if (
+    (
+      props.fill &&
+      ARTPathGeometry.containsPoint(subpaths, x, y, query.fillRule)
+    ) ||
+    isStrokeHit(subpaths, props, x, y, scale ? query.tolerance / scale : 0)
+  ) {
+    query.results.push(instance);
+    return true;
+  }
+
+  return false;
+}
+
+function hitTestText(instance, props, x, y, scale, query) {
+  if (!props.fill && !props.stroke) {
+    return false;
+  }
+
+  const bounds = getTextBounds(instance, props);
+
+  if (
+    x >= bounds.left && x <= bounds.left + bounds.width &&
+    y >= bounds.top && y <= bounds.top + bounds.height
+  ) {
+    query.results.push(instance);
+    return true;
+  }
+
+  return false;
+}
+
+function createQuery(surface, findAll, tolerance) {
+  return {
+    // Canvas mode fills with the context's nonzero rule, SVG mode sets the
+    // even-odd rule on every path. Only canvas surfaces hit test themselves.
+    fillRule: surface.hitTest ? 'nonzero' : 'evenodd',
+    findAll,
+    results: [],
+    tolerance: tolerance || 0,
+  };
+}
+
+/** API */
+
+/**
+ * Returns every Shape and Text of `surface` that covers the point, topmost
+ * first. The point is in the surface's coordinates. Fills are tested with the
+ * rule that the surface's mode renders them with, nonzero in canvas mode and
+ * even-odd otherwise, and strokes are widened by `tolerance`, in the same
+ * units, to make thin lines easier to hit.
+ */
+function hitTestAll(surface, x, y, tolerance) {
+  const query = createQuery(surface, true, tolerance);
+
+  hitTestChildren(surface, x, y, 1, query);
+
+  return query.results;
+}
+
+/**
+ * Returns the topmost Shape or Text of `surface` that covers the point, or
+ * null. See hitTestAll.
+ */
+function hitTest(surface, x, y, tolerance) {
+  const query = createQuery(surface, false, tolerance);
+
+  hitTestChildren(surface, x, y, 1, query);
+
+  return query.results.length ? query.results[0] : null;
+}
+
+/**
+ * Returns the box that a node and its descendants draw into, in the
+ * coordinates of the surface it is in, or null if it draws nothing. The box
+ * is as precise as the hit testing, and includes the full width of strokes.
+ */
+function getSurfaceBounds(instance) {
+  let bounds = transformBounds(instance, getLocalBounds(instance));
+
+  for (
+    let parent = instance.parentNode;
+    parent && parent._props;
+    parent = parent.parentNode
+  ) {
+    bounds = transformBounds(parent, bounds);
+  }
+
+  return bounds;
+}
+
+module.exports = {
+  getLocalBounds,
+  getSurfaceBounds,
+  hitTest,
+  hitTestAll,
+  hitTestClippingRectangle,
+  hitTestGroup,
+  hitTestShape,
+  hitTestText,
+};
@@ -0,0 +1,62 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactARTProps
+ */
+'use strict';
+
+/** API */
+
+/**
+ * The text of a Text node, whose children are strings or numbers.
+ */
+function childrenAsString(children) {
+  if (typeof children === 'number') {
+    return String(children);
+  } else if (!children) {
+    return '';
+  } else if (typeof children === 'string') {
+    return children;
+  } else if (children.length) {
+    return children.join('');
+  } else {
+    return '';
+  }
+}
+
+/**
+ * The horizontal scale of a node, which `scaleX` overrides `scale` for.
+ */
+function getScaleX(props) {
+  if (props.scaleX != null) {
+    return props.scaleX;
+  } else if (props.scale != null) {
+    return props.scale;
+  } else {
+    return 1;
+  }
+}
+
+/**
+ * The vertical scale of a node, which `scaleY` overrides `scale` for.
+ */
+function getScaleY(props) {
+  if (props.scaleY != null) {
+    return props.scaleY;
+  } else if (props.scale != null) {
+    return props.scale;
+  } else {
+    return 1;
+  }
+}
+
+module.exports = {
+  childrenAsString,
+  getScaleX,
+  getScaleY,
+};
@@ -0,0 +1,440 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactARTSVGSerializer
+ */
+'use strict';
+
+const ARTSVGPath = require('art/modes/svg/path');
+const Color = require('art/core/color');
+const Transform = require('art/core/transform');
+const ReactARTProps = require('./ReactARTProps');
+
+const {childrenAsString, getScaleX, getScaleY} = ReactARTProps;
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+const TYPES = {
+  CLIPPING_RECTANGLE: 'ClippingRectangle',
+  GROUP: 'Group',
+  SHAPE: 'Shape',
+  TEXT: 'Text',
+};
+
+// Mirrors ART's SVG mode, so that server and client markup look alike.
+const TEXT_ANCHORS = {
+  center: 'middle',
+  left: 'start',
+  right: 'end',
+};
+
+const TEXT_PATH_OFFSETS = {
+  end: '100%',
+  middle: '50%',
+};
+
+/** Helper Methods */
+
+function escape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function hyphenate(name) {
+  return name.replace(/([A-Z])/g, '-$1').toLowerCase();
+}
+
+function getTransform(props) {
+  const scaleX = getScaleX(props);
+  const scaleY = getScaleY(props);
+
+  const transform = new Transform()
+    .move(props.x || 0, props.y || 0)
+    .rotate(props.rotation || 0, props.originX, props.originY)
+    .scale(scaleX, scaleY, props.originX, props.originY);
+
+  if (props.transform != null) {
+    transform.transform(props.transform);
+  }
+
+  return transform;
+}
+
+/** Serialization */
+
+// Ids of defs are numbered within each document, after the prefix that
+// keeps them apart from those of other documents on the same page.
+function getId(context, name) {
+  return context.idPrefix + name + '-' + ++context.uid;
+}
+
+function serializeAttributes(attributes) {
+  let markup = '';
+  for (let name in attributes) {
+    if (attributes[name] != null) {
+      markup += ' ' + name + '="' + escape(attributes[name]) + '"';
+    }
+  }
+  return markup;
+}
+
+function serializeElement(tag, attributes, content) {
+  const markup = '<' + tag + serializeAttributes(attributes);
+  return content ? markup + '>' + content + '</' + tag + '>' : markup + '/>';
+}
+
+function serializeStops(stops) {
+  let markup = '';
+
+  function addColor(offset, color) {
+    color = Color.detach(color);
+    markup += serializeElement('stop', {
+      offset,
+      'stop-color': color[0],
+      'stop-opacity': color[1],
+    });
+  }
+
+  // Enumerate stops, assumes offsets are enumerated in order
+  if ('length' in stops) {
+    for (let i = 0, l = stops.length - 1; i <= l; i++) {
+      addColor(i / l, stops[i]);
+    }
+  } else {
+    for (let offset in stops) {
+      addColor(offset, stops[offset]);
+    }
+  }
+
+  return markup;
+}
+
+/**
+ * Stands in for a node when fill-type objects apply themselves, and writes
+ * the brush they describe to the document's defs.
+ */
+class BrushSerializer {
+  constructor(context, props) {
+    this.context = context;
+    this.id = null;
+    this.width = props.width;
+    this.height = props.height;
+  }
+
+  _define(tag, attributes, content) {
+    this.id = getId(this.context, 'fill-brush');
+    attributes.id = this.id;
+    this.context.defs += serializeElement(tag, attributes, content);
+  }
+
+  fillLinear(stops, x1, y1, x2, y2) {
+    const attributes = {};
+
+    if (arguments.length === 5) {
+      attributes.gradientUnits = 'userSpaceOnUse';
+    } else {
+      const angle = (x1 == null ? 270 : x1) * Math.PI / 180;
+
+      let x = Math.cos(angle);
+      let y = -Math.sin(angle);
+      const l = (Math.abs(x) + Math.abs(y)) / 2;
+
+      x *= l;
+      y *= l;
+
+      x1 = 0.5 - x;
+      x2 = 0.5 + x;
+      y1 = 0.5 - y;
+      y2 = 0.5 + y;
+    }
+
+    attributes.x1 = x1;
+    attributes.y1 = y1;
+    attributes.x2 = x2;
+    attributes.y2 = y2;
+    attributes.spreadMethod = 'reflect';
+
+    this._define('linearGradient', attributes, serializeStops(stops));
+  }
+
+  fillRadial(stops, focusX, focusY, radiusX, radiusY, centerX, centerY) {
+    const width = this.width || 0;
+    const height = this.height || 0;
+
+    if (focusX == null) {
+      focusX = width * 0.5;
+    }
+    if (focusY == null) {
+      focusY = height * 0.5;
+    }
+    if (radiusY == null) {
+      radiusY = radiusX || height * 0.5;
+    }
+    if (radiusX == null) {
+      radiusX = width * 0.5;
+    }
+    if (centerX == null) {
+      centerX = focusX;
+    }
+    if (centerY == null) {
+      centerY = focusY;
+    }
+
+    const ys = radiusY / radiusX;
+
+    this._define('radialGradient', {
+      gradientUnits: 'userSpaceOnUse',
+      fx: focusX,
+      fy: focusY / ys,
+      r: radiusX,
+      gradientTransform: ys !== 1 ? 'scale(1,' + ys + ')' : null,
+      cx: centerX,
+      cy: centerY / ys,
+      spreadMethod: 'reflect',
+    }, serializeStops(stops));
+  }
+
+  fillImage(url, width, height, left, top) {
+    this._define('pattern', {
+      patternUnits: 'userSpaceOnUse',
+      patternContentsUnits: 'userSpaceOnUse',
+      x: left || 0,
+      y: top || 0,
+      width,
+      height,
+    }, serializeElement('image', {
+      'xlink:href': url,
+      width,
+      height,
+      preserveAspectRatio: 'none',
+    }));
+  }
+}
+
+function getPaintAttributes(context, props, attributes) {
+  if (props.fill && props.fill.applyFill) {
+    const brush = new BrushSerializer(context, props);
+    props.fill.applyFill(brush);
+    attributes.fill = 'url(#' + brush.id + ')';
+  } else if (props.fill != null) {
+    const fill = Color.detach(props.fill);
+    attributes.fill = fill[0];
+    attributes['fill-opacity'] = fill[1];
+  } else {
+    attributes.fill = 'none';
+  }
+
+  if (props.stroke != null) {
+    const stroke = Color.detach(props.stroke);
+    attributes.stroke = stroke[0];
+    attributes['stroke-opacity'] = stroke[1];
+    attributes['stroke-width'] =
+      props.strokeWidth != null ? props.strokeWidth : 1;
+    attributes['stroke-linecap'] =
+      props.strokeCap != null ? props.strokeCap : 'round';
+    attributes['stroke-linejoin'] =
+      props.strokeJoin != null ? props.strokeJoin : 'round';
+    if (props.strokeDash) {
+      attributes['stroke-dasharray'] = props.strokeDash.join(',');
+    }
+  }
+
+  return attributes;
+}
+
+function getNodeAttributes(props) {
+  const m = getTransform(props);
+  const isIdentity = m.xx === 1 && m.yx === 0 && m.xy === 0 && m.yy === 1 &&
+    m.x === 0 && m.y === 0;
+
+  return {
+    transform: isIdentity ?
+      null :
+      'matrix(' + [m.xx, m.yx, m.xy, m.yy, m.x, m.y] + ')',
+    opacity: props.opacity,
+    display: props.visible == null || props.visible ? null : 'none',
+    style: props.cursor ? 'cursor:' + props.cursor : null,
+  };
+}
+
+function serializeTitle(props) {
+  return props.title ? serializeElement('title', {}, escape(props.title)) : '';
+}
+
+function serializeFontStyle(font) {
+  if (!font) {
+    return null;
+  } else if (typeof font === 'string') {
+    return 'font:' + font;
+  }
+
+  const declarations = [];
+  for (let key in font) {
+    declarations.push(hyphenate(key) + ':' + font[key]);
+  }
+  declarations.push('line-height:0.5em');
+  return declarations.join(';');
+}
+
+function serializeChildren(context, children) {
+  let markup = '';
+  for (let i = 0; i < children.length; i++) {
+    markup += serializeNode(context, children[i]);
+  }
+  return markup;
+}
+
+function serializeClippingRectangle(context, node) {
+  const props = node.props;
+  const attributes = getNodeAttributes(props);
+
+  if (props.width != null && props.height != null) {
+    const id = getId(context, 'clip');
+    context.defs += serializeElement('clipPath', {id}, serializeElement('rect', {
+      x: 0,
+      y: 0,
+      width: props.width,
+      height: props.height,
+    }));
+    attributes['clip-path'] = 'url(#' + id + ')';
+  }
+
+  return serializeElement(
+    'g',
+    attributes,
+    serializeTitle(props) + serializeChildren(context, node.children),
+  );
+}
+
+function serializeGroup(context, node) {
+  return serializeElement(
+    'g',
+    getNodeAttributes(node.props),
+    serializeTitle(node.props) + serializeChildren(context, node.children),
+  );
+}
+
+function serializeShape(context, node) {
+  const props = node.props;
+  const path = props.d || childrenAsString(props.children);
+  const attributes = getNodeAttributes(props);
+
+  attributes['fill-rule'] = 'evenodd';
+  attributes.d = new ARTSVGPath(path).toSVG();
+
+  return serializeElement(
+    'path',
+    getPaintAttributes(context, props, attributes),
+    serializeTitle(props),
+  );
+}
+
+function serializeText(context, node) {
+  const props = node.props;
+  const attributes = getNodeAttributes(props);
+  const anchor = props.alignment ?
+    TEXT_ANCHORS[props.alignment] || props.alignment :
+    null;
+
+  attributes.style = [attributes.style, serializeFontStyle(props.font)]
+    .filter(Boolean)
+    .join(';') || null;
+  attributes['text-anchor'] = anchor;
+  attributes['dominant-baseline'] = 'central';
+  attributes['xml:space'] = 'preserve';
+
+  let pathId = null;
+  if (props.path && typeof props.path !== 'number') {
+    pathId = getId(context, 'text-path');
+    context.defs += serializeElement('path', {
+      id: pathId,
+      d: new ARTSVGPath(props.path).toSVG(),
+    });
+  }
+
+  const lines = childrenAsString(props.children).split(/\r?\n/);
+  let content = serializeTitle(props);
+
+  // Like ART, only the first line follows a path.
+  for (let i = 0; i < (pathId ? 1 : lines.length); i++) {
+    const line = escape(lines[i]);
+    content += pathId ?
+      serializeElement('textPath', {
+        'xlink:href': '#' + pathId,
+        startOffset: TEXT_PATH_OFFSETS[anchor] || 0,
+        'dominant-baseline': 'central',
+      }, line) :
+      serializeElement('tspan', {
+        x: 0,
+        y: (i * 1.1 + 0.5) + 'em',
+        'dominant-baseline': 'central',
+      }, line);
+  }
+
+  return serializeElement(
+    'text',
+    getPaintAttributes(context, props, attributes),
+    content,
+  );
+}
+
+function serializeNode(context, node) {
+  switch (node.type) {
+    case TYPES.CLIPPING_RECTANGLE:
+      return serializeClippingRectangle(context, node);
+    case TYPES.GROUP:
+      return serializeGroup(context, node);
+    case TYPES.SHAPE:
+      return serializeShape(context, node);
+    case TYPES.TEXT:
+      return serializeText(context, node);
+  }
+  return '';
+}
+
+/** API */
+
+/**
+ * Serializes a scene graph to a standalone SVG document. Nodes are records of
+ * the `type` and `props` of each host component and of their `children`.
+ * The document is `props.width` by `props.height`, multiplied by
+ * `options.scale`, and the ids of its defs start with `options.idPrefix`.
+ */
+function serializeSurface(props, children, options = {}) {
+  const scale = options.scale == null ? 1 : options.scale;
+
+  // Brushes, clips and text paths are collected while serializing the nodes
+  // that use them, and numbered from 1 within each document.
+  const context = {
+    defs: '',
+    idPrefix: options.idPrefix || '',
+    uid: 0,
+  };
+
+  const content = serializeChildren(context, children);
+
+  return serializeElement('svg', {
+    xmlns: SVG_NAMESPACE,
+    'xmlns:xlink': XLINK_NAMESPACE,
+    version: '1.1',
+    width: scale === 1 ? props.width : props.width * scale,
+    height: scale === 1 ? props.height : props.height * scale,
+    viewBox: scale === 1 ? null : [0, 0, props.width, props.height].join(' '),
+    class: props.className,
+    role: props.role,
+  }, serializeElement('defs', {}, context.defs) + content);
+}
+
+module.exports = {
+  TYPES,
+  serializeSurface,
+};
@@ -0,0 +1,235 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactARTServer
+ */
+'use strict';
+
+const ReactARTFiber = require('./ReactARTFiber');
+const ReactARTSVGSerializer = require('./ReactARTSVGSerializer');
+const assign = require('object-assign');
+const invariant = require('fbjs/lib/invariant');
+const ReactFiberReconciler = require('react-reconciler');
+var ReactDOMFrameScheduling = require('./ReactDOMFrameScheduling');
+
+const {TYPES} = ReactARTSVGSerializer;
+
+/** Helper Methods */
+
+function removeChild(parent, child) {
+  const index = parent.children.indexOf(child);
+  if (index !== -1) {
+    parent.children.splice(index, 1);
+  }
+}
+
+/** ART Server Renderer */
+
+// Nodes are plain records of the type and props of every host component,
+// which are turned into markup once the whole tree has been committed.
+const ARTServerRenderer = ReactFiberReconciler({
+
+  appendInitialChild(parentInstance, child) {
+    if (typeof child === 'string') {
+      // Noop for string children of Text (eg <Text>{'foo'}{'bar'}</Text>)
+      return;
+    }
+
+    parentInstance.children.push(child);
+  },
+
+  createInstance(
+    type,
+    props,
+    rootContainerInstance,
+    hostContext,
+    internalInstanceHandle,
+  ) {
+    invariant(
+      type === TYPES.CLIPPING_RECTANGLE ||
+      type === TYPES.GROUP ||
+      type === TYPES.SHAPE ||
+      type === TYPES.TEXT,
+      'ReactART does not support the type "%s"',
+      type,
+    );
+
+    return {
+      children: [],
+      props,
+      type,
+    };
+  },
+
+  createTextInstance(text, rootContainerInstance, internalInstanceHandle) {
+    return text;
+  },
+
+  finalizeInitialChildren(domElement, type, props) {
+    return false;
+  },
+
+  prepareForCommit() {
+    // Noop
+  },
+
+  prepareUpdate(domElement, type, oldProps, newProps) {
+    return true;
+  },
+
+  resetAfterCommit() {
+    // Noop
+  },
+
+  getRootHostContext(rootContainerInstance) {
+    return {};
+  },
+
+  getChildHostContext(parentHostContext) {
+    return parentHostContext;
+  },
+
+  getPublicInstance(instance) {
+    return instance;
+  },
+
+  scheduleDeferredCallback: ReactDOMFrameScheduling.rIC,
+
+  now: ReactDOMFrameScheduling.now,
+
+  shouldSetTextContent(props) {
+    return (
+      typeof props.children === 'string' ||
+      typeof props.children === 'number'
+    );
+  },
+
+  useSyncScheduling: true,
+
+  mutation: {
+    appendChild(parentInstance, child) {
+      if (typeof child === 'string') {
+        // Noop for string children of Text (eg <Text>{'foo'}{'bar'}</Text>)
+        return;
+      }
+
+      removeChild(parentInstance, child);
+      parentInstance.children.push(child);
+    },
+
+    appendChildToContainer(parentInstance, child) {
+      removeChild(parentInstance, child);
+      parentInstance.children.push(child);
+    },
+
+    insertBefore(parentInstance, child, beforeChild) {
+      if (typeof child === 'string') {
+        // Noop for string children of Text (eg <Text>{'foo'}{'bar'}</Text>)
+        return;
+      }
+
+      invariant(
+        child !== beforeChild,
+        'ReactART: Can not insert node before itself'
+      );
+
+      removeChild(parentInstance, child);
+      parentInstance.children.splice(
+        parentInstance.children.indexOf(beforeChild),
+        0,
+        child,
+      );
+    },
+
+    insertInContainerBefore(parentInstance, child, beforeChild) {
+      invariant(
+        child !== beforeChild,
+        'ReactART: Can not insert node before itself'
+      );
+
+      removeChild(parentInstance, child);
+      parentInstance.children.splice(
+        parentInstance.children.indexOf(beforeChild),
+        0,
+        child,
+      );
+    },
+
+    removeChild(parentInstance, child) {
+      if (typeof child === 'string') {
+        // Noop for string children of Text (eg <Text>{'foo'}{'bar'}</Text>)
+        return;
+      }
+
+      removeChild(parentInstance, child);
+    },
+
+    removeChildFromContainer(parentInstance, child) {
+      removeChild(parentInstance, child);
+    },
+
+    commitTextUpdate(textInstance, oldText, newText) {
+      // Noop
+    },
+
+    commitMount(instance, type, newProps) {
+      // Noop
+    },
+
+    commitUpdate(instance, updatePayload, type, oldProps, newProps) {
+      instance.props = newProps;
+    },
+
+    resetTextContent(domElement) {
+      // Noop
+    },
+  }
+});
+
+/** API */
+
+/**
+ * Renders a <Surface> element and everything in it to standalone SVG markup,
+ * without touching the DOM, so that it works on a server. Fills of every kind
+ * end up in the document's <defs>, ClippingRectangles clip their contents
+ * like they do in canvas mode. Documents that are inlined into the same page
+ * need a different `options.idPrefix` each, which starts the ids of their
+ * defs.
+ */
+function renderToSVGString(element, options) {
+  invariant(
+    element && element.type === ReactARTFiber.Surface,
+    'renderToSVGString(): You must pass a valid <Surface> element.'
+  );
+
+  // There is nothing to measure on a server, so Surfaces are as big as their
+  // width and height say, and children that are functions get that size.
+  const {children, height, width} = element.props;
+  const size = {height: +height, width: +width};
+
+  const container = {children: []};
+  const mountNode = ARTServerRenderer.createContainer(container);
+
+  ARTServerRenderer.updateContainer(
+    typeof children === 'function' ? children(size) : children,
+    mountNode,
+    null,
+  );
+  const markup = ReactARTSVGSerializer.serializeSurface(
+    assign({}, element.props, size),
+    container.children,
+    options,
+  );
+  ARTServerRenderer.updateContainer(null, mountNode, null);
+
+  return markup;
+}
+
+module.exports = {
+  renderToSVGString,
+};
@@ -0,0 +1,80 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule ReactARTTestRenderer
+ */
+'use strict';
+
+const ARTSerializedMode = require('./ARTSerializedMode');
+const ReactARTFiber = require('./ReactARTFiber');
+const invariant = require('fbjs/lib/invariant');
+
+const {ARTRenderer, getSurfaceSize} =
+  ReactARTFiber.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED;
+
+// There is nothing to measure, so Surfaces that size themselves to their
+// container are as big as they are before they are first measured.
+const UNMEASURED = {height: 0, width: 0};
+
+function getSurfaceProps(element) {
+  invariant(
+    element && element.type === ReactARTFiber.Surface,
+    'ReactARTTestRenderer: Expected a <Surface> element.'
+  );
+
+  return element.props;
+}
+
+// Renders the children of a Surface the way it does, with children that are
+// functions getting its size.
+function renderSurface(surface, mountNode, props) {
+  const size = getSurfaceSize(props, UNMEASURED);
+  const {children} = props;
+
+  surface.resize(size.width, size.height);
+  ARTRenderer.updateContainer(
+    typeof children === 'function' ? children(size) : children,
+    mountNode,
+    null,
+  );
+}
+
+/** API */
+
+/**
+ * Renders a <Surface> element in ARTSerializedMode, which needs no DOM. The
+ * returned renderer serializes the ART nodes with toJSON, can be updated with
+ * another <Surface> element and unmounted.
+ */
+function create(element) {
+  const props = getSurfaceProps(element);
+  const surface = ARTSerializedMode.Surface(0, 0);
+  // Read back by getRootHostContext so nodes are built in the same mode.
+  surface._mode = ARTSerializedMode;
+
+  const mountNode = ARTRenderer.createContainer(surface);
+  renderSurface(surface, mountNode, props);
+
+  return {
+    toJSON() {
+      return surface.toJSON();
+    },
+
+    update(nextElement) {
+      renderSurface(surface, mountNode, getSurfaceProps(nextElement));
+    },
+
+    unmount() {
+      ARTRenderer.updateContainer(null, mountNode, null);
+    },
+  };
+}
+
+module.exports = {
+  create,
+};
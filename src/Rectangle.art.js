@@ -7,7 +7,6 @@
  * of patent rights can be found in the PATENTS file in the same directory.
  *
  * @providesModule Rectangle.art
- * @typechecks
  *
  * Example usage:
  * <Rectangle
@@ -25,43 +24,33 @@
  *   (Number) radiusBottomRight
  *
  */
+'use strict';
 
-var React = require('react');
-var ReactART = require('./ReactART');
+const PropTypes = require('prop-types');
+const React = require('react');
+const ReactARTFiber = require('./ReactARTFiber');
+const assign = require('object-assign');
 
-var {PropTypes} = React;
-var Shape = ReactART.Shape;
-var Path = ReactART.Path;
+const {Path, Shape} = ReactARTFiber;
 
 /**
  * Rectangle is a React component for drawing rectangles. Like other ReactART
  * components, it must be used in a <Surface>.
  */
-var Rectangle = React.createClass({
-  propTypes: {
-    width: PropTypes.number.isRequired,
-    height: PropTypes.number.isRequired,
-    radius: PropTypes.number,
-    radiusTopLeft: PropTypes.number,
-    radiusTopRight: PropTypes.number,
-    radiusBottomRight: PropTypes.number,
-    radiusBottomLeft: PropTypes.number,
-  },
-
-  render: function() {
-    var width = this.props.width;
-    var height = this.props.height;
-    var radius = this.props.radius ? this.props.radius : 0;
+class Rectangle extends React.Component {
+  render() {
+    let {height, width} = this.props;
+    const radius = this.props.radius ? this.props.radius : 0;
 
     // if unspecified, radius(Top|Bottom)(Left|Right) defaults to the radius
     // property
-    var tl = this.props.radiusTopLeft ? this.props.radiusTopLeft : radius;
-    var tr = this.props.radiusTopRight ? this.props.radiusTopRight : radius;
-    var br = this.props.radiusBottomRight ?
+    let tl = this.props.radiusTopLeft ? this.props.radiusTopLeft : radius;
+    let tr = this.props.radiusTopRight ? this.props.radiusTopRight : radius;
+    let br = this.props.radiusBottomRight ?
       this.props.radiusBottomRight : radius;
-    var bl = this.props.radiusBottomLeft ? this.props.radiusBottomLeft : radius;
+    let bl = this.props.radiusBottomLeft ? this.props.radiusBottomLeft : radius;
 
-    var path = Path();
+    const path = Path();
 
     // for negative width/height, offset the rectangle in the negative x/y
     // direction. for negative radius, just default to 0.
@@ -99,9 +88,25 @@ var Rectangle = React.createClass({
     if (bl > 0) { path.arc(-bl, -bl); }
     path.line(0, - height + (bl + tl));
 
-    return <Shape {...this.props} d={path} />;
+    // The Shape keeps width and height, which size the box of its gradients.
+    const shapeProps = assign({}, this.props);
+    delete shapeProps.radius;
+    delete shapeProps.radiusTopLeft;
+    delete shapeProps.radiusTopRight;
+    delete shapeProps.radiusBottomRight;
+    delete shapeProps.radiusBottomLeft;
+    return <Shape {...shapeProps} d={path} />;
   }
-
-});
+}
+
+Rectangle.propTypes = {
+  width: PropTypes.number.isRequired,
+  height: PropTypes.number.isRequired,
+  radius: PropTypes.number,
+  radiusTopLeft: PropTypes.number,
+  radiusTopRight: PropTypes.number,
+  radiusBottomRight: PropTypes.number,
+  radiusBottomLeft: PropTypes.number,
+};
 
 module.exports = Rectangle;
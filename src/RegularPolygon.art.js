@@ -0,0 +1,64 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule RegularPolygon.art
+ *
+ * Example usage:
+ * <RegularPolygon
+ *   sides={6}
+ *   radius={20}
+ *   stroke="green"
+ *   fill="blue"
+ * />
+ *
+ */
+'use strict';
+
+const PropTypes = require('prop-types');
+const React = require('react');
+const ReactARTFiber = require('./ReactARTFiber');
+const assign = require('object-assign');
+
+const {Path, Shape} = ReactARTFiber;
+
+/**
+ * RegularPolygon is a React component for drawing polygons with `sides`
+ * equal sides around their center, with their corners `radius` from it and
+ * the first one straight above it. Like other ReactART components, it must be
+ * used in a <Surface>.
+ */
+class RegularPolygon extends React.Component {
+  render() {
+    const {radius, sides} = this.props;
+
+    const path = Path();
+    for (let i = 0; i < sides; i++) {
+      const angle = Math.PI * 2 * i / sides - Math.PI / 2;
+      const x = radius * Math.cos(angle);
+      const y = radius * Math.sin(angle);
+      if (i === 0) {
+        path.moveTo(x, y);
+      } else {
+        path.lineTo(x, y);
+      }
+    }
+    path.close();
+
+    const shapeProps = assign({}, this.props);
+    delete shapeProps.radius;
+    delete shapeProps.sides;
+    return <Shape {...shapeProps} d={path} />;
+  }
+}
+
+RegularPolygon.propTypes = {
+  sides: PropTypes.number.isRequired,
+  radius: PropTypes.number.isRequired,
+};
+
+module.exports = RegularPolygon;
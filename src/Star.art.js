@@ -0,0 +1,67 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule Star.art
+ *
+ * Example usage:
+ * <Star
+ *   points={5}
+ *   innerRadius={8}
+ *   outerRadius={20}
+ *   fill="gold"
+ * />
+ *
+ */
+'use strict';
+
+const PropTypes = require('prop-types');
+const React = require('react');
+const ReactARTFiber = require('./ReactARTFiber');
+const assign = require('object-assign');
+
+const {Path, Shape} = ReactARTFiber;
+
+/**
+ * Star is a React component for drawing stars around their center, with
+ * `points` tips `outerRadius` from it, the first one straight above it, and
+ * the corners between them `innerRadius` from it. Like other ReactART
+ * components, it must be used in a <Surface>.
+ */
+class Star extends React.Component {
+  render() {
+    const {innerRadius, outerRadius, points} = this.props;
+
+    const path = Path();
+    for (let i = 0; i < points * 2; i++) {
+      const angle = Math.PI * i / points - Math.PI / 2;
+      const radius = i % 2 ? innerRadius : outerRadius;
+      const x = radius * Math.cos(angle);
+      const y = radius * Math.sin(angle);
+      if (i === 0) {
+        path.moveTo(x, y);
+      } else {
+        path.lineTo(x, y);
+      }
+    }
+    path.close();
+
+    const shapeProps = assign({}, this.props);
+    delete shapeProps.innerRadius;
+    delete shapeProps.outerRadius;
+    delete shapeProps.points;
+    return <Shape {...shapeProps} d={path} />;
+  }
+}
+
+Star.propTypes = {
+  points: PropTypes.number.isRequired,
+  innerRadius: PropTypes.number.isRequired,
+  outerRadius: PropTypes.number.isRequired,
+};
+
+module.exports = Star;
@@ -0,0 +1,402 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @providesModule Viewport.art
+ *
+ * Example usage:
+ * <Viewport
+ *   width={400}
+ *   height={300}
+ *   maxZoom={8}
+ *   bounds={{x: 0, y: 0, width: 1000, height: 1000}}>
+ *   <Shape d={path} fill="blue" />
+ * </Viewport>
+ *
+ */
+'use strict';
+
+const React = require('react');
+const ReactARTAnimationFrame = require('./ReactARTAnimationFrame');
+const ReactARTFiber = require('./ReactARTFiber');
+const Transform = require('art/core/transform');
+const assign = require('object-assign');
+
+const {ClippingRectangle, Group, Shape} = ReactARTFiber;
+const {cancelFrame, requestFrame} = ReactARTAnimationFrame;
+
+const DEFAULT_DURATION = 300;
+
+// Wheel deltas are in pixels, lines or pages depending on their deltaMode.
+const WHEEL_LINE_HEIGHT = 16;
+
+// Pixels of wheel scrolling that double or halve the zoom.
+const WHEEL_ZOOM_STEP = 300;
+
+// Hit by pointers over the parts of the viewport that nothing is drawn to.
+const BACKGROUND = 'rgba(0, 0, 0, 0)';
+
+/** Helper Methods */
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+function clampAxis(start, min, max, visible) {
+  // Bounds smaller than the viewport are centered in it.
+  return visible >= max - min ?
+    (min + max - visible) / 2 :
+    clamp(start, min, max - visible);
+}
+
+function ease(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(2 - 2 * t, 3) / 2;
+}
+
+function getGesture(pointers) {
+  // The center of the first two pointers and the distance between them.
+  const ids = Object.keys(pointers);
+  const a = pointers[ids[0]];
+  const b = pointers[ids[1]] || a;
+
+  return {
+    distance: Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2)),
+    x: (a.x + b.x) / 2,
+    y: (a.y + b.y) / 2,
+  };
+}
+
+/**
+ * Viewport is a React component for pan and zoom. It draws its children
+ * through a camera, which shows the world from `x`, `y` at `zoom` times
+ * their size, and moves the camera with the wheel and by dragging with one
+ * pointer or pinching with two. Like other ReactART components, it must be
+ * used in a <Surface>, and touch gestures need `touch-action: none` on it.
+ *
+ * Children that handle pointer events themselves can stop their propagation
+ * to keep the Viewport from moving.
+ */
+class Viewport extends React.Component {
+  constructor(props) {
+    super(props);
+
+    this._animation = null;
+    this._camera = this._constrain(
+      assign({x: 0, y: 0, zoom: 1}, props.defaultCamera),
+      props,
+    );
+    this._contentNode = null;
+    this._pointers = {};
+    this.state = {camera: this._camera};
+
+    this._handlePointerDown = this._handlePointerDown.bind(this);
+    this._handlePointerMove = this._handlePointerMove.bind(this);
+    this._handlePointerUp = this._handlePointerUp.bind(this);
+    this._handleWheel = this._handleWheel.bind(this);
+  }
+
+  componentDidUpdate(prevProps) {
+    const props = this.props;
+
+    if (
+      props.bounds !== prevProps.bounds ||
+      props.height !== prevProps.height ||
+      props.maxZoom !== prevProps.maxZoom ||
+      props.minZoom !== prevProps.minZoom ||
+      props.width !== prevProps.width
+    ) {
+      this._setCamera(this._camera);
+    }
+  }
+
+  componentWillUnmount() {
+    this._stopAnimation();
+  }
+
+  /**
+   * Returns the camera as `{x, y, zoom}`.
+   */
+  getCamera() {
+    return assign({}, this._camera);
+  }
+
+  /**
+   * Moves the camera so that the world point `x`, `y` is in the center.
+   * Animates for `options.duration` milliseconds, 0 moves it at once.
+   */
+  panTo(x, y, options) {
+    this._animateTo(this._getCameraAt(x, y, this._camera.zoom), options);
+  }
+
+  /**
+   * Zooms the camera to fit the world rectangle `{x, y, width, height}`
+   * into the viewport, centered. Animates like panTo.
+   */
+  zoomTo(rect, options) {
+    const zoom = Math.min(
+      this.props.width / rect.width,
+      this.props.height / rect.height,
+    );
+
+    this._animateTo(
+      this._getCameraAt(
+        rect.x + rect.width / 2,
+        rect.y + rect.height / 2,
+        zoom,
+      ),
+      options,
+    );
+  }
+
+  /**
+   * Converts a point relative to the Surface, like the surfaceX and surfaceY
+   * of events, to world coordinates.
+   */
+  surfaceToWorld(x, y) {
+    return this._getWorldTransform().inversePoint(x, y);
+  }
+
+  /**
+   * Converts a point in world coordinates to one relative to the Surface.
+   */
+  worldToSurface(x, y) {
+    return this._getWorldTransform().point(x, y);
+  }
+
+  _getWorldTransform() {
+    const path = [];
+    for (
+      let node = this._contentNode;
+      node && node._props;
+      node = node.parentNode
+    ) {
+      path.push(node);
+    }
+
+    const transform = new Transform();
+    for (let i = path.length - 1; i >= 0; i--) {
+      transform.transform(path[i]);
+    }
+    return transform;
+  }
+
+  _constrain(camera, props) {
+    const {bounds, height, maxZoom, minZoom, width} = props;
+    const zoom = clamp(camera.zoom, minZoom, maxZoom);
+
+    if (!bounds) {
+      return {x: camera.x, y: camera.y, zoom};
+    }
+
+    return {
+      x: clampAxis(camera.x, bounds.x, bounds.x + bounds.width, width / zoom),
+      y: clampAxis(
+        camera.y,
+        bounds.y,
+        bounds.y + bounds.height,
+        height / zoom,
+      ),
+      zoom,
+    };
+  }
+
+  _getCameraAt(centerX, centerY, zoom) {
+    const {height, maxZoom, minZoom, width} = this.props;
+    zoom = clamp(zoom, minZoom, maxZoom);
+
+    return this._constrain(
+      {
+        x: centerX - width / 2 / zoom,
+        y: centerY - height / 2 / zoom,
+        zoom,
+      },
+      this.props,
+    );
+  }
+
+  _setCamera(camera) {
+    const next = this._constrain(camera, this.props);
+    const previous = this._camera;
+
+    if (
+      next.x === previous.x &&
+      next.y === previous.y &&
+      next.zoom === previous.zoom
+    ) {
+      return;
+    }
+
+    this._camera = next;
+    this.setState({camera: next});
+
+    if (this.props.onCameraChange) {
+      this.props.onCameraChange(assign({}, next));
+    }
+  }
+
+  _animateTo(target, options) {
+    this._stopAnimation();
+
+    const duration = options && options.duration != null ?
+      options.duration :
+      DEFAULT_DURATION;
+
+    if (!(duration > 0)) {
+      this._setCamera(target);
+      return;
+    }
+
+    // The center moves in a straight line, while the zoom changes by the same
+    // factor every frame, which looks even.
+    const {height, width} = this.props;
+    const from = this._camera;
+    const fromX = from.x + width / 2 / from.zoom;
+    const fromY = from.y + height / 2 / from.zoom;
+    const toX = target.x + width / 2 / target.zoom;
+    const toY = target.y + height / 2 / target.zoom;
+    const start = Date.now();
+
+    const step = () => {
+      const t = Math.min((Date.now() - start) / duration, 1);
+
+      if (t === 1) {
+        this._animation = null;
+        this._setCamera(target);
+        return;
+      }
+
+      const e = ease(t);
+      const zoom = from.zoom * Math.pow(target.zoom / from.zoom, e);
+
+      this._animation = requestFrame(step);
+      this._setCamera({
+        x: fromX + (toX - fromX) * e - width / 2 / zoom,
+        y: fromY + (toY - fromY) * e - height / 2 / zoom,
+        zoom,
+      });
+    };
+
+    this._animation = requestFrame(step);
+  }
+
+  _stopAnimation() {
+    if (this._animation != null) {
+      cancelFrame(this._animation);
+      this._animation = null;
+    }
+  }
+
+  _moveGesture(previous, next) {
+    // Keeps the world point under the previous center of the gesture under
+    // the next one, zooming by how much the pointers spread.
+    const {maxZoom, minZoom} = this.props;
+    const camera = this._camera;
+    const zoom = previous.distance && next.distance ?
+      clamp(camera.zoom * next.distance / previous.distance, minZoom, maxZoom) :
+      camera.zoom;
+
+    this._setCamera({
+      x: camera.x + previous.x / camera.zoom - next.x / zoom,
+      y: camera.y + previous.y / camera.zoom - next.y / zoom,
+      zoom,
+    });
+  }
+
+  _handlePointerDown(event) {
+    if (
+      event.localX == null ||
+      event.pointerType === 'mouse' && event.button !== 0
+    ) {
+      return;
+    }
+
+    this._stopAnimation();
+    this._pointers[event.pointerId] = {x: event.localX, y: event.localY};
+  }
+
+  _handlePointerMove(event) {
+    const pointer = this._pointers[event.pointerId];
+
+    if (!pointer || event.localX == null) {
+      return;
+    } else if (event.buttons === 0) {
+      // Released outside of the viewport.
+      delete this._pointers[event.pointerId];
+      return;
+    }
+
+    const previous = getGesture(this._pointers);
+    pointer.x = event.localX;
+    pointer.y = event.localY;
+    this._moveGesture(previous, getGesture(this._pointers));
+  }
+
+  _handlePointerUp(event) {
+    delete this._pointers[event.pointerId];
+  }
+
+  _handleWheel(event) {
+    if (event.localX == null) {
+      return;
+    }
+
+    event.preventDefault();
+    this._stopAnimation();
+
+    let delta = event.deltaY;
+    if (event.deltaMode === 1) {
+      delta *= WHEEL_LINE_HEIGHT;
+    } else if (event.deltaMode === 2) {
+      delta *= this.props.height;
+    }
+
+    const x = event.localX;
+    const y = event.localY;
+    const factor = Math.pow(2, -delta / WHEEL_ZOOM_STEP);
+    this._moveGesture({distance: 1, x, y}, {distance: factor, x, y});
+  }
+
+  render() {
+    const {children, height, width, x, y} = this.props;
+    const camera = this.state.camera;
+
+    return (
+      <Group
+        x={x}
+        y={y}
+        onPointerCancel={this._handlePointerUp}
+        onPointerDown={this._handlePointerDown}
+        onPointerMove={this._handlePointerMove}
+        onPointerUp={this._handlePointerUp}
+        onWheel={this._handleWheel}>
+        <Shape
+          d={
+            'M0,0L' + width + ',0L' + width + ',' + height + 'L0,' + height +
+            'Z'
+          }
+          fill={BACKGROUND}
+        />
+        <ClippingRectangle width={width} height={height}>
+          <Group
+            ref={node => this._contentNode = node}
+            x={-camera.x * camera.zoom}
+            y={-camera.y * camera.zoom}
+            scale={camera.zoom}>
+            {children}
+          </Group>
+        </ClippingRectangle>
+      </Group>
+    );
+  }
+}
+
+Viewport.defaultProps = {
+  maxZoom: 10,
+  minZoom: 0.1,
+};
+
+module.exports = Viewport;
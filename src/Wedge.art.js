@@ -7,7 +7,6 @@
  * of patent rights can be found in the PATENTS file in the same directory.
  *
  * @providesModule Wedge.art
- * @typechecks
  *
  * Example usage:
  * <Wedge
@@ -17,34 +16,40 @@
  *   fill="blue"
  * />
  *
- * Additional optional property:
+ * Additional optional properties:
  *   (Int) innerRadius
+ *   (Number) cornerRadius
+ *   (Number) padAngle
  *
  */
+'use strict';
 
-var React = require('react');
-var ReactART = require('./ReactART');
+const PropTypes = require('prop-types');
+const React = require('react');
+const ReactARTFiber = require('./ReactARTFiber');
+const assign = require('object-assign');
 
-var {PropTypes} = React;
-var Shape = ReactART.Shape;
-var Path = ReactART.Path;
+const {Path, Shape} = ReactARTFiber;
+
+const RADIANS_PER_DEGREE = Math.PI / 180;
+
+// Halvings of the corner radius to find the largest one that fits.
+const BISECTIONS = 30;
+
+// Angles and radii smaller than this are treated as nothing.
+const EPSILON = 1e-9;
 
 /**
  * Wedge is a React component for drawing circles, wedges and arcs.  Like other
  * ReactART components, it must be used in a <Surface>.
+ *
+ * Angles are in degrees clockwise from 12 o'clock. Wedges go counter-clockwise
+ * when `endAngle` is less than `startAngle`, and are whole circles or rings
+ * when they go 360 degrees or more. `cornerRadius` rounds the ends of wedges,
+ * as far as they are wide and thick enough, and `padAngle` leaves a gap as
+ * wide at both radii between each end and the wedge next to it.
  */
-var Wedge = React.createClass({
-
-  propTypes: {
-    outerRadius: PropTypes.number.isRequired,
-    startAngle: PropTypes.number.isRequired,
-    endAngle: PropTypes.number.isRequired,
-    innerRadius: PropTypes.number
-  },
-
-  circleRadians: Math.PI * 2,
-
-  radiansPerDegree: Math.PI / 180,
+class Wedge extends React.Component {
 
   /**
    * _degreesToRadians(degrees)
@@ -54,13 +59,9 @@ var Wedge = React.createClass({
    * @param {number} degrees
    * @return {number}
    */
-  _degreesToRadians: function(degrees) {
-    if (degrees !== 0 && degrees % 360 === 0) { // 360, 720, etc.
-      return this.circleRadians;
-    } else {
-      return degrees * this.radiansPerDegree % this.circleRadians;
-    }
-  },
+  _degreesToRadians(degrees) {
+    return degrees * RADIANS_PER_DEGREE;
+  }
 
   /**
    * _createCirclePath(or, ir)
@@ -71,8 +72,8 @@ var Wedge = React.createClass({
    * @param {number} ir The inner radius, greater than zero for a ring
    * @return {object}
    */
-  _createCirclePath: function(or, ir) {
-    var path = Path();
+  _createCirclePath(or, ir) {
+    const path = Path();
 
     path.move(0, or)
         .arc(or * 2, 0, or)
@@ -87,97 +88,237 @@ var Wedge = React.createClass({
     path.close();
 
     return path;
-  },
+  }
+
+  /**
+   * _getCorner(r, hw, rc, inner)
+   *
+   * Finds the circle of radius rc rounding the corner where a side of a wedge,
+   * hw from the radius at its end, meets the arc of radius r. Points are given
+   * along that radius from the center, and across it towards the wedge.
+   *
+   * @param {number} r The radius of the arc
+   * @param {number} hw The distance of the side from the radius at its end
+   * @param {number} rc The radius of the corner
+   * @param {boolean} inner Whether the arc is the inner one
+   * @return {object} The center, and the points touching the side and the arc
+   */
+  _getCorner(r, hw, rc, inner) {
+    // The center is rc from both the side and the arc.
+    const v = hw + rc;
+    const d = inner ? r + rc : r - rc;
+    const u = Math.sqrt(Math.max(d * d - v * v, 0));
+
+    return {
+      center: [u, v],
+      side: [u, hw],
+      arc: [u * r / d, v * r / d],
+    };
+  }
+
+  /**
+   * _fitCornerRadius(rc, fits)
+   *
+   * Finds the largest corner radius up to rc that fits, for when the wedge is
+   * too thin or thick for rc itself.
+   *
+   * @param {number} rc The corner radius asked for
+   * @param {function} fits Whether a corner radius fits
+   * @return {number}
+   */
+  _fitCornerRadius(rc, fits) {
+    if (fits(rc)) {
+      return rc;
+    }
+    let min = 0;
+    let max = rc;
+    for (let i = 0; i < BISECTIONS; i++) {
+      const mid = (min + max) / 2;
+      if (fits(mid)) {
+        min = mid;
+      } else {
+        max = mid;
+      }
+    }
+    return min;
+  }
 
   /**
-   * _createArcPath(sa, ea, ca, or, ir)
+   * _createArcPath(startAngle, endAngle, or, ir, cornerRadius, padAngle)
    *
    * Creates the ReactART Path for an arc or wedge.
    *
    * @param {number} startAngle The starting degrees relative to 12 o'clock
-   * @param {number} endAngle The ending degrees relative to 12 o'clock
+   * @param {number} endAngle The ending degrees, greater than startAngle
    * @param {number} or The outer radius in pixels
    * @param {number} ir The inner radius in pixels, greater than zero for an arc
+   * @param {number} cornerRadius The radius of the corners in pixels
+   * @param {number} padAngle The degrees of the gap between wedges
    * @return {object}
    */
-  _createArcPath: function(startAngle, endAngle, or, ir) {
-      var path = Path();
-
-      // angles in radians
-      var sa = this._degreesToRadians(startAngle);
-      var ea = this._degreesToRadians(endAngle);
-
-      // central arc angle in radians
-      var ca = sa > ea ? this.circleRadians - sa + ea : ea - sa;
-
-      // cached sine and cosine values
-      var ss = Math.sin(sa);
-      var es = Math.sin(ea);
-      var sc = Math.cos(sa);
-      var ec = Math.cos(ea);
-
-      // cached differences
-      var ds = es - ss;
-      var dc = ec - sc;
-      var dr = ir - or;
-
-      // if the angle is over pi radians (180 degrees)
-      // we will need to let the drawing method know.
-      var large = ca > Math.PI;
-
-      // TODO (sema) Please improve theses comments to make the math
-      // more understandable.
-      //
-      // Formula for a point on a circle at a specific angle with a center
-      // at (0, 0):
-      // x = radius * Math.sin(radians)
-      // y = radius * Math.cos(radians)
-      //
-      // For our starting point, we offset the formula using the outer
-      // radius because our origin is at (top, left).
-      // In typical web layout fashion, we are drawing in quadrant IV
-      // (a.k.a. Southeast) where x is positive and y is negative.
-      //
-      // The arguments for path.arc and path.counterArc used below are:
-      // (endX, endY, radiusX, radiusY, largeAngle)
-
-      path.move(or + or * ss, or - or * sc) // move to starting point
-          .arc(or * ds, or * -dc, or, or, large) // outer arc
-          .line(dr * es, dr * -ec);  // width of arc or wedge
-
-      if (ir) {
-        path.counterArc(ir * -ds, ir * dc, ir, ir, large); // inner arc
-      }
+  _createArcPath(startAngle, endAngle, or, ir, cornerRadius, padAngle) {
+    const path = Path();
+
+    // angles in radians
+    const sa = this._degreesToRadians(startAngle);
+    const ea = this._degreesToRadians(endAngle);
 
+    // central arc angle in radians
+    const ca = ea - sa;
+    const ha = ca / 2;
+
+    // The sides run half the gap, hw, from the radii at the start and end
+    // angles, so that the gap is as wide at both radii. It spans padAngle at
+    // a radius of sqrt(or * or + ir * ir), which is the outer radius for
+    // wedges without a hole.
+    const pa = Math.min(this._degreesToRadians(padAngle), Math.PI);
+    const hw = Math.sqrt(or * or + ir * ir) * Math.sin(pa / 2);
+
+    // Wedges that the gap takes all of are left out.
+    if (ca - 2 * Math.asin(Math.min(hw / or, 1)) <= EPSILON) {
       return path;
-  },
+    }
+
+    // Wider than a half circle, the sides no longer meet in the middle, and
+    // go around the gap at the center instead. Otherwise, wedges without a
+    // hole, or with one the gap takes all of, come to a point where the
+    // sides meet.
+    const r0 = ca > Math.PI ? Math.max(ir, hw) : ir;
+    const hasInnerArc =
+      r0 > EPSILON &&
+      ca - 2 * Math.asin(Math.min(hw / r0, 1)) > EPSILON;
+
+    // Corners are at most half as big as the wedge is thick, which rounds
+    // its ends off entirely, and corners at the same radius shouldn't cross
+    // the middle of the wedge into each other. Nor should the inner corners
+    // reach past the outer ones along the sides.
+    const rc = Math.max(
+      Math.min(cornerRadius, (or - (hasInnerArc ? r0 : 0)) / 2),
+      0
+    );
+    const sh = Math.sin(ha);
+    const ch = Math.cos(ha);
+    const isClear = (corner, r) =>
+      ca >= Math.PI || corner.center[0] * sh - corner.center[1] * ch >= r;
+
+    const orc = this._fitCornerRadius(rc, r =>
+      or - r >= hw + r && isClear(this._getCorner(or, hw, r, false), r)
+    );
+    const outer = this._getCorner(or, hw, orc, false);
+
+    // Places a point of a corner at the start (side 1) or end (side -1) of
+    // the wedge. At angle a from 12 o'clock, a point on a circle is at
+    // x = radius * sin(a), y = -radius * cos(a) from its center, and like
+    // circles, wedges are centered at (or, or) so that they start at the
+    // origin (top, left).
+    const getPoint = (point, a, side) => [
+      or + point[0] * Math.sin(a) + side * point[1] * Math.cos(a),
+      or - point[0] * Math.cos(a) + side * point[1] * Math.sin(a),
+    ];
+    const getAngle = point => Math.atan2(point[1], point[0]);
+
+    let outerStart = getPoint(outer.side, sa, 1);
+    path.moveTo(outerStart[0], outerStart[1]);
+    if (orc > EPSILON) {
+      outerStart = getPoint(outer.arc, sa, 1);
+      path.arcTo(outerStart[0], outerStart[1], orc);
+    }
+    let outerEnd = getPoint(outer.arc, ea, -1);
+    path.arcTo(
+      outerEnd[0], outerEnd[1], or, or,
+      ca - 2 * getAngle(outer.arc) > Math.PI
+    );
+    if (orc > EPSILON) {
+      outerEnd = getPoint(outer.side, ea, -1);
+      path.arcTo(outerEnd[0], outerEnd[1], orc);
+    }
+
+    if (!hasInnerArc) {
+      // The sides meet where each is hw from the other radius.
+      const apex = hw / Math.sin(ha);
+      const middle = getPoint([apex * ch, apex * sh], sa, 1);
+      path.lineTo(middle[0], middle[1]);
+    } else {
+      // Sides going around the gap at the center meet the inner arc
+      // smoothly, without corners to round.
+      const irc = r0 - hw <= EPSILON ? 0 : this._fitCornerRadius(rc, r => {
+        const corner = this._getCorner(r0, hw, r, true);
+        return isClear(corner, r) && corner.side[0] <= outer.side[0];
+      });
+      const inner = this._getCorner(r0, hw, irc, true);
+
+      let innerEnd = getPoint(inner.side, ea, -1);
+      path.lineTo(innerEnd[0], innerEnd[1]);
+      if (irc > EPSILON) {
+        innerEnd = getPoint(inner.arc, ea, -1);
+        path.arcTo(innerEnd[0], innerEnd[1], irc);
+      }
+      let innerStart = getPoint(inner.arc, sa, 1);
+      path.counterArcTo(
+        innerStart[0], innerStart[1], r0, r0,
+        ca - 2 * getAngle(inner.arc) > Math.PI
+      );
+      if (irc > EPSILON) {
+        innerStart = getPoint(inner.side, sa, 1);
+        path.arcTo(innerStart[0], innerStart[1], irc);
+      }
+    }
 
-  render: function() {
+    path.close();
+
+    return path;
+  }
+
+  render() {
     // angles are provided in degrees
-    var startAngle = this.props.startAngle;
-    var endAngle = this.props.endAngle;
+    const {endAngle, startAngle} = this.props;
     if (startAngle - endAngle === 0) {
-      return;
+      return null;
     }
 
     // radii are provided in pixels
-    var innerRadius = this.props.innerRadius || 0;
-    var outerRadius = this.props.outerRadius;
+    const innerRadius = this.props.innerRadius || 0;
+    const {outerRadius} = this.props;
 
     // sorted radii
-    var ir = Math.min(innerRadius, outerRadius);
-    var or = Math.max(innerRadius, outerRadius);
+    const ir = Math.min(innerRadius, outerRadius);
+    const or = Math.max(innerRadius, outerRadius);
 
-    var path;
-    if (endAngle >= startAngle + 360) {
+    let path;
+    if (Math.abs(endAngle - startAngle) >= 360) {
       path = this._createCirclePath(or, ir);
     } else {
-      path = this._createArcPath(startAngle, endAngle, or, ir);
+      // Counter-clockwise wedges cover the same area as clockwise ones the
+      // other way round.
+      path = this._createArcPath(
+        Math.min(startAngle, endAngle),
+        Math.max(startAngle, endAngle),
+        or,
+        ir,
+        this.props.cornerRadius || 0,
+        this.props.padAngle || 0
+      );
     }
 
-    return <Shape {...this.props} d={path} />;
+    const shapeProps = assign({}, this.props);
+    delete shapeProps.cornerRadius;
+    delete shapeProps.endAngle;
+    delete shapeProps.innerRadius;
+    delete shapeProps.outerRadius;
+    delete shapeProps.padAngle;
+    delete shapeProps.startAngle;
+    return <Shape {...shapeProps} d={path} />;
   }
 
-});
+}
+
+Wedge.propTypes = {
+  outerRadius: PropTypes.number.isRequired,
+  startAngle: PropTypes.number.isRequired,
+  endAngle: PropTypes.number.isRequired,
+  innerRadius: PropTypes.number,
+  cornerRadius: PropTypes.number,
+  padAngle: PropTypes.number,
+};
 
 module.exports = Wedge;
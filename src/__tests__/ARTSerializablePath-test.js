@@ -0,0 +1,746 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ * @jest-environment node
+ */
+
+'use strict';
+
+jest
+  .unmock('ARTPathBoolean')
+  .unmock('ARTPathData')
+  .unmock('ARTPathGeometry')
+  .unmock('ARTPathInterpolation')
+  .unmock('ARTPathSimplify')
+  .unmock('ARTPathStroke')
+  .unmock('ARTSerializablePath');
+
+var ARTPathGeometry = require('ARTPathGeometry');
+var Path = require('ARTSerializablePath');
+var ARTSVGMode = require('art/modes/svg');
+var Transform = require('art/core/transform');
+
+var MOVE_TO = 0;
+var CLOSE = 1;
+var LINE_TO = 2;
+var CURVE_TO = 3;
+var ARC = 4;
+
+// The points that a path moves or curves to, rounded to avoid float noise.
+function getEndPoints(path) {
+  var commands = path.path;
+  var points = [];
+  for (var i = 0; i < commands.length;) {
+    if (commands[i] === MOVE_TO) {
+      points.push(['M', round(commands[i + 1]), round(commands[i + 2])]);
+      i += 3;
+    } else if (commands[i] === CURVE_TO) {
+      points.push([round(commands[i + 5]), round(commands[i + 6])]);
+      i += 7;
+    } else if (commands[i] === CLOSE) {
+      points.push('Z');
+      i += 1;
+    } else {
+      throw new Error('Unexpected command ' + commands[i]);
+    }
+  }
+  return points;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000 + 0;
+}
+
+// The area that a path of lines fills, counting subpaths drawn the other way
+// round as holes.
+function getArea(path) {
+  var commands = path.path;
+  var area = 0;
+  var points = [];
+  function closeSubpath() {
+    for (var j = 0; j < points.length; j += 2) {
+      var k = (j + 2) % points.length;
+      area += points[j] * points[k + 1] - points[k] * points[j + 1];
+    }
+    points = [];
+  }
+  for (var i = 0; i < commands.length;) {
+    if (commands[i] === CLOSE) {
+      closeSubpath();
+      i += 1;
+    } else {
+      points.push(commands[i + 1], commands[i + 2]);
+      i += 3;
+    }
+  }
+  closeSubpath();
+  return Math.abs(area / 2);
+}
+
+function square(x, y, size) {
+  return Path()
+    .moveTo(x, y)
+    .lineTo(x + size, y)
+    .lineTo(x + size, y + size)
+    .lineTo(x, y + size)
+    .close();
+}
+
+describe('ARTSerializablePath', () => {
+  describe('toCurves', () => {
+    it('converts lines to straight curves and closes subpaths', () => {
+      var subpaths = ARTPathGeometry.toCurves(
+        Path().moveTo(0, 0).lineTo(30, 0).lineTo(30, 30).close().path
+      );
+
+      expect(subpaths).toEqual([{
+        points: [
+          0, 0, 10, 0, 20, 0, 30, 0,
+          30, 10, 30, 20, 30, 30,
+          20, 20, 10, 10, 0, 0,
+        ],
+        closed: true,
+      }]);
+    });
+
+    it('converts arcs to quarter turns', () => {
+      var subpaths = ARTPathGeometry.toCurves(
+        Path().moveTo(0, -10).arc(0, 20, 10).arc(0, -20, 10).path
+      );
+      var points = subpaths[0].points;
+
+      expect(points.length).toBe(2 + 4 * 6);
+      expect(round(points[18])).toBe(-10);
+      expect(round(points[19])).toBe(0);
+
+      // Halfway along the first curve is on the circle.
+      var t = 0.5;
+      var mt = 1 - t;
+      var x = mt * mt * mt * points[0] + 3 * mt * mt * t * points[2] +
+        3 * mt * t * t * points[4] + t * t * t * points[6];
+      var y = mt * mt * mt * points[1] + 3 * mt * mt * t * points[3] +
+        3 * mt * t * t * points[5] + t * t * t * points[7];
+      expect(Math.sqrt(x * x + y * y)).toBeCloseTo(10, 3);
+    });
+  });
+
+  describe('measuring', () => {
+    it('measures lines, curves and arcs', () => {
+      expect(square(0, 0, 10).getTotalLength()).toBeCloseTo(40, 6);
+      // Arcs are measured along the curves they are drawn with.
+      expect(Path().moveTo(0, 0).arc(20, 0, 10).getTotalLength())
+        .toBeCloseTo(Math.PI * 10, 2);
+      // A curve with its control points on the line is as long as the line.
+      expect(
+        Path().moveTo(0, 0).curveTo(10, 0, 20, 0, 30, 0).getTotalLength()
+      ).toBeCloseTo(30, 6);
+    });
+
+    it('finds points along the path with their direction', () => {
+      var path = square(0, 0, 10);
+
+      var point = path.getPointAtLength(5);
+      expect(round(point.x)).toBe(5);
+      expect(round(point.y)).toBe(0);
+      expect(point.angle).toBe(0);
+
+      point = path.getPointAtLength(15);
+      expect(round(point.x)).toBe(10);
+      expect(round(point.y)).toBe(5);
+      expect(point.angle).toBeCloseTo(90, 6);
+      expect(path.getPointAtLength(35).angle).toBeCloseTo(-90, 6);
+
+      // Lengths outside the path are clamped to its ends.
+      expect(path.getPointAtLength(-5)).toEqual({x: 0, y: 0, angle: 0});
+      expect(round(path.getPointAtLength(100).y)).toBe(0);
+    });
+
+    it('finds points along arcs', () => {
+      var path = Path().moveTo(0, 0).arc(20, 0, 10);
+      var point = path.getPointAtLength(path.getTotalLength() / 2);
+
+      expect(point.x).toBeCloseTo(10, 2);
+      expect(point.y).toBeCloseTo(-10, 2);
+      expect(point.angle).toBeCloseTo(0, 1);
+    });
+
+    it('measures again after the path changes', () => {
+      var path = Path().moveTo(0, 0).lineTo(10, 0);
+      expect(path.getTotalLength()).toBeCloseTo(10, 6);
+
+      path.lineTo(10, 10);
+      expect(path.getTotalLength()).toBeCloseTo(20, 6);
+
+      path.reset().moveTo(0, 0).lineTo(0, 5);
+      expect(path.getTotalLength()).toBeCloseTo(5, 6);
+    });
+
+    it('returns nothing for empty paths', () => {
+      expect(Path().getTotalLength()).toBe(0);
+      expect(Path().getPointAtLength(0)).toBe(null);
+      expect(Path().getBounds()).toBe(null);
+    });
+  });
+
+  describe('getBounds', () => {
+    it('bounds curves by their extremes, not their control points', () => {
+      var bounds = Path().moveTo(0, 0).curveTo(0, 40, 40, 40, 40, 0)
+        .getBounds();
+
+      expect(bounds.x).toBe(0);
+      expect(bounds.y).toBe(0);
+      expect(bounds.width).toBe(40);
+      expect(bounds.height).toBeCloseTo(30, 6);
+    });
+
+    it('bounds arcs and every subpath', () => {
+      var bounds = Path()
+        .moveTo(0, -10)
+        .arc(0, 20, 10)
+        .arc(0, -20, 10)
+        .moveTo(30, 30)
+        .lineTo(40, 40)
+        .getBounds();
+
+      expect(round(bounds.x)).toBe(-10);
+      expect(round(bounds.y)).toBe(-10);
+      expect(round(bounds.width)).toBe(50);
+      expect(round(bounds.height)).toBe(50);
+    });
+  });
+
+  describe('containsPoint', () => {
+    it('tests points against the filled area', () => {
+      var path = Path().moveTo(0, -10).arc(0, 20, 10).arc(0, -20, 10);
+
+      expect(path.containsPoint(0, 0)).toBe(true);
+      expect(path.containsPoint(9, 0)).toBe(true);
+      expect(path.containsPoint(8, 8)).toBe(false);
+    });
+
+    it('takes the fill rule, evenodd by default', () => {
+      // Two squares drawn in the same direction, one inside the other.
+      var path = square(0, 0, 30)
+        .moveTo(10, 10)
+        .lineTo(20, 10)
+        .lineTo(20, 20)
+        .lineTo(10, 20)
+        .close();
+
+      expect(path.containsPoint(5, 5)).toBe(true);
+      expect(path.containsPoint(15, 15)).toBe(false);
+      expect(path.containsPoint(15, 15, 'nonzero')).toBe(true);
+    });
+  });
+
+  describe('parse', () => {
+    it('reads absolute and relative lines', () => {
+      var path = Path.parse('M10 10 L20,10 l0-10 H0 h5 V5 v5 z m1 1');
+
+      expect(path.path).toEqual([
+        MOVE_TO, 10, 10,
+        LINE_TO, 20, 10,
+        LINE_TO, 20, 0,
+        LINE_TO, 0, 0,
+        LINE_TO, 5, 0,
+        LINE_TO, 5, 5,
+        LINE_TO, 5, 10,
+        CLOSE,
+        MOVE_TO, 11, 11,
+      ]);
+    });
+
+    it('repeats commands for more parameters, with lines after moves', () => {
+      expect(Path.parse('m1,1 2,0 0,2 L5,5 6,6').path).toEqual([
+        MOVE_TO, 1, 1,
+        LINE_TO, 3, 1,
+        LINE_TO, 3, 3,
+        LINE_TO, 5, 5,
+        LINE_TO, 6, 6,
+      ]);
+    });
+
+    it('reads numbers without separators', () => {
+      expect(Path.parse('M.5.5L-1-1e1l1.5.5').path).toEqual([
+        MOVE_TO, 0.5, 0.5,
+        LINE_TO, -1, -10,
+        LINE_TO, 0.5, -9.5,
+      ]);
+    });
+
+    it('reads cubic curves and reflects them for smooth ones', () => {
+      expect(Path.parse('M0,0 C0,10 10,10 10,0 s10,-10 10,0 S30,10 30,0').path)
+        .toEqual([
+          MOVE_TO, 0, 0,
+          CURVE_TO, 0, 10, 10, 10, 10, 0,
+          CURVE_TO, 10, -10, 20, -10, 20, 0,
+          CURVE_TO, 20, 10, 30, 10, 30, 0,
+        ]);
+
+      // Without a cubic curve before it, there is nothing to reflect.
+      expect(Path.parse('M0,0 Q5,5 10,0 S20,10 20,0').path.slice(10))
+        .toEqual([CURVE_TO, 10, 0, 20, 10, 20, 0]);
+    });
+
+    it('reads quadratic curves as cubic ones', () => {
+      var path = Path.parse('M0,0 Q15,15 30,0 T60,0 t30,0');
+
+      expect(path.path.slice(3).map(round)).toEqual([
+        CURVE_TO, 10, 10, 20, 10, 30, 0,
+        CURVE_TO, 40, -10, 50, -10, 60, 0,
+        CURVE_TO, 70, 10, 80, 10, 90, 0,
+      ]);
+    });
+
+    it('reads elliptical arcs', () => {
+      var circle = Path.parse('M0,10 A10,10 0 0 1 0,-10 a10 10 0 1020 0');
+      expect(circle.path[3]).toBe(ARC);
+      expect(circle.path.slice(4, 10).map(round)).toEqual([
+        0, 0, 10, round(Math.PI / 2), round(-Math.PI / 2), 1,
+      ]);
+      var bounds = circle.getBounds();
+      expect(round(bounds.width)).toBe(30);
+      expect(round(bounds.height)).toBe(20);
+
+      // Ellipses and rotated arcs are drawn with curves.
+      var ellipse = Path.parse('M0,0 A20,10 30 0 1 20,0');
+      expect(ellipse.path[3]).toBe(CURVE_TO);
+      expect(round(ellipse.path[ellipse.path.length - 2])).toBe(20);
+
+      // Arcs without a radius are lines, and those to where they are left out.
+      expect(Path.parse('M0,0 A0,10 0 0 1 10,0 A5,5 0 0 1 10,0').path)
+        .toEqual([MOVE_TO, 0, 0, LINE_TO, 10, 0]);
+    });
+
+    it('draws invalid data up to the first error', () => {
+      var warn = console.error;
+      console.error = jest.fn();
+
+      try {
+        expect(Path.parse('M0,0 L10,0 L20 X30,0').path).toEqual([
+          MOVE_TO, 0, 0,
+          LINE_TO, 10, 0,
+        ]);
+        expect(Path.parse('L10,0').path).toEqual([]);
+        expect(console.error.mock.calls.length).toBe(2);
+        expect(console.error.mock.calls[0][0]).toContain(
+          'Invalid path data "M0,0 L10,0 L20 X30,0"'
+        );
+      } finally {
+        console.error = warn;
+      }
+    });
+  });
+
+  describe('toSVGString', () => {
+    it('writes absolute commands', () => {
+      var path = Path()
+        .moveTo(0, 0)
+        .lineTo(10, 0)
+        .curveTo(10, 5, 5, 10, 0, 10)
+        .close()
+        .moveTo(-1.25, 0);
+
+      expect(path.toSVGString()).toBe('M0,0L10,0C10,5,5,10,0,10ZM-1.25,0');
+      expect(path.toSVGString(1)).toBe('M0,0L10,0C10,5,5,10,0,10ZM-1.3,0');
+    });
+
+    it('writes arcs', () => {
+      var path = Path().moveTo(0, 10).arc(0, -20, 10).arc(10, 10, 10, 10, true);
+
+      expect(path.toSVGString(3)).toBe(
+        'M0,10A10,10,0,0,1,0,-10A10,10,0,1,1,10,0'
+      );
+    });
+
+    it('round-trips through parse', () => {
+      var d = 'M0,0L10,0C10,5,5,10,0,10ZM20,20A10,10,0,1,0,30,30Z';
+      var path = Path.parse(d);
+
+      expect(path.toSVGString(6)).toBe(d);
+      expect(Path.parse(path.toSVGString()).toSVGString(6)).toBe(d);
+    });
+
+    it('is also toSVG, like on the Paths of ART modes', () => {
+      var path = Path().moveTo(0, 0).lineTo(10, 0).arc(0, 10, 5);
+
+      expect(path.toSVG(2)).toBe(path.toSVGString(2));
+    });
+  });
+
+  describe('as the Path of ReactART', () => {
+    it('is drawn by the Shapes of ART modes and measures itself', () => {
+      var path = Path().moveTo(0, 0).lineTo(30, 40);
+      expect(path.getTotalLength()).toBeCloseTo(50);
+
+      // ReactART Shapes hand their path to the Shape of the mode they render
+      // in, which reads it into a Path of its own.
+      var node = ARTSVGMode.Shape(path);
+      expect(node.element.getAttribute('d')).toBe('M 0 0 L 30 40');
+    });
+  });
+
+  describe('boolean operations', () => {
+    it('combines overlapping paths', () => {
+      var a = square(0, 0, 10);
+      var b = square(5, 5, 10);
+
+      var union = Path.union(a, b);
+      expect(union instanceof Path).toBe(true);
+      expect(getArea(union)).toBeCloseTo(175, 6);
+      expect(union.containsPoint(12, 12)).toBe(true);
+
+      var intersection = Path.intersect(a, b);
+      expect(getArea(intersection)).toBeCloseTo(25, 6);
+      expect(intersection.getBounds()).toEqual({
+        x: 5,
+        y: 5,
+        width: 5,
+        height: 5,
+      });
+
+      var difference = Path.difference(a, b);
+      expect(getArea(difference)).toBeCloseTo(75, 6);
+      expect(difference.containsPoint(2, 2)).toBe(true);
+      expect(difference.containsPoint(7, 7)).toBe(false);
+
+      var xor = Path.xor(a, b);
+      expect(getArea(xor)).toBeCloseTo(150, 6);
+      expect(xor.containsPoint(7, 7)).toBe(false);
+      expect(xor.containsPoint(12, 12)).toBe(true);
+    });
+
+    it('cuts paths in two', () => {
+      var wall = Path().moveTo(0, 0).lineTo(100, 0).lineTo(100, 10)
+        .lineTo(0, 10).close();
+      var doorway = Path().moveTo(40, -5).lineTo(60, -5).lineTo(60, 15)
+        .lineTo(40, 15).close();
+      var result = Path.difference(wall, doorway);
+
+      expect(getArea(result)).toBeCloseTo(800, 6);
+      expect(result.toSVGString().match(/Z/g).length).toBe(2);
+      expect(result.containsPoint(50, 5)).toBe(false);
+    });
+
+    it('leaves holes that fill the same by either fill rule', () => {
+      var result = Path.difference(square(0, 0, 30), square(10, 10, 10));
+
+      expect(getArea(result)).toBeCloseTo(800, 6);
+      expect(result.containsPoint(5, 5, 'nonzero')).toBe(true);
+      expect(result.containsPoint(15, 15, 'evenodd')).toBe(false);
+      expect(result.containsPoint(15, 15, 'nonzero')).toBe(false);
+    });
+
+    it('merges shared edges and drops points along straight lines', () => {
+      var result = Path.union(square(0, 0, 10), square(10, 0, 10));
+
+      expect(getArea(result)).toBeCloseTo(200, 6);
+      // A single rectangle of four corners.
+      expect(result.path.length).toBe(3 + 3 * 3 + 1);
+    });
+
+    it('takes the fill rule of the paths', () => {
+      // Two squares drawn the same way round, one inside the other.
+      var nested = square(0, 0, 30).moveTo(10, 10).lineTo(20, 10)
+        .lineTo(20, 20).lineTo(10, 20).close();
+
+      expect(getArea(Path.union(nested, square(40, 0, 10)))).toBeCloseTo(
+        900 - 100 + 100,
+        6
+      );
+      expect(
+        getArea(Path.union(nested, square(40, 0, 10), {fillRule: 'nonzero'}))
+      ).toBeCloseTo(900 + 100, 6);
+    });
+
+    it('flattens curves within the tolerance', () => {
+      var circle = Path().moveTo(0, -10).arc(0, 20, 10).arc(0, -20, 10);
+      var coarse = Path.intersect(circle, square(0, -10, 20), {tolerance: 1});
+      var fine = Path.intersect(circle, square(0, -10, 20), {tolerance: 0.01});
+
+      expect(getArea(fine)).toBeCloseTo(Math.PI * 100 / 2, 0);
+      expect(fine.path.length).toBeGreaterThan(coarse.path.length);
+      expect(getArea(Path.intersect(circle, square(20, 20, 10)))).toBe(0);
+    });
+  });
+
+  describe('strokeToOutline', () => {
+    var line = Path().moveTo(0, 0).lineTo(10, 0);
+    var corner = Path().moveTo(0, 0).lineTo(10, 0).lineTo(10, 10);
+
+    it('outlines lines with their caps', () => {
+      var buttCaps = Path.strokeToOutline(line, {width: 2, cap: 'butt'});
+      expect(getArea(buttCaps)).toBeCloseTo(20, 6);
+      expect(buttCaps.getBounds()).toEqual({
+        x: 0,
+        y: -1,
+        width: 10,
+        height: 2,
+      });
+      expect(buttCaps.containsPoint(5, 0.5)).toBe(true);
+      expect(buttCaps.containsPoint(5, 2)).toBe(false);
+
+      var squareCaps = Path.strokeToOutline(line, {width: 2, cap: 'square'});
+      expect(getArea(squareCaps)).toBeCloseTo(24, 6);
+
+      // Like strokes, outlines have round caps by default.
+      var roundCaps = Path.strokeToOutline(line, {width: 2, tolerance: 0.001});
+      expect(getArea(roundCaps)).toBeCloseTo(20 + Math.PI, 2);
+    });
+
+    it('joins segments', () => {
+      function getJoinArea(options) {
+        return getArea(Path.strokeToOutline(
+          corner,
+          Object.assign({width: 2, cap: 'butt', tolerance: 0.001}, options)
+        ));
+      }
+
+      expect(getJoinArea({join: 'miter'})).toBeCloseTo(40, 6);
+      expect(getJoinArea({join: 'bevel'})).toBeCloseTo(39.5, 6);
+      expect(getJoinArea({join: 'round'})).toBeCloseTo(39 + Math.PI / 4, 2);
+      // A right angle's miter is √2 half widths long.
+      expect(getJoinArea({join: 'miter', miterLimit: 1.4})).toBeCloseTo(
+        39.5,
+        6
+      );
+    });
+
+    it('outlines closed subpaths on both sides', () => {
+      var outline = Path.strokeToOutline(square(0, 0, 10), {
+        width: 2,
+        join: 'miter',
+      });
+
+      expect(getArea(outline)).toBeCloseTo(144 - 64, 6);
+      expect(outline.containsPoint(5, 5)).toBe(false);
+      expect(outline.containsPoint(5, 5, 'nonzero')).toBe(false);
+      expect(outline.containsPoint(-0.5, 5)).toBe(true);
+    });
+  });
+
+  describe('offset', () => {
+    it('grows and shrinks paths', () => {
+      expect(getArea(Path.offset(square(0, 0, 10), 1, {join: 'miter'})))
+        .toBeCloseTo(144, 6);
+      expect(getArea(Path.offset(square(0, 0, 10), -1))).toBeCloseTo(64, 6);
+      expect(getArea(Path.offset(square(0, 0, 10), 0))).toBeCloseTo(100, 6);
+    });
+
+    it('rounds corners by default', () => {
+      var grown = Path.offset(square(0, 0, 10), 1, {tolerance: 0.001});
+
+      expect(getArea(grown)).toBeCloseTo(100 + 40 + Math.PI, 2);
+      expect(grown.containsPoint(-0.5, -0.5)).toBe(true);
+      expect(grown.containsPoint(-0.9, -0.9)).toBe(false);
+    });
+  });
+
+  describe('transform', () => {
+    function expectSamePoint(point, expected) {
+      expect(point.x).toBeCloseTo(expected.x, 6);
+      expect(point.y).toBeCloseTo(expected.y, 6);
+    }
+
+    it('transforms lines and curves into a new path', () => {
+      var path = Path().moveTo(0, 0).lineTo(10, 0).curveTo(10, 5, 5, 10, 0, 10)
+        .close();
+      var transformed = path.transform(new Transform().translate(5, 5)
+        .scale(2, 3));
+
+      expect(transformed instanceof Path).toBe(true);
+      expect(transformed.path).toEqual([
+        MOVE_TO, 5, 5,
+        LINE_TO, 25, 5,
+        CURVE_TO, 25, 20, 15, 35, 5, 35,
+        CLOSE,
+      ]);
+      expect(path.path.slice(0, 6)).toEqual([MOVE_TO, 0, 0, LINE_TO, 10, 0]);
+    });
+
+    it('keeps arcs when circles stay round', () => {
+      var path = Path().moveTo(0, 0).arc(20, 0, 10).lineTo(20, 10);
+      var transforms = [
+        new Transform().translate(5, 5).rotate(30).scale(2),
+        new Transform().scale(-1, 1),
+        new Transform().scale(1, -1).rotate(45),
+      ];
+
+      transforms.forEach(transform => {
+        var transformed = path.transform(transform);
+        var scale = Math.sqrt(
+          transform.xx * transform.xx + transform.yx * transform.yx
+        );
+
+        expect(transformed.path[3]).toBe(ARC);
+        for (var length = 0; length <= 40; length += 5) {
+          var point = path.getPointAtLength(length);
+          expectSamePoint(
+            transformed.getPointAtLength(length * scale),
+            transform.point(point.x, point.y)
+          );
+        }
+      });
+    });
+
+    it('turns arcs into curves when circles do not stay round', () => {
+      var path = Path().moveTo(0, -10).arc(0, 20, 10).arc(0, -20, 10);
+      var transformed = path.transform(new Transform().scale(2, 1));
+
+      expect(transformed.path[3]).toBe(CURVE_TO);
+      var bounds = transformed.getBounds();
+      expect(round(bounds.x)).toBe(-20);
+      expect(round(bounds.width)).toBe(40);
+      expect(round(bounds.height)).toBe(20);
+    });
+  });
+
+  describe('flatten', () => {
+    it('approximates curves and arcs by lines', () => {
+      var circle = Path().moveTo(0, -10).arc(0, 20, 10).arc(0, -20, 10)
+        .close();
+      var flat = Path.flatten(circle, 0.01);
+      var commands = flat.path;
+
+      expect(commands[commands.length - 1]).toBe(CLOSE);
+      for (var i = 3; i < commands.length - 1; i += 3) {
+        expect(commands[i]).toBe(LINE_TO);
+        var distance = Math.sqrt(
+          commands[i + 1] * commands[i + 1] + commands[i + 2] * commands[i + 2]
+        );
+        expect(Math.abs(distance - 10)).toBeLessThan(0.01);
+      }
+      expect(Path.flatten(circle).path.length).toBeLessThan(commands.length);
+    });
+
+    it('leaves open subpaths open', () => {
+      var path = Path().moveTo(0, 0).lineTo(10, 0);
+
+      expect(Path.flatten(path).path).toEqual(path.path);
+    });
+  });
+
+  describe('simplify', () => {
+    var noisy = Path()
+      .moveTo(0, 0)
+      .lineTo(1, 0.05)
+      .lineTo(2, -0.05)
+      .lineTo(3, 0.04)
+      .lineTo(4, 0)
+      .lineTo(4.04, 2)
+      .lineTo(4, 4);
+
+    it('keeps paths within the tolerance', () => {
+      expect(Path.simplify(noisy, 0.1).path).toEqual([
+        MOVE_TO, 0, 0,
+        LINE_TO, 4, 0,
+        LINE_TO, 4, 4,
+      ]);
+      expect(Path.simplify(noisy, 0.01).path.length).toBe(
+        noisy.path.length
+      );
+    });
+
+    it('simplifies closed subpaths all the way round', () => {
+      var path = Path()
+        .moveTo(5, 0)
+        .lineTo(10, 0)
+        .lineTo(10, 10)
+        .lineTo(0, 10)
+        .lineTo(0, 0)
+        .close();
+
+      // They start again at one of the points they keep.
+      expect(Path.simplify(path, 0.1).path).toEqual([
+        MOVE_TO, 10, 10,
+        LINE_TO, 0, 10,
+        LINE_TO, 0, 0,
+        LINE_TO, 10, 0,
+        CLOSE,
+      ]);
+    });
+
+    it('drops the points of the smallest triangles by Visvalingam', () => {
+      expect(Path.simplify(noisy, 1, {method: 'visvalingam'}).path).toEqual([
+        MOVE_TO, 0, 0,
+        LINE_TO, 4, 0,
+        LINE_TO, 4, 4,
+      ]);
+      expect(Path.simplify(noisy, 0.01, {method: 'visvalingam'}).path.length)
+        .toBe(noisy.path.length);
+    });
+  });
+
+  describe('interpolate', () => {
+    it('morphs between paths', () => {
+      var interpolate = Path.interpolate(square(0, 0, 10), square(20, 0, 20));
+
+      expect(interpolate(0) instanceof Path).toBe(true);
+      expect(getEndPoints(interpolate(0))).toEqual([
+        ['M', 0, 0], [10, 0], [10, 10], [0, 10], [0, 0], 'Z',
+      ]);
+      expect(getEndPoints(interpolate(0.5))).toEqual([
+        ['M', 10, 0], [25, 0], [25, 15], [10, 15], [10, 0], 'Z',
+      ]);
+      expect(getEndPoints(interpolate(1))).toEqual([
+        ['M', 20, 0], [40, 0], [40, 20], [20, 20], [20, 0], 'Z',
+      ]);
+    });
+
+    it('splits curves until both paths have as many', () => {
+      var triangle = Path().moveTo(0, 0).lineTo(20, 0).lineTo(0, 20).close();
+      var interpolate = Path.interpolate(triangle, square(0, 0, 20));
+
+      // The three sides of the triangle are split into four curves.
+      var from = getEndPoints(interpolate(0)).map(String);
+      expect(from.length).toBe(6);
+      expect(from).toContain('20,0');
+      expect(from).toContain('0,20');
+
+      expect(getEndPoints(interpolate(1)).map(String)).toContain('20,20');
+    });
+
+    it('starts closed subpaths where they are closest', () => {
+      var rotated = Path()
+        .moveTo(10, 0)
+        .lineTo(10, 10)
+        .lineTo(0, 10)
+        .lineTo(0, 0)
+        .close();
+      var interpolate = Path.interpolate(square(0, 0, 10), rotated);
+
+      // The same square, just with a different start, does not move.
+      expect(getEndPoints(interpolate(0.5))).toEqual(
+        getEndPoints(interpolate(1))
+      );
+    });
+
+    it('grows and shrinks subpaths without a counterpart', () => {
+      var two = square(0, 0, 10).moveTo(20, 20).lineTo(40, 20).lineTo(40, 40);
+      var grow = Path.interpolate(square(0, 0, 10), two);
+      var shrink = Path.interpolate(two, square(0, 0, 10));
+
+      var grown = getEndPoints(grow(0));
+      expect(grown.length).toBe(9);
+      expect(grown.slice(6)).toEqual([['M', 30, 30], [30, 30], [30, 30]]);
+      expect(getEndPoints(grow(1)).slice(6)).toEqual([
+        ['M', 20, 20], [40, 20], [40, 40],
+      ]);
+      expect(getEndPoints(shrink(1)).slice(6)).toEqual([
+        ['M', 30, 30], [30, 30], [30, 30],
+      ]);
+    });
+
+    it('takes paths in any form that Path does', () => {
+      var interpolate = Path.interpolate('M0,0L10,0', 'M0,10L10,10');
+
+      expect(getEndPoints(interpolate(0.5))).toEqual([['M', 0, 5], [10, 5]]);
+    });
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+jest
+  .unmock('ReactARTFiber')
+  .unmock('ReactARTAnimated');
+
+var React = require('react');
+var ReactDOM = require('react-dom');
+
+var Animated = require('ReactARTAnimated');
+var ReactART = require('ReactARTFiber');
+var createMockContext = require('../../jest/createMockContext');
+
+var Surface = ReactART.Surface;
+
+describe('ReactARTAnimated', () => {
+  var cancelAnimationFrame;
+  var frames;
+  var nextFrame;
+  var now;
+  var requestAnimationFrame;
+  var time;
+
+  beforeEach(() => {
+    frames = {};
+    nextFrame = 1;
+    time = 0;
+    now = Date.now;
+    requestAnimationFrame = window.requestAnimationFrame;
+    cancelAnimationFrame = window.cancelAnimationFrame;
+    Date.now = () => time;
+    window.requestAnimationFrame = jest.fn(callback => {
+      frames[nextFrame] = callback;
+      return nextFrame++;
+    });
+    window.cancelAnimationFrame = jest.fn(id => delete frames[id]);
+  });
+
+  afterEach(() => {
+    Date.now = now;
+    window.requestAnimationFrame = requestAnimationFrame;
+    window.cancelAnimationFrame = cancelAnimationFrame;
+  });
+
+  function runFrame(duration) {
+    time += duration;
+    var callbacks = frames;
+    frames = {};
+    Object.keys(callbacks).forEach(id => callbacks[id]());
+  }
+
+  function runFrames(duration) {
+    for (var i = 0; i < 1000 && Object.keys(frames).length; i++) {
+      runFrame(duration);
+    }
+  }
+
+  describe('values', () => {
+    it('notifies listeners until they are removed', () => {
+      var value = new Animated.Value(0);
+      var listener = jest.fn();
+      var id = value.addListener(listener);
+
+      value.setValue(5);
+      expect(value.getValue()).toBe(5);
+      expect(listener).toBeCalledWith(5);
+
+      value.removeListener(id);
+      value.setValue(6);
+      expect(listener.mock.calls.length).toBe(1);
+    });
+
+    it('interpolates numbers and colors', () => {
+      var value = new Animated.Value(0.5);
+      var number = value.interpolate({
+        inputRange: [0, 1, 2],
+        outputRange: [0, 100, 0],
+      });
+      var color = value.interpolate({
+        inputRange: [0, 1],
+        outputRange: ['#ff0000', 'rgba(0, 0, 255, 0)'],
+      });
+      var clamped = value.interpolate({
+        inputRange: [0, 1],
+        outputRange: [10, 20],
+        extrapolate: 'clamp',
+      });
+      var mapped = number.interpolate(x => 'M0,0L' + x + ',0');
+
+      expect(number.getValue()).toBe(50);
+      expect(color.getValue()).toBe('rgba(128, 0, 128, 0.5)');
+      expect(mapped.getValue()).toBe('M0,0L50,0');
+
+      value.setValue(1.5);
+      expect(number.getValue()).toBe(50);
+      expect(clamped.getValue()).toBe(20);
+
+      value.setValue(-1);
+      expect(number.getValue()).toBe(-100);
+      expect(clamped.getValue()).toBe(10);
+    });
+
+    it('notifies the listeners of interpolations', () => {
+      var value = new Animated.Value(0);
+      var listener = jest.fn();
+      var doubled = value.interpolate({
+        inputRange: [0, 1],
+        outputRange: [0, 2],
+      });
+      var id = doubled.addListener(listener);
+
+      value.setValue(3);
+      expect(listener).toBeCalledWith(6);
+
+      doubled.removeListener(id);
+      value.setValue(4);
+      expect(listener.mock.calls.length).toBe(1);
+    });
+  });
+
+  describe('drivers', () => {
+    it('animates with timing', () => {
+      var value = new Animated.Value(0);
+      var callback = jest.fn();
+
+      Animated.timing(value, {toValue: 100, duration: 100}).start(callback);
+      expect(value.getValue()).toBe(0);
+
+      runFrame(50);
+      expect(value.getValue()).toBe(50);
+      expect(callback).not.toBeCalled();
+
+      runFrame(50);
+      expect(value.getValue()).toBe(100);
+      expect(callback).toBeCalledWith({finished: true});
+      expect(frames).toEqual({});
+    });
+
+    it('waits for the delay and follows the easing', () => {
+      var value = new Animated.Value(0);
+
+      Animated.timing(value, {
+        toValue: 10,
+        duration: 100,
+        delay: 50,
+        easing: t => t * t,
+      }).start();
+
+      runFrame(50);
+      expect(value.getValue()).toBe(0);
+      runFrame(50);
+      expect(value.getValue()).toBe(2.5);
+    });
+
+    it('settles springs at their value', () => {
+      var value = new Animated.Value(0);
+      var values = [];
+      var callback = jest.fn();
+      value.addListener(x => values.push(x));
+
+      Animated.spring(value, {toValue: 1, damping: 10}).start(callback);
+      runFrames(16);
+
+      expect(value.getValue()).toBe(1);
+      expect(Math.max.apply(Math, values)).toBeGreaterThan(1);
+      expect(callback).toBeCalledWith({finished: true});
+    });
+
+    it('decays to a rest', () => {
+      var value = new Animated.Value(0);
+
+      Animated.decay(value, {velocity: 1, deceleration: 0.99}).start();
+      runFrames(16);
+
+      expect(value.getValue()).toBeGreaterThan(90);
+      expect(value.getValue()).toBeLessThan(100);
+      expect(frames).toEqual({});
+    });
+
+    it('stops animations', () => {
+      var value = new Animated.Value(0);
+      var first = jest.fn();
+      var second = jest.fn();
+
+      Animated.timing(value, {toValue: 100, duration: 100}).start(first);
+      runFrame(50);
+
+      // Starting another animation on the value stops the first one.
+      Animated.timing(value, {toValue: 0, duration: 100}).start(second);
+      expect(first).toBeCalledWith({finished: false});
+
+      value.setValue(20);
+      expect(second).toBeCalledWith({finished: false});
+
+      runFrames(16);
+      expect(value.getValue()).toBe(20);
+    });
+  });
+
+  describe('components', () => {
+    var container;
+    var getContext;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      getContext = HTMLCanvasElement.prototype.getContext;
+      HTMLCanvasElement.prototype.getContext = function() {
+        return this._mockContext || (this._mockContext = createMockContext());
+      };
+    });
+
+    afterEach(() => {
+      ReactDOM.unmountComponentAtNode(container);
+      HTMLCanvasElement.prototype.getContext = getContext;
+    });
+
+    it('applies animated props without rendering', () => {
+      var x = new Animated.Value(0);
+      var renders = 0;
+
+      class Box extends React.Component {
+        render() {
+          renders++;
+          return (
+            <Surface width={100} height={100}>
+              <Animated.Group x={x}>
+                <Animated.Shape
+                  d={x.interpolate(value => 'M0,0L' + (value + 10) + ',0')}
+                  fill={x.interpolate({
+                    inputRange: [0, 10],
+                    outputRange: ['#000000', '#0000ff'],
+                  })}
+                  opacity={0.5}
+                />
+              </Animated.Group>
+            </Surface>
+          );
+        }
+      }
+
+      ReactDOM.render(<Box />, container);
+      var group = container.querySelector('g');
+      var path = container.querySelector('path');
+
+      Animated.timing(x, {toValue: 10, duration: 100}).start();
+      runFrames(50);
+
+      expect(renders).toBe(1);
+      expect(group.getAttribute('transform')).toBe('matrix(1,0,0,1,10,0)');
+      expect(path.getAttribute('d')).toBe('M0,0L20,0');
+      expect(path.getAttribute('fill')).toBe('rgb(0, 0, 255)');
+      expect(path.getAttribute('opacity')).toBe('0.5');
+    });
+
+    it('stops listening when props change or unmount', () => {
+      var first = new Animated.Value(0);
+      var second = new Animated.Value(5);
+
+      function render(x) {
+        ReactDOM.render(
+          <Surface width={100} height={100}>
+            <Animated.Group x={x} />
+          </Surface>,
+          container,
+        );
+        return container.querySelector('g');
+      }
+
+      var group = render(first);
+      render(second);
+      first.setValue(20);
+      expect(group.getAttribute('transform')).toBe('matrix(1,0,0,1,5,0)');
+
+      second.setValue(30);
+      expect(group.getAttribute('transform')).toBe('matrix(1,0,0,1,30,0)');
+
+      ReactDOM.unmountComponentAtNode(container);
+      expect(() => second.setValue(40)).not.toThrow();
+    });
+
+    it('repaints the changed region of canvas Surfaces', () => {
+      var x = new Animated.Value(0);
+
+      ReactDOM.render(
+        <Surface mode="canvas" width={100} height={100}>
+          <Animated.Shape x={x} d="M0,0L10,0L10,10L0,10Z" fill="red" />
+        </Surface>,
+        container,
+      );
+      var context = container.firstChild.getContext('2d');
+      runFrame(16);
+
+      x.setValue(50);
+      context.clearRect.mockClear();
+      runFrame(16);
+
+      expect(context.clearRect.mock.calls).toEqual([[0, 0, 61, 11]]);
+    });
+  });
+});
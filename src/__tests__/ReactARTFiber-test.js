@@ -0,0 +1,1628 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+jest
+  .unmock('ReactARTFiber');
+
+var React = require('react');
+var ReactDOM = require('react-dom');
+
+var ReactART = require('ReactARTFiber');
+var ReactARTServer = require('ReactARTServer');
+var ARTCanvasMode = require('art/modes/canvas');
+var ARTSVGMode = require('art/modes/svg');
+var createMockContext = require('../../jest/createMockContext');
+
+var ClippingRectangle = ReactART.ClippingRectangle;
+var Group = ReactART.Group;
+var Shape = ReactART.Shape;
+var Surface = ReactART.Surface;
+var Text = ReactART.Text;
+
+// jsdom does not do layout, but SVG Text measures itself when drawn. Older
+// jsdoms have no SVGElement, so the measurement goes on every Element.
+function stubTextMeasurement() {
+  var getBBox = Element.prototype.getBBox;
+  Element.prototype.getBBox = () => ({
+    x: 0,
+    y: 0,
+    width: 0,
+    height: 0,
+  });
+  return () => {
+    Element.prototype.getBBox = getBBox;
+  };
+}
+
+describe('ReactARTFiber', () => {
+  var getContext;
+
+  beforeEach(() => {
+    getContext = HTMLCanvasElement.prototype.getContext;
+    HTMLCanvasElement.prototype.getContext = function() {
+      return this._mockContext || (this._mockContext = createMockContext());
+    };
+  });
+
+  afterEach(() => {
+    HTMLCanvasElement.prototype.getContext = getContext;
+  });
+
+  describe('modes', () => {
+    it('renders each Surface in its own mode', () => {
+      var container = document.createElement('div');
+      var svgNode = null;
+      var canvasNode = null;
+
+      ReactDOM.render(
+        <div>
+          <Surface mode="svg" width={10} height={10}>
+            <ClippingRectangle ref={node => svgNode = node} />
+          </Surface>
+          <Surface mode="canvas" width={10} height={10}>
+            <ClippingRectangle ref={node => canvasNode = node} />
+          </Surface>
+        </div>,
+        container,
+      );
+
+      var surfaces = container.firstChild.childNodes;
+      expect(surfaces[0].nodeName).toBe('svg');
+      expect(surfaces[1].nodeName).toBe('CANVAS');
+
+      expect(svgNode instanceof ARTSVGMode.ClippingRectangle).toBe(true);
+      expect(canvasNode instanceof ARTCanvasMode.ClippingRectangle).toBe(true);
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+
+    it('defaults to SVG mode', () => {
+      var container = document.createElement('div');
+      var node = null;
+
+      ReactDOM.render(
+        <Surface width={10} height={10}>
+          <ClippingRectangle ref={ref => node = ref} />
+        </Surface>,
+        container,
+      );
+
+      expect(container.firstChild.nodeName).toBe('svg');
+      expect(node instanceof ARTSVGMode.ClippingRectangle).toBe(true);
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+
+    it('rebuilds the Surface when its mode changes', () => {
+      var container = document.createElement('div');
+      var node = null;
+
+      function render(mode) {
+        ReactDOM.render(
+          <Surface mode={mode} width={10} height={10}>
+            <ClippingRectangle ref={ref => node = ref} />
+          </Surface>,
+          container,
+        );
+      }
+
+      render('svg');
+      expect(container.firstChild.nodeName).toBe('svg');
+      expect(node instanceof ARTSVGMode.ClippingRectangle).toBe(true);
+
+      render('canvas');
+      expect(container.firstChild.nodeName).toBe('CANVAS');
+      expect(node instanceof ARTCanvasMode.ClippingRectangle).toBe(true);
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+
+    it('rejects unknown modes', () => {
+      var container = document.createElement('div');
+
+      expect(() => {
+        ReactDOM.render(<Surface mode="webgl" />, container);
+      }).toThrowError('ReactART does not support the mode "webgl"');
+    });
+  });
+
+  describe('host components', () => {
+    var restoreTextMeasurement;
+
+    beforeEach(() => {
+      restoreTextMeasurement = stubTextMeasurement();
+    });
+
+    afterEach(() => {
+      restoreTextMeasurement();
+    });
+
+    it('renders every ART primitive in a single tree', () => {
+      var container = document.createElement('div');
+      var refs = {};
+
+      ReactDOM.render(
+        <Surface width={100} height={100}>
+          <Group ref={node => refs.group = node} x={10}>
+            <ClippingRectangle
+              ref={node => refs.clip = node}
+              width={50}
+              height={50}>
+              <Shape ref={node => refs.shape = node} d="M0,0L10,10" />
+              <Text ref={node => refs.text = node} font="12px Arial">
+                Hello
+              </Text>
+            </ClippingRectangle>
+          </Group>
+        </Surface>,
+        container,
+      );
+
+      expect(refs.group instanceof ARTSVGMode.Group).toBe(true);
+      expect(refs.clip instanceof ARTSVGMode.ClippingRectangle).toBe(true);
+      expect(refs.shape instanceof ARTSVGMode.Shape).toBe(true);
+      expect(refs.text instanceof ARTSVGMode.Text).toBe(true);
+
+      expect(refs.shape.parentNode).toBe(refs.clip);
+      expect(refs.text.parentNode).toBe(refs.clip);
+      expect(refs.clip.parentNode).toBe(refs.group);
+
+      var svg = container.firstChild;
+      var group = svg.querySelector('g');
+      expect(group.getAttribute('transform')).toBe('matrix(1,0,0,1,10,0)');
+      expect(svg.querySelector('path').getAttribute('d')).toBe('M0,0L10,10');
+      expect(svg.querySelector('text').textContent).toBe('Hello');
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+
+    it('joins multiple string children of Text', () => {
+      var container = document.createElement('div');
+      var name = 'world';
+
+      ReactDOM.render(
+        <Surface width={100} height={100}>
+          <Text font="12px Arial">Hello {name}</Text>
+        </Surface>,
+        container,
+      );
+
+      expect(container.querySelector('text').textContent).toBe('Hello world');
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+
+    it('applies updated props through commitUpdate', () => {
+      var container = document.createElement('div');
+
+      function render(opacity) {
+        ReactDOM.render(
+          <Surface width={100} height={100}>
+            <Shape d="M0,0L10,10" opacity={opacity} />
+          </Surface>,
+          container,
+        );
+      }
+
+      render(0.5);
+      var path = container.querySelector('path');
+      expect(path.getAttribute('opacity')).toBe('0.5');
+
+      render(0.25);
+      expect(path.getAttribute('opacity')).toBe('0.25');
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+  });
+
+  describe('single root', () => {
+    var requestAnimationFrame;
+
+    beforeEach(() => {
+      requestAnimationFrame = window.requestAnimationFrame;
+      window.requestAnimationFrame = jest.fn();
+    });
+
+    afterEach(() => {
+      window.requestAnimationFrame = requestAnimationFrame;
+    });
+
+    it('updates a 5-deep Group tree in a single frame', () => {
+      var container = document.createElement('div');
+
+      function Nested(props) {
+        var node = <Shape d="M0,0L10,10" opacity={props.opacity} />;
+        for (var i = 0; i < 5; i++) {
+          node = <Group x={props.x}>{node}</Group>;
+        }
+        return <Surface width={100} height={100}>{node}</Surface>;
+      }
+
+      ReactDOM.render(<Nested opacity={0.5} x={1} />, container);
+
+      var path = container.querySelector('path');
+      var groups = container.querySelectorAll('g');
+      expect(groups.length).toBe(5);
+      expect(path.getAttribute('opacity')).toBe('0.5');
+
+      ReactDOM.render(<Nested opacity={0.25} x={2} />, container);
+
+      expect(path.getAttribute('opacity')).toBe('0.25');
+      for (var i = 0; i < groups.length; i++) {
+        expect(groups[i].getAttribute('transform'))
+          .toBe('matrix(1,0,0,1,2,0)');
+      }
+      expect(window.requestAnimationFrame).not.toBeCalled();
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+
+    it('updates state changes deep inside the tree synchronously', () => {
+      var container = document.createElement('div');
+      var toggle = null;
+
+      class Toggle extends React.Component {
+        constructor(props) {
+          super(props);
+          this.state = {on: false};
+          toggle = () => this.setState({on: !this.state.on});
+        }
+
+        render() {
+          return <Shape d="M0,0L10,10" opacity={this.state.on ? 1 : 0.5} />;
+        }
+      }
+
+      ReactDOM.render(
+        <Surface width={100} height={100}>
+          <Group><Group><Group><Toggle /></Group></Group></Group>
+        </Surface>,
+        container,
+      );
+
+      var path = container.querySelector('path');
+      expect(path.getAttribute('opacity')).toBe('0.5');
+
+      toggle();
+      expect(path.getAttribute('opacity')).toBe('1');
+      expect(window.requestAnimationFrame).not.toBeCalled();
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+
+    it('reorders children at the root of the Surface', () => {
+      var container = document.createElement('div');
+
+      function render(chars) {
+        ReactDOM.render(
+          <Surface>
+            {chars.split('').map(char => <Shape key={char} title={char} />)}
+          </Surface>,
+          container,
+        );
+      }
+
+      // Mini multi-child stress test: lots of reorders, some adds, some removes.
+      var before = 'abcdefghijklmnopqrst';
+      var after = 'mxhpgwfralkeoivcstzy';
+
+      render(before);
+      expect(container.firstChild.textContent).toBe(before);
+
+      render(after);
+      expect(container.firstChild.textContent).toBe(after);
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+
+    it('lets error boundaries inside the Surface catch errors', () => {
+      var container = document.createElement('div');
+
+      function Broken() {
+        throw new Error('Broken');
+      }
+
+      class Boundary extends React.Component {
+        constructor(props) {
+          super(props);
+          this.state = {error: null};
+        }
+
+        componentDidCatch(error) {
+          this.setState({error: error});
+        }
+
+        render() {
+          if (this.state.error) {
+            return <Shape title={this.state.error.message} />;
+          }
+          return this.props.children;
+        }
+      }
+
+      var consoleError = console.error;
+      console.error = jest.fn();
+
+      ReactDOM.render(
+        <Surface>
+          <Group>
+            <Boundary>
+              <Group><Broken /></Group>
+            </Boundary>
+          </Group>
+        </Surface>,
+        container,
+      );
+
+      console.error = consoleError;
+      expect(container.firstChild.textContent).toBe('Broken');
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+
+    it('resolves refs to ART nodes before componentDidUpdate', () => {
+      var container = document.createElement('div');
+      var ref = null;
+
+      class Outer extends React.Component {
+        componentDidUpdate() {
+          ref = this.shape;
+        }
+
+        render() {
+          return (
+            <Surface>
+              <Group>
+                <Group>
+                  {this.props.mountShape &&
+                    <Shape ref={node => this.shape = node} />}
+                </Group>
+              </Group>
+            </Surface>
+          );
+        }
+      }
+
+      ReactDOM.render(<Outer />, container);
+      ReactDOM.render(<Outer mountShape={true} />, container);
+      expect(ref instanceof ARTSVGMode.Shape).toBe(true);
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+  });
+
+  describe('events', () => {
+    var EVENTS = {
+      onClick: 'click',
+      onContextMenu: 'contextmenu',
+      onDoubleClick: 'dblclick',
+      onPointerCancel: 'pointercancel',
+      onPointerDown: 'pointerdown',
+      onPointerEnter: 'pointerenter',
+      onPointerLeave: 'pointerleave',
+      onPointerMove: 'pointermove',
+      onPointerUp: 'pointerup',
+      onTouchCancel: 'touchcancel',
+      onTouchEnd: 'touchend',
+      onTouchMove: 'touchmove',
+      onTouchStart: 'touchstart',
+      onWheel: 'wheel',
+    };
+
+    var restoreTextMeasurement;
+
+    beforeEach(() => {
+      restoreTextMeasurement = stubTextMeasurement();
+    });
+
+    afterEach(() => {
+      restoreTextMeasurement();
+    });
+
+    function dispatch(element, type) {
+      element.dispatchEvent(new window.Event(type, {bubbles: true}));
+    }
+
+    Object.keys(EVENTS).forEach(prop => {
+      var type = EVENTS[prop];
+
+      it('calls ' + prop + ' on Shape, Group and Text in SVG mode', () => {
+        var container = document.createElement('div');
+        var handlers = {
+          group: jest.fn(),
+          shape: jest.fn(),
+          text: jest.fn(),
+        };
+
+        ReactDOM.render(
+          <Surface width={100} height={100}>
+            <Group {...{[prop]: handlers.group}}>
+              <Shape d="M0,0L10,10" {...{[prop]: handlers.shape}} />
+            </Group>
+            <Text font="12px Arial" {...{[prop]: handlers.text}}>
+              Label
+            </Text>
+          </Surface>,
+          container,
+        );
+
+        dispatch(container.querySelector('path'), type);
+        expect(handlers.shape.mock.calls.length).toBe(1);
+        expect(handlers.shape.mock.calls[0][0].type).toBe(type);
+        // Like in React DOM, enter and leave do not bubble.
+        expect(handlers.group.mock.calls.length).toBe(
+          type === 'pointerenter' || type === 'pointerleave' ? 0 : 1
+        );
+        expect(handlers.text).not.toBeCalled();
+
+        dispatch(container.querySelector('text'), type);
+        expect(handlers.text.mock.calls.length).toBe(1);
+
+        ReactDOM.unmountComponentAtNode(container);
+      });
+    });
+
+    it('removes listeners when handlers are unset or unmounted', () => {
+      var container = document.createElement('div');
+      var onTouchStart = jest.fn();
+
+      function render(handler) {
+        ReactDOM.render(
+          <Surface width={100} height={100}>
+            <Shape d="M0,0L10,10" onTouchStart={handler} />
+          </Surface>,
+          container,
+        );
+      }
+
+      render(onTouchStart);
+      var path = container.querySelector('path');
+
+      render(null);
+      dispatch(path, 'touchstart');
+      expect(onTouchStart).not.toBeCalled();
+
+      render(onTouchStart);
+      ReactDOM.unmountComponentAtNode(container);
+      dispatch(path, 'touchstart');
+      expect(onTouchStart).not.toBeCalled();
+    });
+
+    it('forwards touch events to the hit node in canvas mode', () => {
+      var container = document.createElement('div');
+      var onTouchStart = jest.fn();
+
+      ReactDOM.render(
+        <Surface mode="canvas" width={100} height={100}>
+          <Shape
+            d="M0,0L20,0L20,20L0,20Z"
+            fill="red"
+            width={20}
+            height={20}
+            onTouchStart={onTouchStart}
+          />
+        </Surface>,
+        container,
+      );
+
+      function touch(x, y) {
+        var event = new window.Event('touchstart', {bubbles: true});
+        event.changedTouches = [{clientX: x, clientY: y}];
+        container.firstChild.dispatchEvent(event);
+      }
+
+      touch(50, 50);
+      expect(onTouchStart).not.toBeCalled();
+
+      touch(10, 10);
+      expect(onTouchStart.mock.calls.length).toBe(1);
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+  });
+
+  describe('event propagation', () => {
+    ['svg', 'canvas'].forEach(mode => {
+      describe('in ' + mode + ' mode', () => {
+        var container;
+        var log;
+
+        beforeEach(() => {
+          container = document.createElement('div');
+          log = [];
+        });
+
+        afterEach(() => {
+          ReactDOM.unmountComponentAtNode(container);
+        });
+
+        function logger(name, callback) {
+          return function(event) {
+            log.push([name, event.type, event.target, event.currentTarget]);
+            if (callback) {
+              callback(event);
+            }
+          };
+        }
+
+        function render(props) {
+          var refs = {};
+
+          ReactDOM.render(
+            <Surface mode={mode} width={100} height={100}>
+              <Group
+                ref={node => refs.outer = node}
+                onClick={logger('outer')}
+                onClickCapture={logger('outer capture')}>
+                <Group
+                  ref={node => refs.inner = node}
+                  onClick={logger('inner', props.onInnerClick)}
+                  onClickCapture={
+                    logger('inner capture', props.onInnerClickCapture)
+                  }>
+                  <Shape
+                    ref={node => refs.shape = node}
+                    d="M0,0L20,0L20,20L0,20Z"
+                    fill="red"
+                    width={20}
+                    height={20}
+                    onClick={logger('shape')}
+                  />
+                </Group>
+              </Group>
+            </Surface>,
+            container,
+          );
+
+          return refs;
+        }
+
+        function click(x, y) {
+          var target = mode === 'svg' ?
+            container.querySelector('path') :
+            container.firstChild;
+          target.dispatchEvent(new window.MouseEvent('click', {
+            bubbles: true,
+            clientX: x,
+            clientY: y,
+          }));
+        }
+
+        it('captures down and bubbles up through Groups', () => {
+          var refs = render({});
+
+          click(10, 10);
+
+          expect(log).toEqual([
+            ['outer capture', 'click', refs.shape, refs.outer],
+            ['inner capture', 'click', refs.shape, refs.inner],
+            ['shape', 'click', refs.shape, refs.shape],
+            ['inner', 'click', refs.shape, refs.inner],
+            ['outer', 'click', refs.shape, refs.outer],
+          ]);
+        });
+
+        it('stops bubbling when propagation is stopped', () => {
+          render({onInnerClick: event => event.stopPropagation()});
+
+          click(10, 10);
+
+          expect(log.map(entry => entry[0])).toEqual([
+            'outer capture',
+            'inner capture',
+            'shape',
+            'inner',
+          ]);
+        });
+
+        it('stops capturing when propagation is stopped', () => {
+          render({onInnerClickCapture: event => event.stopPropagation()});
+
+          click(10, 10);
+
+          expect(log.map(entry => entry[0])).toEqual([
+            'outer capture',
+            'inner capture',
+          ]);
+        });
+
+        it('leaves stopped events going through the DOM', () => {
+          render({onInnerClick: event => event.stopPropagation()});
+          var onNativeClick = jest.fn();
+          container.addEventListener('click', onNativeClick);
+
+          click(10, 10);
+
+          expect(log.map(entry => entry[0])).toEqual([
+            'outer capture',
+            'inner capture',
+            'shape',
+            'inner',
+          ]);
+          expect(onNativeClick.mock.calls.length).toBe(1);
+        });
+      });
+    });
+
+    describe('listeners', () => {
+      var addEventListener = Element.prototype.addEventListener;
+      var container;
+      var listened;
+
+      beforeEach(() => {
+        container = document.createElement('div');
+        listened = [];
+        Element.prototype.addEventListener = function(type, fn, options) {
+          // ART's canvas surfaces listen to some bubbling events themselves.
+          if (this === container.firstChild && options && options.capture) {
+            listened.push([type, options.passive]);
+          }
+          return addEventListener.apply(this, arguments);
+        };
+      });
+
+      afterEach(() => {
+        ReactDOM.unmountComponentAtNode(container);
+        Element.prototype.addEventListener = addEventListener;
+      });
+
+      function render(mode, props) {
+        ReactDOM.render(
+          <Surface mode={mode} width={100} height={100}>
+            <Shape
+              d="M0,0L20,0L20,20L0,20Z"
+              fill="red"
+              width={20}
+              height={20}
+              {...props}
+            />
+          </Surface>,
+          container,
+        );
+      }
+
+      it('listens to the events that nodes handle as they do', () => {
+        render('svg', {});
+        expect(listened).toEqual([]);
+
+        render('svg', {onClick: jest.fn()});
+        render('svg', {onClick: jest.fn(), onWheelCapture: jest.fn()});
+        expect(listened).toEqual([['click', false], ['wheel', false]]);
+      });
+
+      it('listens to moves and exits for hovering on canvas', () => {
+        render('canvas', {onMouseOver: jest.fn(), onPointerLeave: jest.fn()});
+
+        expect(listened).toEqual([
+          ['mousemove', false],
+          ['mouseout', false],
+          ['pointermove', false],
+          ['pointerleave', false],
+        ]);
+      });
+    });
+
+    ['svg', 'canvas'].forEach(mode => {
+      it('reports surface and local coordinates in ' + mode + ' mode', () => {
+        var container = document.createElement('div');
+        var points = [];
+
+        function record(event) {
+          points.push([
+            event.currentTarget,
+            event.surfaceX,
+            event.surfaceY,
+            event.localX,
+            event.localY,
+          ]);
+        }
+
+        var refs = {};
+
+        ReactDOM.render(
+          <Surface mode={mode} width={100} height={100}>
+            <Group
+              ref={node => refs.group = node}
+              x={50}
+              rotation={90}
+              onClick={record}>
+              <Shape
+                ref={node => refs.shape = node}
+                d="M0,0L10,0L10,10L0,10Z"
+                fill="red"
+                width={10}
+                height={10}
+                x={2}
+                y={1}
+                scale={2}
+                onClick={record}
+              />
+            </Group>
+          </Surface>,
+          container,
+        );
+
+        var target = mode === 'svg' ?
+          container.querySelector('path') :
+          container.firstChild;
+        target.dispatchEvent(new window.MouseEvent('click', {
+          bubbles: true,
+          clientX: 45,
+          clientY: 10,
+        }));
+
+        expect(points.length).toBe(2);
+
+        var shape = points[0];
+        expect(shape[0]).toBe(refs.shape);
+        expect(shape[1]).toBe(45);
+        expect(shape[2]).toBe(10);
+        expect(shape[3]).toBeCloseTo(4, 10);
+        expect(shape[4]).toBeCloseTo(2, 10);
+
+        var group = points[1];
+        expect(group[0]).toBe(refs.group);
+        expect(group[3]).toBeCloseTo(10, 10);
+        expect(group[4]).toBeCloseTo(5, 10);
+
+        ReactDOM.unmountComponentAtNode(container);
+      });
+    });
+
+    it('derives hover events from the hit node in canvas mode', () => {
+      var container = document.createElement('div');
+      var log = [];
+
+      function logger(name) {
+        return event => log.push([name, event.type]);
+      }
+
+      ReactDOM.render(
+        <Surface mode="canvas" width={100} height={100}>
+          <Group onMouseOver={logger('group')} onMouseOut={logger('group')}>
+            <Shape
+              d="M0,0L20,0L20,20L0,20Z"
+              fill="red"
+              width={20}
+              height={20}
+              onMouseOver={logger('shape')}
+              onMouseOut={logger('shape')}
+            />
+          </Group>
+        </Surface>,
+        container,
+      );
+
+      function mouse(type, x, y) {
+        container.firstChild.dispatchEvent(new window.MouseEvent(type, {
+          bubbles: true,
+          clientX: x,
+          clientY: y,
+        }));
+      }
+
+      mouse('mouseover', 50, 50);
+      mouse('mousemove', 50, 50);
+      expect(log).toEqual([]);
+
+      mouse('mousemove', 10, 10);
+      expect(log).toEqual([
+        ['shape', 'mouseover'],
+        ['group', 'mouseover'],
+      ]);
+
+      mouse('mousemove', 11, 11);
+      mouse('mouseout', 200, 200);
+      expect(log.slice(2)).toEqual([
+        ['shape', 'mouseout'],
+        ['group', 'mouseout'],
+      ]);
+
+      ReactDOM.unmountComponentAtNode(container);
+    });
+  });
+
+  describe('hit testing', () => {
+    ['svg', 'canvas'].forEach(mode => {
+      describe('in ' + mode + ' mode', () => {
+        var container;
+
+        beforeEach(() => {
+          container = document.createElement('div');
+        });
+
+        afterEach(() => {
+          ReactDOM.unmountComponentAtNode(container);
+        });
+
+        function render(children) {
+          var surface = null;
+
+          ReactDOM.render(
+            <Surface
+              ref={node => surface = node}
+              mode={mode}
+              width={100}
+              height={100}>
+              {children}
+            </Surface>,
+            container,
+          );
+
+          return surface;
+        }
+
+        it('returns the topmost node under the point', () => {
+          var refs = {};
+          var surface = render(
+            <Group>
+              <Shape
+                ref={node => refs.bottom = node}
+                d="M0,0L50,0L50,50L0,50Z"
+                fill="red"
+              />
+              <Shape
+                ref={node => refs.top = node}
+                d="M25,25L75,25L75,75L25,75Z"
+                fill="blue"
+              />
+            </Group>
+          );
+
+          expect(surface.hitTest(10, 10)).toBe(refs.bottom);
+          expect(surface.hitTest(30, 30)).toBe(refs.top);
+          expect(surface.hitTest(90, 90)).toBe(null);
+          expect(surface.hitTestAll(30, 30)).toEqual([refs.top, refs.bottom]);
+          expect(surface.hitTestAll(90, 90)).toEqual([]);
+        });
+
+        it('skips hidden nodes and shapes without paint', () => {
+          var refs = {};
+          var surface = render(
+            <Group>
+              <Shape
+                ref={node => refs.shape = node}
+                d="M0,0L50,0L50,50L0,50Z"
+                fill="red"
+              />
+              <Shape d="M0,0L50,0L50,50L0,50Z" />
+              <Group visible={false}>
+                <Shape d="M0,0L50,0L50,50L0,50Z" fill="blue" />
+              </Group>
+            </Group>
+          );
+
+          expect(surface.hitTestAll(10, 10)).toEqual([refs.shape]);
+        });
+
+        it('fills nested subpaths by the rule of the mode', () => {
+          var shape = null;
+          var surface = render(
+            <Shape
+              ref={node => shape = node}
+              d="M0,0L60,0L60,60L0,60ZM20,20L40,20L40,40L20,40Z"
+              fill="red"
+            />
+          );
+
+          // Both subpaths go clockwise, which canvas fills solid and SVG
+          // fills with a hole.
+          expect(surface.hitTest(10, 10)).toBe(shape);
+          expect(surface.hitTest(30, 30)).toBe(
+            mode === 'canvas' ? shape : null
+          );
+        });
+
+        it('applies transforms and clipping of ancestors', () => {
+          var refs = {};
+          var surface = render(
+            <ClippingRectangle x={10} y={10} width={20} height={20}>
+              <Group x={10} y={10} scale={2}>
+                <Shape
+                  ref={node => refs.shape = node}
+                  d="M0,0L20,0L20,20L0,20Z"
+                  fill="red"
+                />
+              </Group>
+            </ClippingRectangle>
+          );
+
+          expect(surface.hitTest(15, 15)).toBe(null);
+          expect(surface.hitTest(25, 25)).toBe(refs.shape);
+          expect(surface.hitTest(40, 40)).toBe(null);
+        });
+
+        it('hits strokes within the tolerance', () => {
+          var refs = {};
+          var surface = render(
+            <Shape
+              ref={node => refs.line = node}
+              d="M10,50L90,50"
+              stroke="black"
+              strokeWidth={2}
+            />
+          );
+
+          expect(surface.hitTest(50, 50.5)).toBe(refs.line);
+          expect(surface.hitTest(50, 54)).toBe(null);
+          expect(surface.hitTest(50, 54, 4)).toBe(refs.line);
+        });
+
+        it('follows updated props', () => {
+          var refs = {};
+          var surface = render(
+            <Shape
+              ref={node => refs.shape = node}
+              d="M0,0L10,0L10,10L0,10Z"
+              fill="red"
+            />
+          );
+          expect(surface.hitTest(5, 5)).toBe(refs.shape);
+
+          render(
+            <Shape
+              ref={node => refs.shape = node}
+              d="M0,0L10,0L10,10L0,10Z"
+              fill="red"
+              x={50}
+            />
+          );
+          expect(surface.hitTest(5, 5)).toBe(null);
+          expect(surface.hitTest(55, 5)).toBe(refs.shape);
+        });
+      });
+    });
+  });
+
+  describe('canvas redraw', () => {
+    var container;
+    var frames;
+    var requestAnimationFrame;
+    var cancelAnimationFrame;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      frames = [];
+      requestAnimationFrame = window.requestAnimationFrame;
+      cancelAnimationFrame = window.cancelAnimationFrame;
+      window.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+      window.cancelAnimationFrame = jest.fn(id => frames[id - 1] = null);
+    });
+
+    afterEach(() => {
+      ReactDOM.unmountComponentAtNode(container);
+      window.requestAnimationFrame = requestAnimationFrame;
+      window.cancelAnimationFrame = cancelAnimationFrame;
+    });
+
+    function runFrames() {
+      var callbacks = frames;
+      frames = [];
+      callbacks.forEach(callback => callback && callback());
+    }
+
+    function render(positions, width) {
+      ReactDOM.render(
+        <Surface mode="canvas" width={width || 200} height={100}>
+          {positions.map((x, i) =>
+            <Shape key={i} x={x} d="M0,0L10,0L10,10L0,10Z" fill="red" />
+          )}
+        </Surface>,
+        container,
+      );
+      return container.firstChild.getContext('2d');
+    }
+
+    it('repaints once per frame', () => {
+      var context = render([0, 50, 100]);
+      expect(window.requestAnimationFrame.mock.calls.length).toBe(1);
+      runFrames();
+
+      render([0, 60, 100]);
+      render([0, 60, 110]);
+      expect(window.requestAnimationFrame.mock.calls.length).toBe(2);
+
+      context.clearRect.mockClear();
+      runFrames();
+      expect(context.clearRect.mock.calls.length).toBe(1);
+    });
+
+    it('only repaints the union of what changed', () => {
+      var context = render([0, 50, 100, 150]);
+      runFrames();
+
+      render([0, 60, 100, 140]);
+      context.clearRect.mockClear();
+      context.rect.mockClear();
+      runFrames();
+
+      // From where the second shape was to where the fourth one was.
+      expect(context.clearRect.mock.calls).toEqual([[49, 0, 112, 11]]);
+      expect(context.rect.mock.calls).toEqual([[49, 0, 112, 11]]);
+      expect(context.clip).toBeCalled();
+    });
+
+    it('repaints removed and added nodes', () => {
+      var context = render([0, 50]);
+      runFrames();
+
+      render([0]);
+      context.clearRect.mockClear();
+      runFrames();
+      expect(context.clearRect.mock.calls).toEqual([[49, 0, 12, 11]]);
+
+      render([0, 80]);
+      context.clearRect.mockClear();
+      runFrames();
+      expect(context.clearRect.mock.calls).toEqual([[79, 0, 12, 11]]);
+    });
+
+    it('repaints everything after resizing', () => {
+      var context = render([0]);
+      runFrames();
+
+      render([0], 300);
+      context.clearRect.mockClear();
+      runFrames();
+      expect(context.clearRect.mock.calls).toEqual([[0, 0, 300, 100]]);
+    });
+
+    it('cancels pending repaints on unmount', () => {
+      render([0]);
+      ReactDOM.unmountComponentAtNode(container);
+      expect(window.cancelAnimationFrame).toBeCalledWith(1);
+    });
+  });
+
+  describe('pixel ratio', () => {
+    var container;
+    var frames;
+    var requestAnimationFrame;
+    var devicePixelRatio;
+    var matchMedia;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      frames = [];
+      requestAnimationFrame = window.requestAnimationFrame;
+      devicePixelRatio = window.devicePixelRatio;
+      matchMedia = window.matchMedia;
+      window.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+    });
+
+    afterEach(() => {
+      ReactDOM.unmountComponentAtNode(container);
+      window.requestAnimationFrame = requestAnimationFrame;
+      window.devicePixelRatio = devicePixelRatio;
+      window.matchMedia = matchMedia;
+    });
+
+    function runFrames() {
+      var callbacks = frames;
+      frames = [];
+      callbacks.forEach(callback => callback());
+    }
+
+    function render(props, children) {
+      ReactDOM.render(
+        <Surface mode="canvas" width={100} height={50} {...props}>
+          {children}
+        </Surface>,
+        container,
+      );
+      return container.firstChild;
+    }
+
+    it('sizes the backing store by the pixel ratio', () => {
+      var canvas = render({pixelRatio: 2});
+
+      expect(canvas.getAttribute('width')).toBe('200');
+      expect(canvas.getAttribute('height')).toBe('100');
+      expect(canvas.style.width).toBe('100px');
+      expect(canvas.style.height).toBe('50px');
+
+      render({pixelRatio: 2, width: 60});
+      expect(canvas.getAttribute('width')).toBe('120');
+      expect(canvas.style.width).toBe('60px');
+    });
+
+    it('defaults to the pixel ratio of the screen', () => {
+      window.devicePixelRatio = 3;
+      var canvas = render({});
+
+      expect(canvas.getAttribute('width')).toBe('300');
+      expect(canvas.style.width).toBe('100px');
+    });
+
+    it('scales the drawing transform', () => {
+      var canvas = render(
+        {pixelRatio: 2},
+        <Shape x={10} d="M0,0L10,0L10,10L0,10Z" fill="red" />
+      );
+      var context = canvas.getContext('2d');
+
+      runFrames();
+      expect(context.setTransform).toBeCalledWith(2, 0, 0, 2, 0, 0);
+      expect(context.transform).toBeCalledWith(1, 0, 0, 1, 10, 0);
+      // Dirty regions stay in CSS pixels.
+      expect(context.clearRect).toBeCalledWith(9, 0, 12, 11);
+    });
+
+    it('repaints everything when the pixel ratio changes', () => {
+      var canvas = render({pixelRatio: 2});
+      var context = canvas.getContext('2d');
+      runFrames();
+
+      render({pixelRatio: 1.5});
+      expect(canvas.getAttribute('width')).toBe('150');
+
+      context.clearRect.mockClear();
+      runFrames();
+      expect(context.clearRect.mock.calls).toEqual([[0, 0, 100, 50]]);
+    });
+
+    it('follows the screen when it changes pixel ratio', () => {
+      var queries = [];
+      window.matchMedia = jest.fn(media => {
+        var query = {
+          media: media,
+          addListener: jest.fn(listener => query.listener = listener),
+          removeListener: jest.fn(),
+        };
+        queries.push(query);
+        return query;
+      });
+      window.devicePixelRatio = 1;
+
+      var canvas = render({});
+      expect(queries.map(query => query.media)).toEqual([
+        '(resolution: 1dppx)',
+      ]);
+
+      window.devicePixelRatio = 2;
+      queries[0].listener();
+      expect(canvas.getAttribute('width')).toBe('200');
+      expect(queries[0].removeListener).toBeCalledWith(queries[0].listener);
+      expect(queries[1].media).toBe('(resolution: 2dppx)');
+
+      // An explicit pixel ratio stops following the screen.
+      render({pixelRatio: 1});
+      expect(canvas.getAttribute('width')).toBe('100');
+      expect(queries[1].removeListener).toBeCalled();
+      expect(queries.length).toBe(2);
+    });
+
+    it('hit tests in CSS pixels', () => {
+      var onClick = jest.fn();
+      var canvas = render(
+        {pixelRatio: 2},
+        <Shape
+          x={50}
+          d="M0,0L10,0L10,10L0,10Z"
+          fill="red"
+          width={10}
+          height={10}
+          onClick={onClick}
+        />
+      );
+
+      canvas.dispatchEvent(new window.MouseEvent('click', {
+        bubbles: true,
+        clientX: 55,
+        clientY: 5,
+      }));
+      expect(onClick.mock.calls.length).toBe(1);
+
+      canvas.dispatchEvent(new window.MouseEvent('click', {
+        bubbles: true,
+        clientX: 27.5,
+        clientY: 2.5,
+      }));
+      expect(onClick.mock.calls.length).toBe(1);
+    });
+  });
+
+  describe('auto size', () => {
+    var container;
+    var ResizeObserver;
+    var observers;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      setParentSize(300, 150);
+
+      observers = [];
+      ResizeObserver = window.ResizeObserver;
+      window.ResizeObserver = class {
+        constructor(callback) {
+          this.callback = callback;
+          this.observe = jest.fn();
+          this.disconnect = jest.fn();
+          observers.push(this);
+        }
+      };
+    });
+
+    afterEach(() => {
+      ReactDOM.unmountComponentAtNode(container);
+      window.ResizeObserver = ResizeObserver;
+    });
+
+    function setParentSize(width, height) {
+      Object.defineProperty(container, 'clientWidth', {
+        configurable: true,
+        value: width,
+      });
+      Object.defineProperty(container, 'clientHeight', {
+        configurable: true,
+        value: height,
+      });
+    }
+
+    function render(props, children) {
+      ReactDOM.render(
+        <Surface {...props}>{children}</Surface>,
+        container,
+      );
+      return container.firstChild;
+    }
+
+    it('sizes the Surface after its parent element', () => {
+      var svg = render({autoSize: true});
+
+      expect(observers.length).toBe(1);
+      expect(observers[0].observe).toBeCalledWith(container);
+      expect(svg.getAttribute('width')).toBe('300');
+      expect(svg.getAttribute('height')).toBe('150');
+
+      setParentSize(200, 100);
+      observers[0].callback();
+      expect(svg.getAttribute('width')).toBe('200');
+      expect(svg.getAttribute('height')).toBe('100');
+    });
+
+    it('sizes percentages after the parent element', () => {
+      var svg = render({width: '50%', height: 40});
+
+      expect(svg.getAttribute('width')).toBe('150');
+      expect(svg.getAttribute('height')).toBe('40');
+    });
+
+    it('calls function children with the size', () => {
+      var children = jest.fn(size =>
+        <Shape d={'M0,0L' + size.width + ',' + size.height} stroke="red" />
+      );
+      var svg = render({autoSize: true}, children);
+
+      expect(children).toBeCalledWith({width: 300, height: 150});
+      expect(svg.querySelector('path').getAttribute('d'))
+        .toBe('M0,0L300,150');
+
+      setParentSize(100, 50);
+      observers[0].callback();
+      expect(children).lastCalledWith({width: 100, height: 50});
+      expect(svg.querySelector('path').getAttribute('d'))
+        .toBe('M0,0L100,50');
+    });
+
+    it('resizes canvas Surfaces', () => {
+      var canvas = render({mode: 'canvas', pixelRatio: 2, autoSize: true});
+
+      expect(canvas.getAttribute('width')).toBe('600');
+      expect(canvas.style.width).toBe('300px');
+    });
+
+    it('stops observing when it is no longer auto sized', () => {
+      render({autoSize: true});
+      var observer = observers[0];
+
+      render({width: 10, height: 10});
+      expect(observer.disconnect).toBeCalled();
+
+      render({autoSize: true});
+      expect(observers.length).toBe(2);
+
+      ReactDOM.unmountComponentAtNode(container);
+      expect(observers[1].disconnect).toBeCalled();
+    });
+
+    it('follows window resizes without ResizeObserver', () => {
+      window.ResizeObserver = undefined;
+      var svg = render({autoSize: true});
+
+      setParentSize(120, 60);
+      window.dispatchEvent(new window.Event('resize'));
+      expect(svg.getAttribute('width')).toBe('120');
+    });
+  });
+
+  describe('group cache', () => {
+    var container;
+    var frames;
+    var requestAnimationFrame;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+      frames = [];
+      requestAnimationFrame = window.requestAnimationFrame;
+      window.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+    });
+
+    afterEach(() => {
+      ReactDOM.unmountComponentAtNode(container);
+      window.requestAnimationFrame = requestAnimationFrame;
+    });
+
+    function render(props) {
+      var surface = null;
+
+      ReactDOM.render(
+        <Surface
+          mode="canvas"
+          width={100}
+          height={100}
+          pixelRatio={props.pixelRatio}
+          ref={ref => (surface = ref)}>
+          <Group x={props.x} cache={props.cache} cacheScale={props.cacheScale}>
+            <Shape d="M0,0L10,0L10,10L0,10Z" fill={props.fill} />
+            {props.extra && <Shape d="M20,20L30,30" stroke="blue" />}
+          </Group>
+        </Surface>,
+        container,
+      );
+
+      var frame;
+      while ((frame = frames.shift())) {
+        frame();
+      }
+
+      var context = container.firstChild.getContext('2d');
+      var bitmaps = context.drawImage.mock.calls.map(call => call[0]);
+      var fills = context.fill.mock.calls.length;
+      context.drawImage.mockClear();
+      context.fill.mockClear();
+      return {context, bitmaps, fills, surface};
+    }
+
+    it('draws cached Groups from a bitmap', () => {
+      var result = render({cache: true, fill: 'red'});
+
+      expect(result.fills).toBe(0);
+      expect(result.bitmaps.length).toBe(1);
+
+      var bitmap = result.bitmaps[0];
+      expect(bitmap.width).toBe(12);
+      expect(bitmap.height).toBe(12);
+      expect(bitmap.getContext('2d').fill.mock.calls.length).toBe(1);
+    });
+
+    it('reuses the bitmap until a descendant changes', () => {
+      var bitmap = render({cache: true, fill: 'red', x: 0}).bitmaps[0];
+      var bitmapContext = bitmap.getContext('2d');
+
+      // Moving the Group only moves its bitmap.
+      var result = render({cache: true, fill: 'red', x: 10});
+      expect(result.bitmaps).toEqual([bitmap]);
+      expect(bitmapContext.fill.mock.calls.length).toBe(1);
+      expect(result.context.setTransform).toBeCalledWith(1, 0, 0, 1, 10, 0);
+
+      result = render({cache: true, fill: 'blue', x: 10});
+      expect(result.bitmaps.length).toBe(1);
+      expect(result.bitmaps[0]).not.toBe(bitmap);
+
+      bitmap = result.bitmaps[0];
+      result = render({cache: true, fill: 'blue', x: 10, extra: true});
+      expect(result.bitmaps[0]).not.toBe(bitmap);
+      expect(result.bitmaps[0].width).toBe(33);
+
+      bitmap = result.bitmaps[0];
+      result = render({cache: true, fill: 'blue', x: 10});
+      expect(result.bitmaps[0]).not.toBe(bitmap);
+      expect(result.bitmaps[0].width).toBe(12);
+    });
+
+    it('scales bitmaps by cacheScale', () => {
+      var bitmap = render({cache: true, cacheScale: 2, fill: 'red'}).bitmaps[0];
+
+      expect(bitmap.width).toBe(24);
+      expect(bitmap.getContext('2d').setTransform).toBeCalledWith(
+        2, 0, 0, 2, 2, 2
+      );
+    });
+
+    it('scales bitmaps by the pixel ratio of the Surface', () => {
+      var bitmap = render({
+        cache: true,
+        cacheScale: 2,
+        fill: 'red',
+        pixelRatio: 2,
+      }).bitmaps[0];
+
+      expect(bitmap.width).toBe(48);
+      expect(bitmap.getContext('2d').setTransform).toBeCalledWith(
+        4, 0, 0, 4, 4, 4
+      );
+
+      bitmap = render({cache: true, fill: 'red', pixelRatio: 3}).bitmaps[0];
+      expect(bitmap.width).toBe(36);
+    });
+
+    it('rasterizes bitmaps again for exports at another scale', () => {
+      var result = render({cache: true, fill: 'red', x: 0});
+
+      var canvas = result.surface._renderToCanvas({scale: 2});
+      var exported = canvas.getContext('2d').drawImage.mock.calls[0][0];
+      expect(exported).not.toBe(result.bitmaps[0]);
+      expect(exported.width).toBe(24);
+
+      var bitmap = render({cache: true, fill: 'red', x: 10}).bitmaps[0];
+      expect(bitmap.width).toBe(12);
+    });
+
+    it('draws Groups directly once the cache is turned off', () => {
+      render({cache: true, fill: 'red'});
+      var result = render({cache: false, fill: 'green'});
+
+      expect(result.bitmaps).toEqual([]);
+      expect(result.fills).toBe(1);
+    });
+  });
+
+  describe('exporting', () => {
+    var container;
+
+    beforeEach(() => {
+      container = document.createElement('div');
+    });
+
+    afterEach(() => {
+      ReactDOM.unmountComponentAtNode(container);
+    });
+
+    function render(mode, children) {
+      var surface = null;
+
+      ReactDOM.render(
+        <Surface
+          ref={node => surface = node}
+          mode={mode}
+          width={100}
+          height={50}>
+          {children}
+        </Surface>,
+        container,
+      );
+
+      return surface;
+    }
+
+    function renderScene(mode, color) {
+      return render(
+        mode,
+        <Group x={10} y={20}>
+          <Shape d="M0,0L10,0L10,10Z" fill={color} stroke="#000" />
+        </Group>
+      );
+    }
+
+    ['svg', 'canvas'].forEach(mode => {
+      it('serializes the scene graph to SVG in ' + mode + ' mode', () => {
+        var surface = renderScene(mode, '#f00');
+
+        expect(surface.toSVG()).toBe(ReactARTServer.renderToSVGString(
+          <Surface width={100} height={50}>
+            <Group x={10} y={20}>
+              <Shape d="M0,0L10,0L10,10Z" fill="#f00" stroke="#000" />
+            </Group>
+          </Surface>
+        ));
+
+        surface = renderScene(mode, '#00f');
+        expect(surface.toSVG()).toContain('fill="rgb(0, 0, 255)"');
+      });
+    });
+
+    it('scales exported SVG', () => {
+      var svg = renderScene('svg', '#f00').toSVG({scale: 2});
+
+      expect(svg).toContain('width="200" height="100" viewBox="0 0 100 50"');
+    });
+
+    it('prefixes the ids of exported SVG', () => {
+      var surface = render(
+        'svg',
+        <ClippingRectangle width={50} height={40}>
+          <Shape d="M0,0L10,0L10,10Z" fill="#f00" />
+        </ClippingRectangle>
+      );
+      var svg = surface.toSVG({idPrefix: 'chart-'});
+
+      expect(svg).toContain('<clipPath id="chart-clip-1">');
+      expect(svg).toContain('<g clip-path="url(#chart-clip-1)">');
+    });
+
+    it('exports SVG and DOM mode Surfaces as SVG images', () => {
+      var surface = renderScene('svg', '#f00');
+      var prefix = 'data:image/svg+xml;charset=utf-8,';
+      var url = surface.toDataURL('image/png');
+
+      expect(url.slice(0, prefix.length)).toBe(prefix);
+      expect(decodeURIComponent(url.slice(prefix.length))).toBe(
+        surface.toSVG()
+      );
+
+      var callback = jest.fn();
+      surface.toBlob(callback);
+      expect(callback.mock.calls.length).toBe(1);
+      expect(callback.mock.calls[0][0].type).toBe('image/svg+xml');
+    });
+
+    it('exports canvas mode Surfaces by drawing them at scale', () => {
+      var toDataURL = HTMLCanvasElement.prototype.toDataURL;
+      var toBlob = HTMLCanvasElement.prototype.toBlob;
+      var exported = [];
+
+      HTMLCanvasElement.prototype.toDataURL = function(type, quality) {
+        exported.push(this);
+        return 'data:' + type + ',' + quality;
+      };
+      HTMLCanvasElement.prototype.toBlob = function(callback, type, quality) {
+        exported.push(this);
+        callback(type);
+      };
+
+      try {
+        var surface = renderScene('canvas', '#f00');
+
+        expect(surface.toDataURL('image/jpeg', 0.5, {scale: 2})).toBe(
+          'data:image/jpeg,0.5'
+        );
+
+        var callback = jest.fn();
+        surface.toBlob(callback, 'image/png');
+        expect(callback).toBeCalledWith('image/png');
+      } finally {
+        HTMLCanvasElement.prototype.toDataURL = toDataURL;
+        HTMLCanvasElement.prototype.toBlob = toBlob;
+      }
+
+      expect(exported.length).toBe(2);
+      expect(exported[0]).not.toBe(container.firstChild);
+      expect(exported[0].width).toBe(200);
+      expect(exported[0].height).toBe(100);
+      expect(exported[0].getContext('2d').setTransform).toBeCalledWith(
+        2, 0, 0, 2, 20, 40
+      );
+      expect(exported[1].width).toBe(100);
+      expect(exported[1].height).toBe(50);
+    });
+  });
+
+  describe('Path', () => {
+    it('can be drawn by Shapes of every mode', () => {
+      var path = ReactART.Path()
+        .moveTo(0, 0)
+        .lineTo(10, 0)
+        .arc(0, 10, 5)
+        .close();
+
+      var svgShape = ARTSVGMode.Shape(path);
+      expect(svgShape.element.getAttribute('d')).toBe(
+        'M 0 0 L 10 0 A 5 5 0 0 1 10 10 z'
+      );
+
+      var canvasShape = ARTCanvasMode.Shape(path);
+      expect(canvasShape._commands.length).toBe(4);
+    });
+  });
+});
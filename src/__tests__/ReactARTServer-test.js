@@ -0,0 +1,268 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ * @jest-environment node
+ */
+
+'use strict';
+
+jest
+  .unmock('ReactARTFiber')
+  .unmock('ReactARTServer');
+
+var React = require('react');
+
+var ReactART = require('ReactARTFiber');
+var ReactARTServer = require('ReactARTServer');
+
+var ClippingRectangle = ReactART.ClippingRectangle;
+var Group = ReactART.Group;
+var LinearGradient = ReactART.LinearGradient;
+var Path = ReactART.Path;
+var RadialGradient = ReactART.RadialGradient;
+var Shape = ReactART.Shape;
+var Surface = ReactART.Surface;
+var Text = ReactART.Text;
+
+var renderToSVGString = ReactARTServer.renderToSVGString;
+
+// Takes the DOM away while the callback runs, like on a server. Only newer
+// versions of jest honor the node environment of this file.
+function withoutDOM(callback) {
+  var descriptors = {};
+  ['document', 'window'].forEach(name => {
+    descriptors[name] = Object.getOwnPropertyDescriptor(global, name);
+    delete global[name];
+  });
+  try {
+    return callback();
+  } finally {
+    Object.keys(descriptors).forEach(name => {
+      if (descriptors[name]) {
+        Object.defineProperty(global, name, descriptors[name]);
+      }
+    });
+  }
+}
+
+describe('ReactARTServer', () => {
+  it('renders without a DOM', () => {
+    var markup = withoutDOM(() => {
+      expect(typeof window).toBe('undefined');
+      expect(typeof document).toBe('undefined');
+
+      // React checks for the DOM as it loads, so it's loaded again without.
+      jest.resetModuleRegistry();
+      var ServerSurface = require('ReactARTFiber').Surface;
+      return require('ReactARTServer').renderToSVGString(
+        <ServerSurface width={10} height={20} />
+      );
+    });
+
+    expect(markup).toBe(
+      '<svg xmlns="http://www.w3.org/2000/svg" ' +
+      'xmlns:xlink="http://www.w3.org/1999/xlink" version="1.1" ' +
+      'width="10" height="20"><defs/></svg>'
+    );
+  });
+
+  it('renders nodes with their transforms and paint', () => {
+    var markup = renderToSVGString(
+      <Surface width={100} height={100}>
+        <Group x={10} y={20} opacity={0.5}>
+          <Shape
+            d="M0,0L10,0L10,10Z"
+            fill="#f00"
+            stroke="rgba(0,0,255,0.5)"
+            strokeWidth={2}
+            strokeDash={[2, 1]}
+          />
+          <Shape d={Path().moveTo(0, 0).lineTo(5, 5)} scale={2} />
+        </Group>
+        <Group visible={false} />
+      </Surface>
+    );
+
+    expect(markup).toContain(
+      '<g transform="matrix(1,0,0,1,10,20)" opacity="0.5">' +
+      '<path fill-rule="evenodd" d="M0,0L10,0L10,10Z" ' +
+      'fill="rgb(255, 0, 0)" fill-opacity="1" ' +
+      'stroke="rgb(0, 0, 255)" stroke-opacity="0.5" stroke-width="2" ' +
+      'stroke-linecap="round" stroke-linejoin="round" ' +
+      'stroke-dasharray="2,1"/>' +
+      '<path transform="matrix(2,0,0,2,0,0)" fill-rule="evenodd" ' +
+      'd="M 0 0 L 5 5" fill="none"/>' +
+      '</g>' +
+      '<g display="none"/>'
+    );
+  });
+
+  it('renders gradients and clips into defs', () => {
+    var markup = renderToSVGString(
+      <Surface width={100} height={100}>
+        <ClippingRectangle width={50} height={40}>
+          <Shape
+            d="M0,0L100,0L100,100Z"
+            fill={new LinearGradient(['#000', '#fff'], 0, 0, 100, 0)}
+          />
+          <Shape
+            d="M0,0L100,0L100,100Z"
+            width={100}
+            height={100}
+            fill={new RadialGradient({0: '#000', 1: '#fff'})}
+          />
+        </ClippingRectangle>
+      </Surface>
+    );
+
+    var defs = markup.match(/<defs>(.*)<\/defs>/)[1];
+    expect(defs).toBe(
+      '<clipPath id="clip-1"><rect x="0" y="0" width="50" height="40"/>' +
+      '</clipPath>' +
+      '<linearGradient gradientUnits="userSpaceOnUse" ' +
+      'x1="0" y1="0" x2="100" y2="0" spreadMethod="reflect" ' +
+      'id="fill-brush-2">' +
+      '<stop offset="0" stop-color="rgb(0, 0, 0)" stop-opacity="1"/>' +
+      '<stop offset="1" stop-color="rgb(255, 255, 255)" stop-opacity="1"/>' +
+      '</linearGradient>' +
+      '<radialGradient gradientUnits="userSpaceOnUse" ' +
+      'fx="50" fy="50" r="50" cx="50" cy="50" spreadMethod="reflect" ' +
+      'id="fill-brush-3">' +
+      '<stop offset="0" stop-color="rgb(0, 0, 0)" stop-opacity="1"/>' +
+      '<stop offset="1" stop-color="rgb(255, 255, 255)" stop-opacity="1"/>' +
+      '</radialGradient>'
+    );
+    expect(markup).toContain('<g clip-path="url(#clip-1)">');
+    expect(markup).toContain('fill="url(#fill-brush-2)"');
+    expect(markup).toContain('fill="url(#fill-brush-3)"');
+  });
+
+  it('keeps the ids of documents inlined into one page apart', () => {
+    var renderScene = idPrefix => renderToSVGString(
+      <Surface width={100} height={100}>
+        <ClippingRectangle width={50} height={40}>
+          <Shape
+            d="M0,0L100,0L100,100Z"
+            fill={new LinearGradient(['#000', '#fff'], 0, 0, 100, 0)}
+          />
+        </ClippingRectangle>
+      </Surface>,
+      {idPrefix}
+    );
+    var page = renderScene('a-') + renderScene('b-');
+
+    var ids = [];
+    page.replace(/ id="([^"]*)"/g, (match, id) => ids.push(id));
+    expect(ids).toEqual([
+      'a-clip-1',
+      'a-fill-brush-2',
+      'b-clip-1',
+      'b-fill-brush-2',
+    ]);
+
+    var documents = page.split('</svg>');
+    expect(documents[0]).toContain('<g clip-path="url(#a-clip-1)">');
+    expect(documents[0]).toContain('fill="url(#a-fill-brush-2)"');
+    expect(documents[1]).toContain('<g clip-path="url(#b-clip-1)">');
+    expect(documents[1]).toContain('fill="url(#b-fill-brush-2)"');
+  });
+
+  it('renders text line by line', () => {
+    var markup = renderToSVGString(
+      <Surface width={100} height={100}>
+        <Text
+          alignment="center"
+          fill="#000"
+          font={{fontFamily: 'Arial', fontSize: '12px'}}>
+          {'Tom & Jerry\n<3'}
+        </Text>
+      </Surface>
+    );
+
+    expect(markup).toContain(
+      '<text style="font-family:Arial;font-size:12px;line-height:0.5em" ' +
+      'text-anchor="middle" dominant-baseline="central" ' +
+      'xml:space="preserve" fill="rgb(0, 0, 0)" fill-opacity="1">' +
+      '<tspan x="0" y="0.5em" dominant-baseline="central">' +
+      'Tom &amp; Jerry</tspan>' +
+      '<tspan x="0" y="1.6em" dominant-baseline="central">&lt;3</tspan>' +
+      '</text>'
+    );
+  });
+
+  it('renders numbers as text', () => {
+    var markup = renderToSVGString(
+      <Surface width={100} height={100}>
+        <Text font={{fontFamily: 'Arial', fontSize: '12px'}}>{0}</Text>
+      </Surface>
+    );
+
+    expect(markup).toContain('dominant-baseline="central">0</tspan>');
+  });
+
+  it('renders composite components and their updates', () => {
+    class Bar extends React.Component {
+      constructor() {
+        super();
+        this.state = {height: 10};
+      }
+
+      componentDidMount() {
+        this.setState({height: 30});
+      }
+
+      render() {
+        return (
+          <Shape d={'M0,0L0,' + this.state.height} stroke="#000" />
+        );
+      }
+    }
+
+    var markup = renderToSVGString(
+      <Surface width={100} height={100}>
+        <Group>
+          <Bar />
+        </Group>
+      </Surface>
+    );
+
+    expect(markup).toContain('d="M0,0L0,30"');
+  });
+
+  it('throws for unknown node types', () => {
+    expect(() => renderToSVGString(
+      <Surface width={100} height={100}>
+        <circle />
+      </Surface>
+    )).toThrowError('ReactART does not support the type "circle"');
+  });
+
+  it('renders children that are functions of the size', () => {
+    var markup = renderToSVGString(
+      <Surface width="100" height={50}>
+        {size =>
+          <Shape d={'M0,0L' + size.width + ',' + size.height} stroke="#000" />
+        }
+      </Surface>
+    );
+
+    expect(markup).toContain('width="100" height="50"');
+    expect(markup).toContain('d="M0,0L100,50"');
+  });
+
+  it('throws for elements other than Surfaces', () => {
+    expect(() => renderToSVGString(
+      <Group>
+        <Shape d="M0,0L10,0L10,10Z" />
+      </Group>
+    )).toThrowError(
+      'renderToSVGString(): You must pass a valid <Surface> element.'
+    );
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ * @jest-environment node
+ */
+
+'use strict';
+
+jest
+  .unmock('ReactARTFiber')
+  .unmock('ReactARTTestRenderer');
+
+var React = require('react');
+
+var ReactART = require('ReactARTFiber');
+var ReactARTTestRenderer = require('ReactARTTestRenderer');
+
+var ClippingRectangle = ReactART.ClippingRectangle;
+var Group = ReactART.Group;
+var LinearGradient = ReactART.LinearGradient;
+var Path = ReactART.Path;
+var Shape = ReactART.Shape;
+var Surface = ReactART.Surface;
+var Text = ReactART.Text;
+
+var IDENTITY = [1, 0, 0, 1, 0, 0];
+
+describe('ReactARTTestRenderer', () => {
+  it('serializes the tree with resolved props', () => {
+    var renderer = ReactARTTestRenderer.create(
+      <Surface width={100} height={50}>
+        <Group x={10} y={20} opacity={0.5} cursor="pointer" title="Tip">
+          <Shape
+            d="M0,0L10,0L10,10Z"
+            fill="#f00"
+            stroke="#000"
+            width={10}
+            height={10}
+          />
+          <Text font="12px Arial" alignment="center" visible={false}>
+            {'Hello'}
+          </Text>
+        </Group>
+        <ClippingRectangle width={20} height={30} scale={2} />
+      </Surface>
+    );
+
+    expect(renderer.toJSON()).toEqual({
+      type: 'Surface',
+      width: 100,
+      height: 50,
+      children: [
+        {
+          type: 'Group',
+          transform: [1, 0, 0, 1, 10, 20],
+          opacity: 0.5,
+          visible: true,
+          cursor: 'pointer',
+          title: 'Tip',
+          children: [
+            {
+              type: 'Shape',
+              transform: IDENTITY,
+              opacity: 1,
+              visible: true,
+              cursor: null,
+              title: null,
+              fill: '#f00',
+              stroke: {
+                color: '#000',
+                width: 1,
+                cap: 'round',
+                join: 'round',
+                dash: null,
+              },
+              path: 'M 0 0 L 10 0 L 10 10 z',
+              width: 10,
+              height: 10,
+            },
+            {
+              type: 'Text',
+              transform: IDENTITY,
+              opacity: 1,
+              visible: false,
+              cursor: null,
+              title: null,
+              fill: null,
+              stroke: null,
+              text: 'Hello',
+              font: '12px Arial',
+              alignment: 'center',
+              path: null,
+            },
+          ],
+        },
+        {
+          type: 'ClippingRectangle',
+          transform: [2, 0, 0, 2, 0, 0],
+          opacity: 1,
+          visible: true,
+          cursor: null,
+          title: null,
+          children: [],
+          width: 20,
+          height: 30,
+        },
+      ],
+    });
+  });
+
+  it('serializes paths and fill-type objects', () => {
+    var renderer = ReactARTTestRenderer.create(
+      <Surface width={100} height={50}>
+        <Shape
+          d={Path().moveTo(0, 0).arc(10, 0, 5).close()}
+          fill={new LinearGradient(['#000', '#fff'], 0, 0, 10, 0)}
+        />
+      </Surface>
+    );
+
+    var shape = renderer.toJSON().children[0];
+    expect(shape.path).toBe('M 0 0 A 5 5 0 0 1 10 0 z');
+    expect(shape.fill).toEqual({
+      type: 'linear',
+      stops: ['#000', '#fff'],
+      x1: 0,
+      y1: 0,
+      x2: 10,
+      y2: 0,
+    });
+  });
+
+  it('renders numbers as text', () => {
+    function render(count) {
+      return (
+        <Surface width={100} height={50}>
+          <Text font="12px Arial">{count}</Text>
+        </Surface>
+      );
+    }
+
+    var renderer = ReactARTTestRenderer.create(render(42));
+    expect(renderer.toJSON().children[0].text).toBe('42');
+
+    renderer.update(render(0));
+    expect(renderer.toJSON().children[0].text).toBe('0');
+  });
+
+  it('updates and unmounts', () => {
+    function render(color, showShape) {
+      return (
+        <Surface width={100} height={color === 'blue' ? 80 : 50}>
+          <Group>
+            {showShape && <Shape d="M0,0L1,1" fill={color} />}
+            <Group key="last" />
+          </Group>
+        </Surface>
+      );
+    }
+
+    var renderer = ReactARTTestRenderer.create(render('red', true));
+    expect(renderer.toJSON().children[0].children.map(c => c.type)).toEqual([
+      'Shape',
+      'Group',
+    ]);
+
+    renderer.update(render('blue', true));
+    var json = renderer.toJSON();
+    expect(json.height).toBe(80);
+    expect(json.children[0].children[0].fill).toBe('blue');
+
+    renderer.update(render('blue', false));
+    expect(renderer.toJSON().children[0].children.map(c => c.type)).toEqual([
+      'Group',
+    ]);
+
+    renderer.unmount();
+    expect(renderer.toJSON().children).toEqual([]);
+  });
+
+  it('renders function children with the size of the Surface', () => {
+    function render(width) {
+      return (
+        <Surface width={width} height={50}>
+          {size => <Shape width={size.width} height={size.height} />}
+        </Surface>
+      );
+    }
+
+    var renderer = ReactARTTestRenderer.create(render(100));
+    var json = renderer.toJSON();
+    expect(json.width).toBe(100);
+    expect(json.children[0].width).toBe(100);
+    expect(json.children[0].height).toBe(50);
+
+    // There is no container to measure percentages against.
+    renderer.update(render('50%'));
+    json = renderer.toJSON();
+    expect(json.width).toBe(0);
+    expect(json.children[0].width).toBe(0);
+    expect(json.children[0].height).toBe(50);
+  });
+
+  it('only renders Surfaces', () => {
+    expect(() => ReactARTTestRenderer.create(<Group />)).toThrowError(
+      'ReactARTTestRenderer: Expected a <Surface> element.'
+    );
+  });
+});
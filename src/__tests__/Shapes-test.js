@@ -0,0 +1,671 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ * @jest-environment node
+ */
+
+'use strict';
+
+jest
+  .unmock('Arrow.art')
+  .unmock('Circle.art')
+  .unmock('Connector.art')
+  .unmock('Ellipse.art')
+  .unmock('Line.art')
+  .unmock('Polygon.art')
+  .unmock('Polyline.art')
+  .unmock('ReactARTFiber')
+  .unmock('ReactARTTestRenderer')
+  .unmock('Rectangle.art')
+  .unmock('RegularPolygon.art')
+  .unmock('Star.art')
+  .unmock('Wedge.art');
+
+var React = require('react');
+
+var Arrow = require('Arrow.art');
+var Circle = require('Circle.art');
+var Connector = require('Connector.art');
+var Ellipse = require('Ellipse.art');
+var Line = require('Line.art');
+var Polygon = require('Polygon.art');
+var Polyline = require('Polyline.art');
+var ReactART = require('ReactARTFiber');
+var ReactARTTestRenderer = require('ReactARTTestRenderer');
+var Rectangle = require('Rectangle.art');
+var RegularPolygon = require('RegularPolygon.art');
+var Star = require('Star.art');
+var Wedge = require('Wedge.art');
+
+var Group = ReactART.Group;
+var Shape = ReactART.Shape;
+var Surface = ReactART.Surface;
+
+var MOVE_TO = 0;
+var CLOSE = 1;
+var LINE_TO = 2;
+var CURVE_TO = 3;
+var ARC = 4;
+
+// Renders shapes down to the Shape they draw.
+function getShape(element) {
+  while (element.type !== Shape) {
+    element = new element.type(element.props).render();
+  }
+  return element;
+}
+
+function getPath(element) {
+  return getShape(element).props.d;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000 + 0;
+}
+
+function getCommands(element) {
+  return getPath(element).path.map(round);
+}
+
+// Renders connectors down to the Group they draw in.
+function getGroup(element) {
+  while (element.type !== Group) {
+    element = new element.type(element.props).render();
+  }
+  return element;
+}
+
+// Returns the commands of the line of a connector, its filled markers and its
+// stroked ones.
+function getConnectorCommands(element) {
+  return React.Children.toArray(getGroup(element).props.children).map(
+    child => child.props.d.path.map(round)
+  );
+}
+
+// Returns the warnings about the props of the elements that `render` creates.
+function getPropWarnings(render) {
+  var consoleError = console.error;
+  console.error = jest.fn();
+  try {
+    render();
+    return console.error.mock.calls.map(call => call[0]);
+  } finally {
+    console.error = consoleError;
+  }
+}
+
+describe('shapes', () => {
+  describe('Circle', () => {
+    it('draws circles around their center', () => {
+      expect(getPath(<Circle radius={10} />).toSVGString(2)).toBe(
+        'M0,-10A10,10,0,0,1,0,10A10,10,0,0,1,0,-10Z'
+      );
+    });
+  });
+
+  describe('Rectangle', () => {
+    it('draws rectangles with rounded corners', () => {
+      expect(getPath(<Rectangle width={50} height={30} radius={5} />)
+        .toSVGString(2)).toBe(
+        'M0,5A5,5,0,0,1,5,0L45,0A5,5,0,0,1,50,5L50,25' +
+        'A5,5,0,0,1,45,30L5,30A5,5,0,0,1,0,25L0,5'
+      );
+    });
+  });
+
+  describe('Ellipse', () => {
+    it('draws around its center', () => {
+      var path = getPath(<Ellipse rx={20} ry={10} />);
+
+      expect(path.path.slice(0, 3)).toEqual([MOVE_TO, 0, -10]);
+      expect(path.path[3]).toBe(CURVE_TO);
+      expect(path.path[path.path.length - 1]).toBe(CLOSE);
+      var bounds = path.getBounds();
+      expect(round(bounds.x)).toBe(-20);
+      expect(round(bounds.y)).toBe(-10);
+      expect(round(bounds.width)).toBe(40);
+      expect(round(bounds.height)).toBe(20);
+    });
+
+    it('draws circles with arcs', () => {
+      expect(getPath(<Ellipse rx={10} ry={10} />).path[3]).toBe(ARC);
+    });
+  });
+
+  describe('Line', () => {
+    it('draws from one point to the other', () => {
+      expect(getCommands(<Line x1={1} y1={2} x2={30} y2={40} />)).toEqual([
+        MOVE_TO, 1, 2,
+        LINE_TO, 30, 40,
+      ]);
+      expect(getCommands(<Line x2={5} />)).toEqual([
+        MOVE_TO, 0, 0,
+        LINE_TO, 5, 0,
+      ]);
+    });
+  });
+
+  describe('Polyline', () => {
+    var points = [0, 0, 10, 10, 20, 0];
+
+    it('draws lines through its points', () => {
+      expect(getCommands(<Polyline points={points} />)).toEqual([
+        MOVE_TO, 0, 0,
+        LINE_TO, 10, 10,
+        LINE_TO, 20, 0,
+      ]);
+      expect(getCommands(<Polyline points={[]} />)).toEqual([]);
+    });
+
+    it('curves through its points when smooth', () => {
+      expect(getCommands(<Polyline points={points} smooth={true} />)).toEqual([
+        MOVE_TO, 0, 0,
+        CURVE_TO, 5 / 3, 5 / 3, round(20 / 3), 10, 10, 10,
+        CURVE_TO, round(40 / 3), 10, round(55 / 3), 5 / 3, 20, 0,
+      ].map(round));
+    });
+
+    it('curves by its tension', () => {
+      expect(getCommands(
+        <Polyline points={points} smooth={true} tension={0} />
+      )).toEqual([
+        MOVE_TO, 0, 0,
+        CURVE_TO, 0, 0, 10, 10, 10, 10,
+        CURVE_TO, 10, 10, 20, 0, 20, 0,
+      ]);
+    });
+  });
+
+  describe('Polygon', () => {
+    it('closes its lines', () => {
+      expect(getCommands(<Polygon points={[0, 0, 10, 0, 0, 10]} />)).toEqual([
+        MOVE_TO, 0, 0,
+        LINE_TO, 10, 0,
+        LINE_TO, 0, 10,
+        CLOSE,
+      ]);
+    });
+
+    it('curves all the way round when smooth', () => {
+      var commands = getCommands(
+        <Polygon points={[0, 0, 10, 0, 10, 10, 0, 10]} smooth={true} />
+      );
+
+      expect(commands.filter((command, i) => i < 31 && i % 7 === 3)).toEqual([
+        CURVE_TO, CURVE_TO, CURVE_TO, CURVE_TO,
+      ]);
+      // Back to the start, heading from the last point to the second.
+      expect(commands.slice(24)).toEqual([
+        CURVE_TO, -5 / 3, 10 - 5 / 3, -5 / 3, 5 / 3, 0, 0,
+        CLOSE,
+      ].map(round));
+    });
+  });
+
+  describe('RegularPolygon', () => {
+    it('draws its corners around its center from the top', () => {
+      expect(getCommands(<RegularPolygon sides={4} radius={10} />)).toEqual([
+        MOVE_TO, 0, -10,
+        LINE_TO, 10, 0,
+        LINE_TO, 0, 10,
+        LINE_TO, -10, 0,
+        CLOSE,
+      ]);
+    });
+  });
+
+  describe('Star', () => {
+    it('alternates between its tips and inner corners', () => {
+      var commands = getCommands(
+        <Star points={4} innerRadius={5} outerRadius={10} />
+      );
+      var corner = round(5 * Math.SQRT1_2);
+
+      expect(commands).toEqual([
+        MOVE_TO, 0, -10,
+        LINE_TO, corner, -corner,
+        LINE_TO, 10, 0,
+        LINE_TO, corner, corner,
+        LINE_TO, 0, 10,
+        LINE_TO, -corner, corner,
+        LINE_TO, -10, 0,
+        LINE_TO, -corner, -corner,
+        CLOSE,
+      ]);
+    });
+  });
+
+  describe('Connector', () => {
+    it('passes only placement, display and events on to its Group', () => {
+      var onClick = jest.fn();
+      var group = getGroup(
+        <Connector
+          x2={100}
+          routing="curved"
+          stroke="red"
+          strokeWidth={2}
+          x={5}
+          rotation={90}
+          opacity={0.5}
+          cursor="pointer"
+          onClick={onClick}
+          onMouseDownCapture={onClick}
+        />
+      );
+
+      expect(Object.keys(group.props).sort()).toEqual([
+        'children',
+        'cursor',
+        'onClick',
+        'onMouseDownCapture',
+        'opacity',
+        'rotation',
+        'x',
+      ]);
+    });
+
+    it('checks its props', () => {
+      var warnings = getPropWarnings(() => [
+        <Connector routing="diagonal" />,
+        <Connector orientation="sideways" />,
+        <Connector startMarker="star" />,
+        <Arrow endMarker="triangle" />,
+      ]);
+
+      expect(warnings.length).toBe(4);
+      expect(warnings[0]).toContain(
+        'Invalid prop `routing` of value `diagonal` supplied to `Connector`'
+      );
+      expect(warnings[1]).toContain(
+        'Invalid prop `orientation` of value `sideways` supplied to ' +
+        '`Connector`'
+      );
+      expect(warnings[2]).toContain(
+        'Invalid prop `startMarker` of value `star` supplied to `Connector`'
+      );
+      expect(warnings[3]).toContain(
+        'Invalid prop `endMarker` of value `triangle` supplied to `Arrow`'
+      );
+    });
+
+    it('stops straight lines at the back of filled markers', () => {
+      var commands = getConnectorCommands(
+        <Connector x2={100} endMarker="arrow" strokeWidth={2} />
+      );
+
+      expect(commands[0]).toEqual([
+        MOVE_TO, 0, 0,
+        LINE_TO, 92, 0,
+      ]);
+      expect(commands[1]).toEqual([
+        MOVE_TO, 100, 0,
+        LINE_TO, 92, 4,
+        LINE_TO, 92, -4,
+        CLOSE,
+      ]);
+      expect(commands[2]).toEqual([]);
+    });
+
+    it('draws markers at both ends', () => {
+      var commands = getConnectorCommands(
+        <Connector
+          y1={10}
+          y2={60}
+          startMarker="circle"
+          endMarker="diamond"
+          markerSize={6}
+        />
+      );
+
+      expect(commands[0]).toEqual([
+        MOVE_TO, 0, 16,
+        LINE_TO, 0, 54,
+      ]);
+      expect(commands[1]).toEqual([
+        MOVE_TO, 0, 10,
+        ARC, 0, 13, 3, round(-Math.PI / 2), round(Math.PI / 2), 1,
+        ARC, 0, 13, 3, round(Math.PI / 2), round(-Math.PI / 2), 1,
+        CLOSE,
+        MOVE_TO, 0, 60,
+        LINE_TO, -2, 57,
+        LINE_TO, 0, 54,
+        LINE_TO, 2, 57,
+        CLOSE,
+      ]);
+    });
+
+    it('meets stroked markers at their tip', () => {
+      var commands = getConnectorCommands(
+        <Connector
+          x2={50}
+          startMarker="bar"
+          endMarker="openArrow"
+          strokeWidth={2}
+        />
+      );
+
+      expect(commands[0]).toEqual([
+        MOVE_TO, 1, 0,
+        LINE_TO, 49, 0,
+      ]);
+      expect(commands[1]).toEqual([]);
+      expect(commands[2]).toEqual([
+        MOVE_TO, 0, -4,
+        LINE_TO, 0, 4,
+        MOVE_TO, 42, 4,
+        LINE_TO, 50, 0,
+        LINE_TO, 42, -4,
+      ]);
+    });
+
+    it('routes orthogonal lines through elbows halfway', () => {
+      expect(getConnectorCommands(
+        <Connector x2={100} y2={50} routing="orthogonal" endMarker="arrow" />
+      )).toEqual([
+        [MOVE_TO, 0, 0, LINE_TO, 50, 0, LINE_TO, 50, 50, LINE_TO, 96, 50],
+        [MOVE_TO, 100, 50, LINE_TO, 96, 52, LINE_TO, 96, 48, CLOSE],
+        [],
+      ]);
+      expect(getConnectorCommands(
+        <Connector
+          x2={100}
+          y2={50}
+          routing="orthogonal"
+          orientation="vertical"
+        />
+      )[0]).toEqual([
+        MOVE_TO, 0, 0,
+        LINE_TO, 0, 25,
+        LINE_TO, 100, 25,
+        LINE_TO, 100, 50,
+      ]);
+    });
+
+    it('trims orthogonal lines past their elbows', () => {
+      expect(getConnectorCommands(
+        <Connector x2={4} y2={50} routing="orthogonal" endMarker="arrow" />
+      )[0]).toEqual([
+        MOVE_TO, 0, 0,
+        LINE_TO, 2, 0,
+        LINE_TO, 2, round(50 - Math.sqrt(12)),
+      ]);
+    });
+
+    it('curves between its ends', () => {
+      var commands = getConnectorCommands(
+        <Connector x2={100} y2={100} routing="curved" endMarker="arrow" />
+      );
+      var line = commands[0];
+
+      expect(line.slice(0, 4)).toEqual([MOVE_TO, 0, 0, CURVE_TO]);
+      expect(line[5]).toBe(0);
+      // It ends a marker away from the end, where the marker's back is.
+      var x = line[line.length - 2];
+      var y = line[line.length - 1];
+      expect(round(Math.sqrt(Math.pow(100 - x, 2) + Math.pow(100 - y, 2))))
+        .toBe(4);
+      var marker = commands[1];
+      expect(round((marker[4] + marker[7]) / 2)).toBe(x);
+      expect(round((marker[5] + marker[8]) / 2)).toBe(y);
+    });
+
+    it('draws no line when markers are longer than it', () => {
+      expect(getConnectorCommands(
+        <Connector x2={3} startMarker="arrow" endMarker="arrow" />
+      )).toEqual([
+        [],
+        [
+          MOVE_TO, 0, 0, LINE_TO, 4, -2, LINE_TO, 4, 2, CLOSE,
+          MOVE_TO, 3, 0, LINE_TO, -1, 2, LINE_TO, -1, -2, CLOSE,
+        ],
+        [],
+      ]);
+    });
+  });
+
+  describe('Arrow', () => {
+    it('has an arrow at its end', () => {
+      expect(getConnectorCommands(<Arrow x2={10} />)[1]).toEqual([
+        MOVE_TO, 10, 0,
+        LINE_TO, 6, 2,
+        LINE_TO, 6, -2,
+        CLOSE,
+      ]);
+      expect(getConnectorCommands(
+        <Arrow x2={10} endMarker="none" />
+      )[1]).toEqual([]);
+    });
+  });
+
+  describe('Wedge', () => {
+    function getWedge(props) {
+      return getPath(<Wedge outerRadius={50} {...props} />).toSVGString(2);
+    }
+
+    function getWedgeBounds(props) {
+      var bounds = getPath(<Wedge outerRadius={50} {...props} />).getBounds();
+      return [bounds.x, bounds.y, bounds.width, bounds.height].map(round);
+    }
+
+    it('draws wedges clockwise from 12 o\'clock', () => {
+      expect(getWedge({startAngle: 0, endAngle: 90})).toBe(
+        'M50,0A50,50,0,0,1,100,50L50,50Z'
+      );
+      expect(getWedge({startAngle: 0, endAngle: 90, innerRadius: 20})).toBe(
+        'M50,0A50,50,0,0,1,100,50L70,50A20,20,0,0,0,50,30Z'
+      );
+    });
+
+    it('draws counter-clockwise wedges', () => {
+      expect(getWedge({startAngle: 90, endAngle: 0})).toBe(
+        getWedge({startAngle: 0, endAngle: 90})
+      );
+      expect(getWedge({startAngle: 0, endAngle: -90})).toBe(
+        'M0,50A50,50,0,0,1,50,0L50,50Z'
+      );
+    });
+
+    it('draws angles past a full turn', () => {
+      expect(getWedge({startAngle: 360, endAngle: 450})).toBe(
+        getWedge({startAngle: 0, endAngle: 90})
+      );
+      expect(getWedge({startAngle: 350, endAngle: 370})).toBe(
+        getWedge({startAngle: -10, endAngle: 10})
+      );
+      expect(getWedge({startAngle: 180, endAngle: 45})).toBe(
+        'M85.36,14.64A50,50,0,0,1,50,100L50,50Z'
+      );
+    });
+
+    it('draws circles when going all the way round', () => {
+      var circle = 'M0,50A50,50,0,0,1,100,50A50,50,0,0,1,0,50Z';
+
+      expect(getWedge({startAngle: 0, endAngle: 360})).toBe(circle);
+      expect(getWedge({startAngle: 720, endAngle: 360})).toBe(circle);
+      expect(getWedge({startAngle: 10, endAngle: 1000})).toBe(circle);
+    });
+
+    it('rounds its corners', () => {
+      var wedge = getWedge({
+        startAngle: 0,
+        endAngle: 90,
+        innerRadius: 20,
+        cornerRadius: 5,
+      });
+
+      expect(wedge.match(/A5,5/g).length).toBe(4);
+      expect(getWedgeBounds({
+        startAngle: 0,
+        endAngle: 90,
+        innerRadius: 20,
+        cornerRadius: 5,
+      })).toEqual([50, 0.279, 49.721, 49.721]);
+    });
+
+    it('keeps corners within thin wedges', () => {
+      // No more than half as big as the wedge is thick.
+      expect(getWedge({
+        startAngle: 0,
+        endAngle: 90,
+        innerRadius: 40,
+        cornerRadius: 20,
+      })).toBe(
+        'M50,5.28A5,5,0,0,1,55.56,0.31A50,50,0,0,1,99.69,44.44' +
+        'A5,5,0,0,1,94.72,50L94.72,50A5,5,0,0,1,89.75,45.56' +
+        'A40,40,0,0,0,54.44,10.25A5,5,0,0,1,50,5.28Z'
+      );
+
+      // And no bigger than fit between the sides.
+      var wedge = getWedge({
+        startAngle: 0,
+        endAngle: 10,
+        innerRadius: 20,
+        cornerRadius: 100,
+      });
+      var radii = wedge.match(/A[\d.]+/g);
+      expect(radii.length).toBe(6);
+      expect(radii[1]).toBe('A50');
+      expect(radii[0]).toBe(radii[2]);
+      expect(+radii[0].slice(1)).toBeLessThan(4);
+      expect(+radii[3].slice(1)).toBeLessThan(2);
+    });
+
+    it('leaves gaps as wide at both radii', () => {
+      var wedge = getWedge({
+        startAngle: 0,
+        endAngle: 90,
+        innerRadius: 20,
+        padAngle: 4,
+      });
+
+      // The sides run parallel to the radii they start from, 1.88 from them.
+      expect(wedge).toBe(
+        'M51.88,0.04A50,50,0,0,1,99.96,48.12' +
+        'L69.91,48.12A20,20,0,0,0,51.88,30.09Z'
+      );
+    });
+
+    it('brings the sides of gapped wedges together', () => {
+      expect(getWedge({startAngle: 0, endAngle: 90, padAngle: 4}))
+        .toBe('M51.74,0.03A50,50,0,0,1,99.97,48.26L51.74,48.26Z');
+      expect(getWedge({startAngle: 0, endAngle: 2, padAngle: 4})).toBe('');
+      // Past a half turn, they go around the gap at the center.
+      expect(getWedge({startAngle: 0, endAngle: 270, padAngle: 4}))
+        .toMatch(/L50,51\.74A1\.74,1\.74,0,0,0,51\.74,50Z$/);
+    });
+
+    it('checks its props', () => {
+      var warnings = getPropWarnings(() =>
+        <Wedge startAngle={0} endAngle="90" cornerRadius="2" />
+      );
+
+      expect(warnings.length).toBe(3);
+      expect(warnings[0]).toContain(
+        'The prop `outerRadius` is marked as required in `Wedge`'
+      );
+      expect(warnings[1]).toContain(
+        'Invalid prop `endAngle` of type `string` supplied to `Wedge`'
+      );
+      expect(warnings[2]).toContain(
+        'Invalid prop `cornerRadius` of type `string` supplied to `Wedge`'
+      );
+    });
+  });
+
+  it('pass only the props of Shapes on to them', () => {
+    [
+      <Circle radius={1} fill="red" />,
+      <Ellipse rx={2} ry={1} fill="red" />,
+      <Line x1={1} y1={2} x2={3} y2={4} fill="red" />,
+      <Polyline points={[0, 0, 1, 1, 2, 0]} smooth={true} fill="red" />,
+      <Polygon points={[0, 0, 1, 1, 2, 0]} tension={1} fill="red" />,
+      <RegularPolygon sides={3} radius={1} fill="red" />,
+      <Star points={5} innerRadius={1} outerRadius={2} fill="red" />,
+      <Wedge
+        outerRadius={2}
+        innerRadius={1}
+        startAngle={0}
+        endAngle={90}
+        cornerRadius={1}
+        padAngle={1}
+        fill="red"
+      />,
+    ].forEach(element => {
+      expect(Object.keys(getShape(element).props).sort()).toEqual([
+        'd',
+        'fill',
+      ]);
+    });
+
+    // Shapes size the box of their gradients by their width and height.
+    var rectangle = <Rectangle width={2} height={1} radius={1} fill="red" />;
+    expect(Object.keys(getShape(rectangle).props).sort()).toEqual([
+      'd',
+      'fill',
+      'height',
+      'width',
+    ]);
+  });
+
+  it('check their props', () => {
+    var warnings = getPropWarnings(() => [
+      <Ellipse rx={2} />,
+      <Line x1="1" />,
+      <Polyline points={[0, 0, 1, 1]} closed="yes" />,
+      <Polygon />,
+      <RegularPolygon radius={1} />,
+      <Star points={5} outerRadius={2} />,
+    ]);
+
+    expect(warnings.length).toBe(6);
+    expect(warnings[0]).toContain(
+      'The prop `ry` is marked as required in `Ellipse`'
+    );
+    expect(warnings[1]).toContain(
+      'Invalid prop `x1` of type `string` supplied to `Line`'
+    );
+    expect(warnings[2]).toContain(
+      'Invalid prop `closed` of type `string` supplied to `Polyline`'
+    );
+    expect(warnings[3]).toContain(
+      'The prop `points` is marked as required in `Polygon`'
+    );
+    expect(warnings[4]).toContain(
+      'The prop `sides` is marked as required in `RegularPolygon`'
+    );
+    expect(warnings[5]).toContain(
+      'The prop `innerRadius` is marked as required in `Star`'
+    );
+  });
+
+  it('render into Surfaces with the props of Shapes', () => {
+    var renderer = ReactARTTestRenderer.create(
+      <Surface width={100} height={100}>
+        <Line x2={10} y2={5} stroke="red" />
+        <Polygon points={[0, 0, 10, 0, 0, 10]} fill="blue" x={5} />
+        <Arrow x2={10} stroke="green" y={5} />
+        <Circle radius={5} fill="red" />
+        <Rectangle width={10} height={5} fill="blue" y={20} />
+      </Surface>
+    );
+    var children = renderer.toJSON().children;
+
+    expect(children[0].path).toBe('M 0 0 L 10 5');
+    expect(children[0].stroke.color).toBe('red');
+    expect(children[1].path).toBe('M 0 0 L 10 0 L 0 10 z');
+    expect(children[1].fill).toBe('blue');
+    expect(children[1].transform).toEqual([1, 0, 0, 1, 5, 0]);
+    expect(children[2].transform).toEqual([1, 0, 0, 1, 0, 5]);
+    expect(children[2].children[0].path).toBe('M 0 0 L 6 0');
+    expect(children[2].children[1].fill).toBe('green');
+    expect(children[3].fill).toBe('red');
+    expect(children[4].transform).toEqual([1, 0, 0, 1, 0, 20]);
+  });
+});
@@ -0,0 +1,216 @@
+/**
+ * Copyright (c) 2013-present Facebook, Inc.
+ * All rights reserved.
+ *
+ * This source code is licensed under the BSD-style license found in the
+ * LICENSE file in the root directory of this source tree. An additional grant
+ * of patent rights can be found in the PATENTS file in the same directory.
+ *
+ * @emails react-core
+ */
+
+'use strict';
+
+jest
+  .unmock('ReactARTFiber')
+  .unmock('Viewport.art');
+
+var React = require('react');
+var ReactDOM = require('react-dom');
+
+var ReactART = require('ReactARTFiber');
+var Viewport = require('Viewport.art');
+
+var Shape = ReactART.Shape;
+var Surface = ReactART.Surface;
+
+describe('Viewport', () => {
+  var container;
+  var viewport;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(container);
+  });
+
+  function render(props) {
+    ReactDOM.render(
+      <Surface width={400} height={300}>
+        <Viewport
+          width={200}
+          height={100}
+          ref={ref => viewport = ref}
+          {...props}>
+          <Shape d="M0,0L10,0L10,10L0,10Z" fill="red" />
+        </Viewport>
+      </Surface>,
+      container,
+    );
+  }
+
+  function dispatch(type, x, y, properties) {
+    var event = new window.MouseEvent(type, {
+      bubbles: true,
+      cancelable: true,
+      clientX: x,
+      clientY: y,
+    });
+    for (var key in properties) {
+      Object.defineProperty(event, key, {value: properties[key]});
+    }
+    // The background of the viewport.
+    container.querySelector('path').dispatchEvent(event);
+    return event;
+  }
+
+  function pointer(type, id, x, y) {
+    dispatch('pointer' + type, x, y, {
+      button: 0,
+      buttons: type === 'up' ? 0 : 1,
+      pointerId: id,
+      pointerType: 'touch',
+    });
+  }
+
+  function wheel(x, y, deltaY, deltaMode) {
+    return dispatch('wheel', x, y, {deltaMode: deltaMode || 0, deltaY});
+  }
+
+  it('draws its children through the camera', () => {
+    render({x: 20, y: 10, defaultCamera: {x: 5, y: 0, zoom: 2}});
+
+    expect(viewport.getCamera()).toEqual({x: 5, y: 0, zoom: 2});
+    expect(viewport.worldToSurface(5, 0)).toEqual({x: 20, y: 10});
+    expect(viewport.worldToSurface(10, 10)).toEqual({x: 30, y: 30});
+    expect(viewport.surfaceToWorld(30, 30)).toEqual({x: 10, y: 10});
+  });
+
+  it('zooms around the pointer with the wheel', () => {
+    render({});
+
+    wheel(100, 50, -300);
+    expect(viewport.getCamera()).toEqual({x: 50, y: 25, zoom: 2});
+    expect(viewport.surfaceToWorld(100, 50)).toEqual({x: 100, y: 50});
+
+    wheel(100, 50, 18.75, 1);
+    expect(viewport.getCamera()).toEqual({x: 0, y: 0, zoom: 1});
+  });
+
+  it('listens to the wheel actively, to keep the page from scrolling', () => {
+    var addEventListener = Element.prototype.addEventListener;
+    var wheelListeners = [];
+    Element.prototype.addEventListener = function(type, listener, options) {
+      if (type === 'wheel') {
+        wheelListeners.push([this, options]);
+      }
+      return addEventListener.apply(this, arguments);
+    };
+
+    try {
+      render({});
+    } finally {
+      Element.prototype.addEventListener = addEventListener;
+    }
+
+    expect(wheelListeners.length).toBe(1);
+    expect(wheelListeners[0][0]).toBe(container.firstChild);
+    expect(wheelListeners[0][1].passive).toBe(false);
+  });
+
+  it('pans by dragging', () => {
+    var onCameraChange = jest.fn();
+    render({onCameraChange});
+
+    pointer('down', 1, 10, 10);
+    pointer('move', 1, 30, 20);
+    expect(viewport.getCamera()).toEqual({x: -20, y: -10, zoom: 1});
+    expect(onCameraChange).toBeCalledWith({x: -20, y: -10, zoom: 1});
+
+    pointer('up', 1, 30, 20);
+    pointer('move', 1, 50, 50);
+    expect(viewport.getCamera()).toEqual({x: -20, y: -10, zoom: 1});
+  });
+
+  it('zooms by pinching', () => {
+    render({});
+
+    pointer('down', 1, 50, 50);
+    pointer('down', 2, 100, 50);
+    pointer('move', 2, 150, 50);
+
+    // The pointers spread from 50 to 100 pixels apart, while their center
+    // moved from 75 to 100.
+    var camera = viewport.getCamera();
+    expect(camera.zoom).toBe(2);
+    expect(viewport.worldToSurface(75, 50)).toEqual({x: 100, y: 50});
+  });
+
+  it('keeps the zoom between minZoom and maxZoom', () => {
+    render({minZoom: 0.5, maxZoom: 4});
+
+    wheel(0, 0, -3000);
+    expect(viewport.getCamera().zoom).toBe(4);
+
+    wheel(0, 0, 3000);
+    expect(viewport.getCamera().zoom).toBe(0.5);
+  });
+
+  it('keeps the camera within bounds', () => {
+    var bounds = {x: 0, y: 0, width: 400, height: 400};
+    render({bounds});
+
+    pointer('down', 1, 10, 10);
+    pointer('move', 1, 60, 30);
+    expect(viewport.getCamera()).toEqual({x: 0, y: 0, zoom: 1});
+
+    pointer('move', 1, -1000, -1000);
+    expect(viewport.getCamera()).toEqual({x: 200, y: 300, zoom: 1});
+
+    // Bounds smaller than what the viewport shows are centered.
+    pointer('up', 1, -1000, -1000);
+    wheel(0, 0, 600);
+    expect(viewport.getCamera()).toEqual({x: -200, y: 0, zoom: 0.25});
+  });
+
+  it('pans and zooms to a rectangle without animating', () => {
+    render({});
+
+    viewport.panTo(100, 100, {duration: 0});
+    expect(viewport.getCamera()).toEqual({x: 0, y: 50, zoom: 1});
+
+    viewport.zoomTo({x: 0, y: 0, width: 50, height: 50}, {duration: 0});
+    expect(viewport.getCamera()).toEqual({x: -25, y: 0, zoom: 2});
+  });
+
+  it('animates to the camera', () => {
+    var requestAnimationFrame = window.requestAnimationFrame;
+    var now = Date.now;
+    var frames = [];
+    var time = 0;
+
+    window.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+    Date.now = () => time;
+
+    try {
+      render({});
+      viewport.zoomTo({x: 0, y: 0, width: 50, height: 50});
+      expect(viewport.getCamera()).toEqual({x: 0, y: 0, zoom: 1});
+
+      time = 150;
+      frames.shift()();
+      var camera = viewport.getCamera();
+      expect(camera.zoom).toBeCloseTo(Math.SQRT2, 10);
+
+      time = 300;
+      frames.shift()();
+      expect(viewport.getCamera()).toEqual({x: -25, y: 0, zoom: 2});
+      expect(frames.length).toBe(0);
+    } finally {
+      window.requestAnimationFrame = requestAnimationFrame;
+      Date.now = now;
+    }
+  });
+});